@@ -5,4 +5,4 @@ ALTER TABLE users
 ADD COLUMN IF NOT EXISTS admin_permissions JSONB DEFAULT NULL;
 
 -- Example: Give a user all permissions (super admin has all by default anyway)
--- UPDATE users SET admin_permissions = '{"manage_orders": true, "manage_tickets": true, "manage_gallery": true, "manage_users": true, "view_logs": true}' WHERE email = 'admin@example.com';
+-- UPDATE users SET admin_permissions = '{"manage_orders": true, "manage_tickets": true, "manage_gallery": true, "manage_users": true, "view_logs": true, "manage_pricing": true}' WHERE email = 'admin@example.com';
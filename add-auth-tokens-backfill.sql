@@ -0,0 +1,16 @@
+-- Run this in Supabase SQL Editor if you ran add-auth-tokens.sql before it backfilled existing accounts
+-- Accounts that were never sent a verification link predate email verification,
+-- so they count as verified (otherwise Google sign in takes them over)
+
+UPDATE users
+SET email_verified = TRUE, email_verified_at = COALESCE(email_verified_at, created_at)
+WHERE email_verified = FALSE
+  AND NOT EXISTS (
+      SELECT 1 FROM auth_tokens
+      WHERE auth_tokens.user_id = users.id AND auth_tokens.purpose = 'email_verification'
+  );
+
+-- Password reset and verification links are no longer kept in the outbox
+UPDATE email_outbox
+SET body_text = '[Not stored - contains a one-time link]', body_html = NULL, next_attempt_at = NULL
+WHERE template IN ('passwordReset', 'emailVerification');
@@ -0,0 +1,11 @@
+-- Run this in Supabase SQL Editor to add balance payment tracking
+-- The remaining 50% is charged as a second Razorpay order once an order is completed
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS balance_razorpay_order_id VARCHAR(100),
+ADD COLUMN IF NOT EXISTS balance_razorpay_payment_id VARCHAR(100),
+ADD COLUMN IF NOT EXISTS balance_razorpay_signature VARCHAR(255),
+ADD COLUMN IF NOT EXISTS balance_verified BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS balance_paid_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_orders_balance_razorpay ON orders(balance_razorpay_order_id);
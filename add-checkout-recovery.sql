@@ -0,0 +1,6 @@
+-- Run this in Supabase SQL Editor for abandoned checkout reminders
+-- recovery_email_sent_at makes sure each pending order is only nudged once
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS recovery_email_sent_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_orders_pending_created ON orders(created_at) WHERE status = 'pending';
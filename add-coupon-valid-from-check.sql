@@ -0,0 +1,51 @@
+-- Run this in Supabase SQL Editor if you ran add-coupons.sql before redeem_coupon checked valid_from
+-- Checkout already rejects coupons that aren't active yet; this makes the
+-- locked re-check at redemption agree with it
+
+CREATE OR REPLACE FUNCTION redeem_coupon(
+    p_coupon_id UUID,
+    p_order_id UUID,
+    p_user_id UUID,
+    p_email TEXT,
+    p_discount INTEGER
+) RETURNS BOOLEAN AS $$
+DECLARE
+    v_coupon coupons%ROWTYPE;
+    v_uses INTEGER;
+BEGIN
+    SELECT * INTO v_coupon FROM coupons WHERE id = p_coupon_id FOR UPDATE;
+
+    IF NOT FOUND OR NOT v_coupon.is_active THEN
+        RETURN FALSE;
+    END IF;
+
+    IF v_coupon.valid_from IS NOT NULL AND v_coupon.valid_from > NOW() THEN
+        RETURN FALSE;
+    END IF;
+
+    IF v_coupon.expires_at IS NOT NULL AND v_coupon.expires_at < NOW() THEN
+        RETURN FALSE;
+    END IF;
+
+    IF v_coupon.max_uses IS NOT NULL THEN
+        SELECT COUNT(*) INTO v_uses FROM coupon_redemptions WHERE coupon_id = p_coupon_id;
+        IF v_uses >= v_coupon.max_uses THEN
+            RETURN FALSE;
+        END IF;
+    END IF;
+
+    IF v_coupon.per_user_limit IS NOT NULL THEN
+        SELECT COUNT(*) INTO v_uses FROM coupon_redemptions
+        WHERE coupon_id = p_coupon_id
+          AND ((p_user_id IS NOT NULL AND user_id = p_user_id) OR LOWER(email) = LOWER(p_email));
+        IF v_uses >= v_coupon.per_user_limit THEN
+            RETURN FALSE;
+        END IF;
+    END IF;
+
+    INSERT INTO coupon_redemptions (coupon_id, order_id, user_id, email, discount)
+    VALUES (p_coupon_id, p_order_id, p_user_id, LOWER(p_email), p_discount);
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
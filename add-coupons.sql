@@ -0,0 +1,97 @@
+-- Run this in Supabase SQL Editor to add coupon / discount codes
+-- Orders keep the applied code and discount; redemptions are tracked per order
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(50);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount INTEGER DEFAULT 0;
+
+-- Discounts are stored as a negative line item
+ALTER TABLE order_line_items DROP CONSTRAINT IF EXISTS order_line_items_item_type_check;
+ALTER TABLE order_line_items ADD CONSTRAINT order_line_items_item_type_check
+    CHECK (item_type IN ('service', 'size', 'addon', 'discount'));
+
+CREATE TABLE IF NOT EXISTS coupons (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(50) NOT NULL UNIQUE,
+    description VARCHAR(255),
+    discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('percent', 'flat')),
+    discount_value INTEGER NOT NULL CHECK (discount_value > 0),
+    max_discount INTEGER,
+    min_order_total INTEGER DEFAULT 0,
+    services TEXT[] DEFAULT '{}',
+    valid_from TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ,
+    max_uses INTEGER,
+    per_user_limit INTEGER DEFAULT 1,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    coupon_id UUID NOT NULL REFERENCES coupons(id) ON DELETE CASCADE,
+    order_id UUID NOT NULL UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    email VARCHAR(255) NOT NULL,
+    discount INTEGER NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon ON coupon_redemptions(coupon_id);
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_email ON coupon_redemptions(coupon_id, email);
+
+-- Record a redemption with the coupon row locked, so concurrent
+-- checkouts can't exceed max_uses / per_user_limit
+CREATE OR REPLACE FUNCTION redeem_coupon(
+    p_coupon_id UUID,
+    p_order_id UUID,
+    p_user_id UUID,
+    p_email TEXT,
+    p_discount INTEGER
+) RETURNS BOOLEAN AS $$
+DECLARE
+    v_coupon coupons%ROWTYPE;
+    v_uses INTEGER;
+BEGIN
+    SELECT * INTO v_coupon FROM coupons WHERE id = p_coupon_id FOR UPDATE;
+
+    IF NOT FOUND OR NOT v_coupon.is_active THEN
+        RETURN FALSE;
+    END IF;
+
+    IF v_coupon.valid_from IS NOT NULL AND v_coupon.valid_from > NOW() THEN
+        RETURN FALSE;
+    END IF;
+
+    IF v_coupon.expires_at IS NOT NULL AND v_coupon.expires_at < NOW() THEN
+        RETURN FALSE;
+    END IF;
+
+    IF v_coupon.max_uses IS NOT NULL THEN
+        SELECT COUNT(*) INTO v_uses FROM coupon_redemptions WHERE coupon_id = p_coupon_id;
+        IF v_uses >= v_coupon.max_uses THEN
+            RETURN FALSE;
+        END IF;
+    END IF;
+
+    IF v_coupon.per_user_limit IS NOT NULL THEN
+        SELECT COUNT(*) INTO v_uses FROM coupon_redemptions
+        WHERE coupon_id = p_coupon_id
+          AND ((p_user_id IS NOT NULL AND user_id = p_user_id) OR LOWER(email) = LOWER(p_email));
+        IF v_uses >= v_coupon.per_user_limit THEN
+            RETURN FALSE;
+        END IF;
+    END IF;
+
+    INSERT INTO coupon_redemptions (coupon_id, order_id, user_id, email, discount)
+    VALUES (p_coupon_id, p_order_id, p_user_id, LOWER(p_email), p_discount);
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE coupons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE coupon_redemptions ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access" ON coupons FOR ALL USING (true);
+CREATE POLICY "Service role full access" ON coupon_redemptions FOR ALL USING (true);
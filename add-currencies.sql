@@ -0,0 +1,25 @@
+-- Run this in Supabase SQL Editor to enable multi-currency checkout
+-- Order amounts are stored in the order's currency, with the INR rate used
+
+-- Checkout currencies - prices are converted from INR at rate_to_inr
+-- (how many INR one unit is worth), maintained by admins
+CREATE TABLE IF NOT EXISTS currencies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(3) NOT NULL UNIQUE,
+    currency_name VARCHAR(50) NOT NULL,
+    locale VARCHAR(10) DEFAULT 'en-US',
+    rate_to_inr NUMERIC(12, 4) NOT NULL CHECK (rate_to_inr > 0),
+    is_active BOOLEAN DEFAULT FALSE,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Enable after checking rates and Razorpay international payments
+INSERT INTO currencies (code, currency_name, locale, rate_to_inr, is_active) VALUES
+    ('INR', 'Indian Rupee', 'en-IN', 1, TRUE),
+    ('USD', 'US Dollar', 'en-US', 84, FALSE),
+    ('EUR', 'Euro', 'de-DE', 91, FALSE),
+    ('GBP', 'British Pound', 'en-GB', 109, FALSE)
+ON CONFLICT (code) DO NOTHING;
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS currency VARCHAR(3) DEFAULT 'INR';
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(12, 4) DEFAULT 1;
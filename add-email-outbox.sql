@@ -0,0 +1,32 @@
+-- Run this in Supabase SQL Editor for transactional emails
+-- Every email is recorded here; failed or abandoned sends are retried by /api/cron/email-outbox
+
+CREATE TABLE IF NOT EXISTS email_outbox (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    to_email VARCHAR(255) NOT NULL,
+    template VARCHAR(50) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    body_text TEXT NOT NULL,
+    body_html TEXT,
+    status VARCHAR(20) DEFAULT 'queued' CHECK (status IN ('queued', 'sending', 'sent', 'failed')),
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    related_type VARCHAR(50),
+    related_id UUID,
+    next_attempt_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    sent_at TIMESTAMPTZ
+);
+
+-- Also covers queued/sending rows left behind by a crashed send
+DROP INDEX IF EXISTS idx_email_outbox_retry;
+CREATE INDEX IF NOT EXISTS idx_email_outbox_retry ON email_outbox(next_attempt_at) WHERE status <> 'sent';
+
+-- Rows queued before send deadlines existed become due for retry straight away
+UPDATE email_outbox SET next_attempt_at = created_at
+WHERE status IN ('queued', 'sending') AND next_attempt_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_related ON email_outbox(related_type, related_id);
+
+ALTER TABLE email_outbox ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access" ON email_outbox FOR ALL USING (true);
@@ -0,0 +1,35 @@
+-- Run this in Supabase SQL Editor to switch orders to multi-select add-ons
+-- orders.addons becomes an array of add-on keys, each priced individually
+
+ALTER TABLE orders ALTER COLUMN addons DROP DEFAULT;
+
+ALTER TABLE orders
+ALTER COLUMN addons TYPE TEXT[] USING (
+    CASE
+        WHEN addons IS NULL OR addons = 'none' THEN '{}'::TEXT[]
+        WHEN addons = 'both' THEN ARRAY['framing', 'express']
+        ELSE ARRAY[addons]
+    END
+);
+
+ALTER TABLE orders ALTER COLUMN addons SET DEFAULT '{}';
+ALTER TABLE orders ALTER COLUMN addons_name TYPE VARCHAR(255);
+
+-- "both" is no longer needed - select framing and express separately
+UPDATE addon_pricing SET is_active = FALSE WHERE addon_key = 'both';
+
+-- One row per charged item (service, size, each add-on)
+CREATE TABLE IF NOT EXISTS order_line_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    item_type VARCHAR(20) NOT NULL CHECK (item_type IN ('service', 'size', 'addon')),
+    item_key VARCHAR(50) NOT NULL,
+    item_name VARCHAR(100) NOT NULL,
+    amount INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_line_items_order ON order_line_items(order_id);
+
+ALTER TABLE order_line_items ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access" ON order_line_items FOR ALL USING (true);
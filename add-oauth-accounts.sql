@@ -0,0 +1,17 @@
+-- Run this in Supabase SQL Editor for OAuth social login (Google)
+-- One row per provider identity; accounts are created or linked by the
+-- provider-verified email
+
+CREATE TABLE IF NOT EXISTS oauth_accounts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(30) NOT NULL,
+    provider_user_id VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (provider, provider_user_id),
+    UNIQUE (user_id, provider)
+);
+
+ALTER TABLE oauth_accounts ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access" ON oauth_accounts FOR ALL USING (true);
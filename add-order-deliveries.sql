@@ -0,0 +1,24 @@
+-- Run this in Supabase SQL Editor for order artwork deliveries
+-- Admins share WIP / final artwork on an order; customers get a watermarked
+-- preview in the order's ticket and can download the original once paid.
+
+ALTER TABLE uploads DROP CONSTRAINT IF EXISTS uploads_purpose_check;
+ALTER TABLE uploads ADD CONSTRAINT uploads_purpose_check CHECK (purpose IN (
+    'gallery', 'ticket_attachment', 'delivery', 'delivery_preview'
+));
+
+CREATE TABLE IF NOT EXISTS order_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    kind VARCHAR(10) NOT NULL CHECK (kind IN ('wip', 'final')),
+    note TEXT,
+    upload_id UUID UNIQUE NOT NULL REFERENCES uploads(id),
+    preview_upload_id UUID NOT NULL REFERENCES uploads(id),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_deliveries_order ON order_deliveries(order_id, created_at);
+
+ALTER TABLE order_deliveries ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access" ON order_deliveries FOR ALL USING (true);
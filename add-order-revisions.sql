@@ -0,0 +1,37 @@
+-- Run this in Supabase SQL Editor for revision requests
+-- Customers request revisions on completed orders; each service includes a
+-- number of revisions and extra ones are paid for.
+
+ALTER TABLE pricing_config ADD COLUMN IF NOT EXISTS included_revisions INTEGER NOT NULL DEFAULT 2 CHECK (included_revisions >= 0);
+ALTER TABLE pricing_config ADD COLUMN IF NOT EXISTS extra_revision_price INTEGER NOT NULL DEFAULT 0 CHECK (extra_revision_price >= 0);
+
+-- Sketches include 2 revisions, paintings 3
+UPDATE pricing_config SET included_revisions = 2, extra_revision_price = 300 WHERE service_key = 'charcoal';
+UPDATE pricing_config SET included_revisions = 2, extra_revision_price = 200 WHERE service_key = 'anime';
+UPDATE pricing_config SET included_revisions = 3, extra_revision_price = 500 WHERE service_key = 'couple';
+UPDATE pricing_config SET included_revisions = 3, extra_revision_price = 400 WHERE service_key = 'custom';
+
+CREATE TABLE IF NOT EXISTS order_revisions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    notes TEXT NOT NULL,
+    -- [{ upload_id, name, type, size }] - the customer's ticket_attachment uploads
+    reference_images JSONB NOT NULL DEFAULT '[]',
+    is_extra BOOLEAN NOT NULL DEFAULT FALSE,
+    amount INTEGER NOT NULL DEFAULT 0,
+    currency VARCHAR(3) DEFAULT 'INR',
+    -- refunded: paid after the order moved on, so it never started
+    status VARCHAR(20) NOT NULL DEFAULT 'requested' CHECK (status IN ('awaiting_payment', 'requested', 'refunded')),
+    razorpay_order_id VARCHAR(100) UNIQUE,
+    razorpay_payment_id VARCHAR(100),
+    requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    paid_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_revisions_order ON order_revisions(order_id, status);
+-- One unpaid extra revision per order (repeat requests reuse its Razorpay order)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_order_revisions_awaiting_payment ON order_revisions(order_id) WHERE status = 'awaiting_payment';
+
+ALTER TABLE order_revisions ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access" ON order_revisions FOR ALL USING (true);
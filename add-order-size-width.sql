@@ -0,0 +1,5 @@
+-- Run this in Supabase SQL Editor if orders.size is still VARCHAR(10)
+-- Size keys (size_pricing.size_key) can be up to 20 characters, so an
+-- order for a longer one failed to insert
+
+ALTER TABLE orders ALTER COLUMN size TYPE VARCHAR(20);
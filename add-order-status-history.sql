@@ -0,0 +1,25 @@
+-- Run this in Supabase SQL Editor for order status history
+-- Every status change made through transitionOrder() (lib/orders.js) is
+-- recorded here; orders already in the database get their current status
+-- as a starting entry so their timeline isn't empty
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(30),
+    to_status VARCHAR(30) NOT NULL,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    actor_type VARCHAR(20) DEFAULT 'system' CHECK (actor_type IN ('admin', 'customer', 'system')),
+    reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_history_order ON order_status_history(order_id, created_at);
+
+INSERT INTO order_status_history (order_id, from_status, to_status, actor_type, reason, created_at)
+SELECT o.id, NULL, o.status, 'system', 'Status before history was recorded', COALESCE(o.updated_at, o.created_at)
+FROM orders o
+WHERE NOT EXISTS (SELECT 1 FROM order_status_history h WHERE h.order_id = o.id);
+
+ALTER TABLE order_status_history ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access" ON order_status_history FOR ALL USING (true);
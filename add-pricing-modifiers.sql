@@ -0,0 +1,51 @@
+-- Run this in Supabase SQL Editor to add per-subject / complexity pricing
+-- Modifiers are priced in lib/pricing.js and itemised as order line items
+
+-- Quantity modifiers (e.g. extra subjects) charge unit_price per unit
+-- Tier modifiers (e.g. background complexity) charge the chosen tier's price
+-- services: keys the modifier applies to (empty = all services)
+CREATE TABLE IF NOT EXISTS pricing_modifiers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    modifier_key VARCHAR(50) NOT NULL UNIQUE,
+    modifier_name VARCHAR(100) NOT NULL,
+    modifier_type VARCHAR(10) NOT NULL CHECK (modifier_type IN ('quantity', 'tier')),
+    services TEXT[] DEFAULT '{}',
+    unit_price INTEGER DEFAULT 0,
+    max_quantity INTEGER DEFAULT 1,
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE
+);
+
+CREATE TABLE IF NOT EXISTS pricing_modifier_tiers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    modifier_id UUID NOT NULL REFERENCES pricing_modifiers(id) ON DELETE CASCADE,
+    tier_key VARCHAR(50) NOT NULL,
+    tier_name VARCHAR(100) NOT NULL,
+    additional_price INTEGER DEFAULT 0,
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+    UNIQUE(modifier_id, tier_key)
+);
+
+INSERT INTO pricing_modifiers (modifier_key, modifier_name, modifier_type, services, unit_price, max_quantity, sort_order) VALUES
+    ('extra_subjects', 'Extra Subjects', 'quantity', ARRAY['charcoal', 'couple', 'custom'], 800, 5, 1),
+    ('background', 'Background', 'tier', '{}', 0, 1, 2)
+ON CONFLICT (modifier_key) DO NOTHING;
+
+INSERT INTO pricing_modifier_tiers (modifier_id, tier_key, tier_name, additional_price, sort_order)
+SELECT id, t.tier_key, t.tier_name, t.additional_price, t.sort_order
+FROM pricing_modifiers, (VALUES
+    ('plain', 'Plain', 0, 1),
+    ('simple', 'Simple Scene', 400, 2),
+    ('detailed', 'Detailed Scene', 1000, 3)
+) AS t(tier_key, tier_name, additional_price, sort_order)
+WHERE modifier_key = 'background'
+ON CONFLICT (modifier_id, tier_key) DO NOTHING;
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS modifiers JSONB DEFAULT '{}';
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS modifiers_price INTEGER DEFAULT 0;
+
+ALTER TABLE order_line_items ADD COLUMN IF NOT EXISTS quantity INTEGER DEFAULT 1;
+ALTER TABLE order_line_items DROP CONSTRAINT IF EXISTS order_line_items_item_type_check;
+ALTER TABLE order_line_items ADD CONSTRAINT order_line_items_item_type_check
+    CHECK (item_type IN ('service', 'size', 'modifier', 'addon', 'discount'));
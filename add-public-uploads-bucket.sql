@@ -0,0 +1,10 @@
+-- Run this in Supabase SQL Editor for cacheable gallery images
+-- Gallery images and their variants move to a public bucket with stable
+-- URLs; ticket attachments and deliveries stay private behind signed URLs.
+-- After running this, deploy and then run `node migrate-uploads.js` to move
+-- existing gallery files across.
+
+-- Match STORAGE_PUBLIC_BUCKET
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('public-uploads', 'public-uploads', true)
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,9 @@
+-- Run this in Supabase SQL Editor for refresh token reuse detection
+-- Every rotation of a login's refresh token shares its family_id; a revoked
+-- token presented again revokes the whole family (REFRESH_TOKEN_REUSE)
+
+-- Existing tokens each become their own family
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS family_id UUID NOT NULL DEFAULT uuid_generate_v4();
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS revoked_reason VARCHAR(30);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id);
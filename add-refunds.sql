@@ -0,0 +1,65 @@
+-- Run this in Supabase SQL Editor for order refunds
+-- Full / partial refunds issued through Razorpay (lib/refunds.js). A refund
+-- is reserved under a lock before Razorpay is called, so concurrent refunds
+-- can't exceed what was paid.
+
+CREATE TABLE IF NOT EXISTS refunds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    -- Set once Razorpay accepts the refund (rows are reserved first, see reserve_refund)
+    razorpay_refund_id VARCHAR(100) UNIQUE,
+    razorpay_payment_id VARCHAR(100) NOT NULL,
+    payment_type VARCHAR(20) DEFAULT 'advance' CHECK (payment_type IN ('advance', 'balance', 'revision')),
+    amount INTEGER NOT NULL,
+    reason TEXT,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'processed', 'failed')),
+    failure_reason TEXT,
+    initiated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    processed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_order ON refunds(order_id);
+
+-- Reserve a refund with the order row locked, so two refunds issued at the
+-- same time can't both pass the refundable amount check
+-- Returns the new pending refund's ID, or NULL if the amount isn't refundable
+CREATE OR REPLACE FUNCTION reserve_refund(
+    p_order_id UUID,
+    p_payment_id TEXT,
+    p_payment_type TEXT,
+    p_paid_amount INTEGER,
+    p_amount INTEGER,
+    p_reason TEXT,
+    p_initiated_by UUID
+) RETURNS UUID AS $$
+DECLARE
+    v_refunded INTEGER;
+    v_refund_id UUID;
+BEGIN
+    PERFORM 1 FROM orders WHERE id = p_order_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    SELECT COALESCE(SUM(amount), 0) INTO v_refunded FROM refunds
+    WHERE razorpay_payment_id = p_payment_id AND status <> 'failed';
+
+    IF p_amount <= 0 OR v_refunded + p_amount > p_paid_amount THEN
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO refunds (order_id, razorpay_payment_id, payment_type, amount, reason, status, initiated_by)
+    VALUES (p_order_id, p_payment_id, p_payment_type, p_amount, p_reason, 'pending', p_initiated_by)
+    RETURNING id INTO v_refund_id;
+
+    RETURN v_refund_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Databases created from an earlier schema.sql had the Razorpay ID required
+ALTER TABLE refunds ALTER COLUMN razorpay_refund_id DROP NOT NULL;
+
+ALTER TABLE refunds ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access" ON refunds FOR ALL USING (true);
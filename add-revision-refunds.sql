@@ -0,0 +1,15 @@
+-- Run this in Supabase SQL Editor if you ran add-order-revisions.sql before revision payments could be refunded
+-- Extra revisions paid after the order moved on are refunded (status refunded,
+-- refunds.payment_type revision), and an order has one unpaid extra revision at most
+
+ALTER TABLE order_revisions DROP CONSTRAINT IF EXISTS order_revisions_status_check;
+ALTER TABLE order_revisions ADD CONSTRAINT order_revisions_status_check
+    CHECK (status IN ('awaiting_payment', 'requested', 'refunded'));
+
+ALTER TABLE refunds DROP CONSTRAINT IF EXISTS refunds_payment_type_check;
+ALTER TABLE refunds ADD CONSTRAINT refunds_payment_type_check
+    CHECK (payment_type IN ('advance', 'balance', 'revision'));
+
+-- Fails if an order already has two unpaid extra revisions - delete the
+-- duplicate (the one without a payment in the Razorpay dashboard) first
+CREATE UNIQUE INDEX IF NOT EXISTS idx_order_revisions_awaiting_payment ON order_revisions(order_id) WHERE status = 'awaiting_payment';
@@ -0,0 +1,6 @@
+-- Run this in Supabase SQL Editor for self-service session management
+-- last_used_at is set whenever a session's refresh token is issued or rotated
+
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMPTZ DEFAULT NOW();
+
+UPDATE refresh_tokens SET last_used_at = created_at WHERE last_used_at IS NULL OR last_used_at > created_at;
@@ -0,0 +1,5 @@
+-- Run this in Supabase SQL Editor for live ticket chat
+-- Ticket streams poll for messages newer than a created_at cursor
+
+DROP INDEX IF EXISTS idx_ticket_messages_ticket;
+CREATE INDEX IF NOT EXISTS idx_ticket_messages_ticket ON ticket_messages(ticket_id, created_at);
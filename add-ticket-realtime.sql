@@ -0,0 +1,6 @@
+-- Run this in Supabase SQL Editor for live ticket updates across instances
+-- Ticket streams subscribe to these tables through Supabase Realtime, so a
+-- reply or status change made on another server instance is pushed instead
+-- of waiting for the next poll
+
+ALTER PUBLICATION supabase_realtime ADD TABLE tickets, ticket_messages;
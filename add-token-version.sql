@@ -0,0 +1,13 @@
+-- Run this in Supabase SQL Editor for access token revocation
+-- Access tokens embed users.token_version (ver claim); requireAuth rejects
+-- tokens whose version no longer matches, so bumping it signs the user out
+-- immediately instead of when their access token expires
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+
+CREATE OR REPLACE FUNCTION bump_token_version(p_user_id UUID)
+RETURNS INTEGER AS $$
+    UPDATE users SET token_version = token_version + 1
+    WHERE id = p_user_id
+    RETURNING token_version;
+$$ LANGUAGE sql;
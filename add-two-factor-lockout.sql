@@ -0,0 +1,42 @@
+-- Run this in Supabase SQL Editor after add-two-factor.sql to limit wrong 2FA codes per account
+-- The login_2fa rate limit is per IP; these count wrong codes per user, so
+-- a challenge token can't be brute-forced from many addresses
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_failed_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_locked_until TIMESTAMPTZ;
+
+-- Count a 2FA sign-in attempt before the code is checked, so parallel
+-- guesses can't get past the limit. Returns FALSE while the account is
+-- locked; the attempt that reaches p_max_attempts starts the lock. A
+-- correct code clears both columns.
+CREATE OR REPLACE FUNCTION claim_totp_attempt(p_user_id UUID, p_max_attempts INTEGER, p_lock_seconds INTEGER)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_attempts INTEGER;
+    v_locked_until TIMESTAMPTZ;
+BEGIN
+    SELECT totp_failed_attempts, totp_locked_until INTO v_attempts, v_locked_until
+    FROM users WHERE id = p_user_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+
+    IF v_locked_until IS NOT NULL THEN
+        IF v_locked_until > NOW() THEN
+            RETURN FALSE;
+        END IF;
+        -- Lock ran out - start counting again
+        v_attempts := 0;
+    END IF;
+
+    UPDATE users SET
+        totp_failed_attempts = v_attempts + 1,
+        totp_locked_until = CASE
+            WHEN v_attempts + 1 >= p_max_attempts THEN NOW() + make_interval(secs => p_lock_seconds)
+        END
+    WHERE id = p_user_id;
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,23 @@
+-- Run this in Supabase SQL Editor for TOTP two-factor authentication
+-- Secrets are AES-GCM encrypted by the API; recovery codes are stored as SHA-256 hashes
+-- NOTE: 2FA is mandatory for admins - after this migration admins only get
+-- user access until they enroll from their account page
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS totp_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(255) NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_totp_recovery_codes_user ON totp_recovery_codes(user_id, code_hash);
+
+ALTER TABLE totp_recovery_codes ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access" ON totp_recovery_codes FOR ALL USING (true);
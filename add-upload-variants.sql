@@ -0,0 +1,9 @@
+-- Run this in Supabase SQL Editor for gallery thumbnails and srcset variants
+-- Gallery uploads are re-encoded without metadata and get a thumbnail plus
+-- AVIF/WebP widths. Run `node migrate-uploads.js` afterwards to render
+-- them for images uploaded before.
+
+ALTER TABLE uploads ADD COLUMN IF NOT EXISTS width INTEGER;
+ALTER TABLE uploads ADD COLUMN IF NOT EXISTS height INTEGER;
+-- Rendered copies: [{ key, kind: thumbnail|responsive, type, width, height, size }]
+ALTER TABLE uploads ADD COLUMN IF NOT EXISTS variants JSONB NOT NULL DEFAULT '[]';
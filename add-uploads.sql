@@ -0,0 +1,29 @@
+-- Run this in Supabase SQL Editor for object storage uploads
+-- Gallery images and ticket attachments move out of the database into a
+-- private storage bucket. After running this, deploy and then run
+-- `node migrate-uploads.js` to move existing base64 images across.
+
+CREATE TABLE IF NOT EXISTS uploads (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    storage_key TEXT UNIQUE NOT NULL,
+    purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('gallery', 'ticket_attachment')),
+    content_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    original_name VARCHAR(255),
+    uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_uploads_uploaded_by ON uploads(uploaded_by);
+
+ALTER TABLE uploads ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access" ON uploads FOR ALL USING (true);
+
+-- Private bucket for the supabase storage driver (match STORAGE_BUCKET)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('uploads', 'uploads', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- Gallery items reference an upload; image_url is left for external URLs
+ALTER TABLE gallery ALTER COLUMN image_url DROP NOT NULL;
+ALTER TABLE gallery ADD COLUMN IF NOT EXISTS image_upload_id UUID UNIQUE REFERENCES uploads(id) ON DELETE SET NULL;
@@ -0,0 +1,21 @@
+-- Run this in Supabase SQL Editor to deduplicate Razorpay webhooks
+-- Failed events stay here and can be replayed from the admin API
+
+-- One row per Razorpay event (retries share the event ID)
+CREATE TABLE IF NOT EXISTS webhook_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_id VARCHAR(100) NOT NULL UNIQUE,
+    event_type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) DEFAULT 'received' CHECK (status IN ('received', 'processing', 'processed', 'ignored', 'failed')),
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    received_at TIMESTAMPTZ DEFAULT NOW(),
+    processed_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status, received_at DESC);
+
+ALTER TABLE webhook_events ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access" ON webhook_events FOR ALL USING (true);
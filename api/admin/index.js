@@ -11,11 +11,24 @@
  * POST /api/admin?action=ban&id=userId
  * POST /api/admin?action=manage-admin (super admin only)
  * POST /api/admin?action=remove-admin&id=userId (super admin only)
+ * POST /api/admin?action=reset-2fa&id=userId (super admin only)
+ * GET /api/admin?action=pricing (manage_pricing)
+ * POST /api/admin?action=pricing (manage_pricing)
+ * GET /api/admin?action=coupons (manage_pricing)
+ * POST /api/admin?action=coupons (manage_pricing)
+ * GET /api/admin?action=currencies (manage_pricing)
+ * POST /api/admin?action=currencies (manage_pricing)
+ * GET /api/admin?action=webhook-events&status=failed (manage_orders)
+ * POST /api/admin?action=replay-webhook&id=eventId (manage_orders)
  */
 
 const { supabase } = require('../../lib/supabase');
 const { handleCors, requireAuth, requireAdmin, requireSuperAdmin, isSuperAdmin, hasPermission, checkRateLimit } = require('../../lib/middleware');
 const { logActivity } = require('../../lib/logger');
+const { bumpTokenVersion, revokeUserSessions } = require('../../lib/sessions');
+const { validatePricing, validateCoupon, validateCurrency } = require('../../lib/validators');
+const { clearPricingCache, BASE_CURRENCY, PRICING_TABLES } = require('../../lib/pricing');
+const { isReplayable, processWebhookEvent } = require('../../lib/webhooks');
 
 /**
  * Check if admin has permission, terminate access if violated
@@ -36,10 +49,7 @@ async function checkPermissionOrTerminate(user, res, permission, req) {
         .eq('id', user.id);
 
     // Revoke their tokens
-    await supabase
-        .from('refresh_tokens')
-        .update({ revoked_at: new Date().toISOString() })
-        .eq('user_id', user.id);
+    await revokeUserSessions(user.id, 'admin_terminated');
 
     // Log the violation
     await logActivity(user.id, 'ADMIN_ACCESS_TERMINATED', 'user', user.id, {
@@ -56,6 +66,13 @@ async function checkPermissionOrTerminate(user, res, permission, req) {
     return false;
 }
 
+/**
+ * Order total in INR (using the rate stored when the order was placed)
+ */
+function toInr(order) {
+    return Math.round((order.total || 0) * (Number(order.exchange_rate) || 1));
+}
+
 module.exports = async (req, res) => {
     if (handleCors(req, res)) return;
 
@@ -69,10 +86,16 @@ module.exports = async (req, res) => {
         case 'admins': return handleAdmins(req, res);
         case 'manage-admin': return handleManageAdmin(req, res);
         case 'remove-admin': return handleRemoveAdmin(req, res);
+        case 'reset-2fa': return handleResetTwoFactor(req, res);
         case 'advanced-users': return handleAdvancedUsers(req, res);
         case 'advanced-customers': return handleAdvancedCustomers(req, res);
         case 'advanced-admins': return handleAdvancedAdmins(req, res);
         case 'advanced-sessions': return handleAdvancedSessions(req, res);
+        case 'pricing': return handlePricing(req, res);
+        case 'coupons': return handleCoupons(req, res);
+        case 'currencies': return handleCurrencies(req, res);
+        case 'webhook-events': return handleWebhookEvents(req, res);
+        case 'replay-webhook': return handleReplayWebhook(req, res);
         default: return res.status(400).json({ error: 'Invalid action' });
     }
 };
@@ -89,10 +112,10 @@ async function handleStats(req, res) {
         if (!requireAdmin(user, res)) return;
 
         const [ordersResult, ticketsResult, usersResult, recentOrdersResult, recentTicketsResult] = await Promise.all([
-            supabase.from('orders').select('status, total, payment_verified'),
+            supabase.from('orders').select('status, total, currency, exchange_rate, payment_verified'),
             supabase.from('tickets').select('status'),
             supabase.from('users').select('role, banned'),
-            supabase.from('orders').select('id, order_number, name, email, service_name, total, status, created_at').order('created_at', { ascending: false }).limit(5),
+            supabase.from('orders').select('id, order_number, name, email, service_name, total, currency, status, created_at').order('created_at', { ascending: false }).limit(5),
             supabase.from('tickets').select('id, ticket_number, subject, status, created_at').neq('status', 'closed').order('created_at', { ascending: false }).limit(5)
         ]);
 
@@ -103,7 +126,8 @@ async function handleStats(req, res) {
             paid: orders.filter(o => o.payment_verified).length,
             inProgress: orders.filter(o => o.status === 'in_progress').length,
             completed: orders.filter(o => o.status === 'completed' || o.status === 'delivered').length,
-            revenue: orders.filter(o => o.payment_verified).reduce((sum, o) => sum + (o.total || 0), 0)
+            // Revenue is reported in INR (orders keep the rate they were placed at)
+            revenue: orders.filter(o => o.payment_verified).reduce((sum, o) => sum + toInr(o), 0)
         };
 
         const tickets = ticketsResult.data || [];
@@ -240,7 +264,7 @@ async function handleBan(req, res) {
         if (error) return res.status(500).json({ error: 'Failed to update user' });
 
         if (banned) {
-            await supabase.from('refresh_tokens').update({ revoked_at: new Date().toISOString() }).eq('user_id', userId);
+            await revokeUserSessions(userId, 'banned');
         }
 
         await logActivity(user.id, banned ? 'USER_BANNED' : 'USER_UNBANNED', 'user', userId, { reason }, req);
@@ -265,7 +289,7 @@ async function handleAdmins(req, res) {
 
         const { data: admins, error } = await supabase
             .from('users')
-            .select('id, email, name, role, admin_permissions, created_at, last_login')
+            .select('id, email, name, role, admin_permissions, totp_enabled, created_at, last_login')
             .eq('role', 'admin')
             .order('created_at', { ascending: false });
 
@@ -319,7 +343,8 @@ async function handleManageAdmin(req, res) {
             manage_tickets: !!permissions?.manage_tickets,
             manage_gallery: !!permissions?.manage_gallery,
             manage_users: !!permissions?.manage_users,
-            view_logs: !!permissions?.view_logs
+            view_logs: !!permissions?.view_logs,
+            manage_pricing: !!permissions?.manage_pricing
         };
 
         // Update user to admin with permissions
@@ -388,6 +413,9 @@ async function handleRemoveAdmin(req, res) {
 
         if (error) return res.status(500).json({ error: 'Failed to remove admin' });
 
+        // Kill access tokens issued while they were an admin
+        await bumpTokenVersion(userId);
+
         await logActivity(user.id, 'ADMIN_REMOVED', 'user', userId, {}, req);
 
         res.status(200).json({ success: true, message: 'Admin privileges removed' });
@@ -397,6 +425,74 @@ async function handleRemoveAdmin(req, res) {
     }
 }
 
+/**
+ * Reset an admin's 2FA, e.g. lost phone and recovery codes (Super Admin only)
+ * They keep user access only until they enroll again on next sign in
+ */
+async function handleResetTwoFactor(req, res) {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    try {
+        const user = await requireAuth(req, res);
+        if (!user) return;
+        if (!requireSuperAdmin(user, res)) return;
+
+        const userId = req.query.id;
+        if (!userId) return res.status(400).json({ error: 'User ID required' });
+
+        if (userId === user.id) {
+            return res.status(400).json({ error: 'Cannot reset your own 2FA' });
+        }
+
+        const { data: targetUser } = await supabase
+            .from('users')
+            .select('id, email, role, totp_enabled')
+            .eq('id', userId)
+            .single();
+
+        if (!targetUser) return res.status(404).json({ error: 'User not found' });
+
+        if (targetUser.role !== 'admin') {
+            return res.status(400).json({ error: 'User is not an admin' });
+        }
+
+        if (isSuperAdmin(targetUser)) {
+            return res.status(403).json({ error: 'Cannot reset super admin 2FA' });
+        }
+
+        if (!targetUser.totp_enabled) {
+            return res.status(400).json({ error: '2FA is not enabled for this admin' });
+        }
+
+        const { error } = await supabase
+            .from('users')
+            .update({
+                totp_enabled: false,
+                totp_secret: null,
+                totp_pending_secret: null,
+                totp_last_step: null,
+                totp_enabled_at: null,
+                totp_failed_attempts: 0,
+                totp_locked_until: null
+            })
+            .eq('id', userId);
+
+        if (error) return res.status(500).json({ error: 'Failed to reset 2FA' });
+
+        await supabase.from('totp_recovery_codes').delete().eq('user_id', userId);
+
+        // Sign them out everywhere
+        await revokeUserSessions(userId, '2fa_reset');
+
+        await logActivity(user.id, 'TWO_FACTOR_RESET', 'user', userId, { email: targetUser.email }, req);
+
+        res.status(200).json({ success: true, message: '2FA reset - the admin must enroll again on next sign in' });
+    } catch (error) {
+        console.error('Reset 2FA error:', error);
+        res.status(500).json({ error: 'Failed to reset 2FA' });
+    }
+}
+
 /**
  * Get default permissions for new admins
  */
@@ -406,10 +502,425 @@ function getDefaultPermissions() {
         manage_tickets: false,
         manage_gallery: false,
         manage_users: false,
-        view_logs: false
+        view_logs: false,
+        manage_pricing: false
     };
 }
 
+// ============================================
+// PRICING MANAGEMENT
+// ============================================
+
+/**
+ * List (GET) or create/update (POST) services, sizes and add-ons
+ * POST body: { type: 'service'|'size'|'addon', key, name?, price?, is_active? }
+ *            services also take included_revisions? and extra_revision_price?
+ * Existing keys are updated (rename/reprice/deactivate), new keys are created
+ */
+async function handlePricing(req, res) {
+    if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    try {
+        const allowed = await checkRateLimit(req, res, 'admin_pricing', 30, 60000);
+        if (!allowed) return;
+
+        const user = await requireAuth(req, res);
+        if (!user) return;
+        if (!requireAdmin(user, res)) return;
+
+        // Check manage_pricing permission - terminate if violated
+        if (!await checkPermissionOrTerminate(user, res, 'manage_pricing', req)) return;
+
+        if (req.method === 'GET') {
+            const [services, sizes, addons] = await Promise.all(
+                ['service', 'size', 'addon'].map(type => supabase
+                    .from(PRICING_TABLES[type].table)
+                    .select('*')
+                    .order(PRICING_TABLES[type].price, { ascending: true }))
+            );
+
+            if (services.error || sizes.error || addons.error) {
+                return res.status(500).json({ error: 'Failed to fetch pricing' });
+            }
+
+            return res.status(200).json({
+                success: true,
+                pricing: { services: services.data, sizes: sizes.data, addons: addons.data }
+            });
+        }
+
+        const validation = validatePricing(req.body);
+        if (!validation.valid) {
+            return res.status(400).json({ error: 'Validation failed', details: validation.errors });
+        }
+
+        const { type, key, name, price, is_active, included_revisions, extra_revision_price } = validation.data;
+        const config = PRICING_TABLES[type];
+
+        const { data: existing } = await supabase
+            .from(config.table)
+            .select('*')
+            .eq(config.key, key)
+            .maybeSingle();
+
+        const changes = {};
+        if (name !== undefined) changes[config.name] = name;
+        if (price !== undefined) changes[config.price] = price;
+        if (is_active !== undefined) changes.is_active = is_active;
+        if (included_revisions !== undefined) changes.included_revisions = included_revisions;
+        if (extra_revision_price !== undefined) changes.extra_revision_price = extra_revision_price;
+
+        let item;
+        if (existing) {
+            if (Object.keys(changes).length === 0) {
+                return res.status(400).json({ error: 'No changes provided' });
+            }
+            if (type === 'service') changes.updated_at = new Date().toISOString();
+
+            const { data, error } = await supabase
+                .from(config.table)
+                .update(changes)
+                .eq('id', existing.id)
+                .select()
+                .single();
+
+            if (error) return res.status(500).json({ error: 'Failed to update pricing' });
+            item = data;
+        } else {
+            if (name === undefined || price === undefined) {
+                return res.status(400).json({ error: 'Name and price required for new items' });
+            }
+
+            const { data, error } = await supabase
+                .from(config.table)
+                .insert({ [config.key]: key, ...changes })
+                .select()
+                .single();
+
+            if (error) return res.status(500).json({ error: 'Failed to create pricing' });
+            item = data;
+        }
+
+        clearPricingCache();
+
+        await logActivity(user.id, existing ? 'PRICING_UPDATED' : 'PRICING_CREATED', 'pricing', item.id, {
+            type,
+            key,
+            old: existing ? {
+                name: existing[config.name],
+                price: existing[config.price],
+                is_active: existing.is_active,
+                included_revisions: existing.included_revisions,
+                extra_revision_price: existing.extra_revision_price
+            } : null,
+            new: {
+                name: item[config.name],
+                price: item[config.price],
+                is_active: item.is_active,
+                included_revisions: item.included_revisions,
+                extra_revision_price: item.extra_revision_price
+            }
+        }, req);
+
+        res.status(existing ? 200 : 201).json({ success: true, item });
+    } catch (error) {
+        console.error('Pricing management error:', error);
+        res.status(500).json({ error: 'Failed to manage pricing' });
+    }
+}
+
+/**
+ * List coupons (GET) or create/update a coupon by code (POST)
+ */
+async function handleCoupons(req, res) {
+    if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    try {
+        const allowed = await checkRateLimit(req, res, 'admin_coupons', 30, 60000);
+        if (!allowed) return;
+
+        const user = await requireAuth(req, res);
+        if (!user) return;
+        if (!requireAdmin(user, res)) return;
+
+        // Coupons are discounts on pricing - same permission
+        if (!await checkPermissionOrTerminate(user, res, 'manage_pricing', req)) return;
+
+        if (req.method === 'GET') {
+            const [coupons, redemptions] = await Promise.all([
+                supabase.from('coupons').select('*').order('created_at', { ascending: false }),
+                supabase.from('coupon_redemptions').select('coupon_id, discount')
+            ]);
+
+            if (coupons.error || redemptions.error) {
+                return res.status(500).json({ error: 'Failed to fetch coupons' });
+            }
+
+            const usage = {};
+            (redemptions.data || []).forEach(r => {
+                usage[r.coupon_id] = usage[r.coupon_id] || { uses: 0, total_discount: 0 };
+                usage[r.coupon_id].uses++;
+                usage[r.coupon_id].total_discount += r.discount;
+            });
+
+            return res.status(200).json({
+                success: true,
+                coupons: coupons.data.map(c => ({
+                    ...c,
+                    uses: usage[c.id]?.uses || 0,
+                    total_discount: usage[c.id]?.total_discount || 0
+                }))
+            });
+        }
+
+        const validation = validateCoupon(req.body);
+        if (!validation.valid) {
+            return res.status(400).json({ error: 'Validation failed', details: validation.errors });
+        }
+
+        const { code, ...changes } = validation.data;
+
+        const { data: existing } = await supabase
+            .from('coupons')
+            .select('*')
+            .eq('code', code)
+            .maybeSingle();
+
+        let coupon;
+        if (existing) {
+            if (Object.keys(changes).length === 0) {
+                return res.status(400).json({ error: 'No changes provided' });
+            }
+
+            const type = changes.discount_type || existing.discount_type;
+            const value = changes.discount_value || existing.discount_value;
+            if (type === 'percent' && value > 100) {
+                return res.status(400).json({ error: 'Percent discount cannot exceed 100' });
+            }
+
+            const { data, error } = await supabase
+                .from('coupons')
+                .update({ ...changes, updated_at: new Date().toISOString() })
+                .eq('id', existing.id)
+                .select()
+                .single();
+
+            if (error) return res.status(500).json({ error: 'Failed to update coupon' });
+            coupon = data;
+        } else {
+            if (!changes.discount_type || !changes.discount_value) {
+                return res.status(400).json({ error: 'Discount type and value required for new coupons' });
+            }
+
+            const { data, error } = await supabase
+                .from('coupons')
+                .insert({ code, ...changes, created_by: user.id })
+                .select()
+                .single();
+
+            if (error) return res.status(500).json({ error: 'Failed to create coupon' });
+            coupon = data;
+        }
+
+        await logActivity(user.id, existing ? 'COUPON_UPDATED' : 'COUPON_CREATED', 'coupon', coupon.id, {
+            code,
+            changes
+        }, req);
+
+        res.status(existing ? 200 : 201).json({ success: true, coupon });
+    } catch (error) {
+        console.error('Coupon management error:', error);
+        res.status(500).json({ error: 'Failed to manage coupons' });
+    }
+}
+
+/**
+ * List currencies (GET) or create/update a currency's conversion rate (POST)
+ */
+async function handleCurrencies(req, res) {
+    if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    try {
+        const allowed = await checkRateLimit(req, res, 'admin_currencies', 30, 60000);
+        if (!allowed) return;
+
+        const user = await requireAuth(req, res);
+        if (!user) return;
+        if (!requireAdmin(user, res)) return;
+
+        // Check manage_pricing permission - terminate if violated
+        if (!await checkPermissionOrTerminate(user, res, 'manage_pricing', req)) return;
+
+        if (req.method === 'GET') {
+            const { data, error } = await supabase
+                .from('currencies')
+                .select('*')
+                .order('code', { ascending: true });
+
+            if (error) return res.status(500).json({ error: 'Failed to fetch currencies' });
+
+            return res.status(200).json({ success: true, base_currency: BASE_CURRENCY, currencies: data });
+        }
+
+        const validation = validateCurrency(req.body);
+        if (!validation.valid) {
+            return res.status(400).json({ error: 'Validation failed', details: validation.errors });
+        }
+
+        const { code, ...changes } = validation.data;
+
+        if (code === BASE_CURRENCY) {
+            return res.status(400).json({ error: `${BASE_CURRENCY} is the base currency and cannot be changed` });
+        }
+
+        const { data: existing } = await supabase
+            .from('currencies')
+            .select('*')
+            .eq('code', code)
+            .maybeSingle();
+
+        let currency;
+        if (existing) {
+            if (Object.keys(changes).length === 0) {
+                return res.status(400).json({ error: 'No changes provided' });
+            }
+
+            const { data, error } = await supabase
+                .from('currencies')
+                .update({ ...changes, updated_at: new Date().toISOString() })
+                .eq('id', existing.id)
+                .select()
+                .single();
+
+            if (error) return res.status(500).json({ error: 'Failed to update currency' });
+            currency = data;
+        } else {
+            if (!changes.currency_name || !changes.rate_to_inr) {
+                return res.status(400).json({ error: 'Name and rate required for new currencies' });
+            }
+
+            const { data, error } = await supabase
+                .from('currencies')
+                .insert({ code, ...changes })
+                .select()
+                .single();
+
+            if (error) return res.status(500).json({ error: 'Failed to create currency' });
+            currency = data;
+        }
+
+        clearPricingCache();
+
+        await logActivity(user.id, existing ? 'CURRENCY_UPDATED' : 'CURRENCY_CREATED', 'currency', currency.id, {
+            code,
+            old: existing ? { rate_to_inr: existing.rate_to_inr, is_active: existing.is_active } : null,
+            new: { rate_to_inr: currency.rate_to_inr, is_active: currency.is_active }
+        }, req);
+
+        res.status(existing ? 200 : 201).json({ success: true, currency });
+    } catch (error) {
+        console.error('Currency management error:', error);
+        res.status(500).json({ error: 'Failed to manage currencies' });
+    }
+}
+
+// ============================================
+// WEBHOOK EVENTS
+// ============================================
+
+/**
+ * List stored Razorpay webhook events (newest first)
+ */
+async function handleWebhookEvents(req, res) {
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+    try {
+        const user = await requireAuth(req, res);
+        if (!user) return;
+        if (!requireAdmin(user, res)) return;
+
+        // Check manage_orders permission - terminate if violated
+        if (!await checkPermissionOrTerminate(user, res, 'manage_orders', req)) return;
+
+        const { status } = req.query;
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('webhook_events')
+            .select('id, event_id, event_type, status, attempts, last_error, received_at, processed_at, updated_at', { count: 'exact' })
+            .order('received_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (status) query = query.eq('status', status);
+
+        const { data: events, error, count } = await query;
+        if (error) return res.status(500).json({ error: 'Failed to fetch webhook events' });
+
+        res.status(200).json({
+            success: true,
+            events: (events || []).map(e => ({ ...e, replayable: isReplayable(e) })),
+            pagination: { page, limit, total: count }
+        });
+    } catch (error) {
+        console.error('Get webhook events error:', error);
+        res.status(500).json({ error: 'Failed to fetch webhook events' });
+    }
+}
+
+/**
+ * Re-run a failed webhook event from its stored payload
+ */
+async function handleReplayWebhook(req, res) {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    try {
+        const allowed = await checkRateLimit(req, res, 'admin_replay_webhook', 20, 60000);
+        if (!allowed) return;
+
+        const user = await requireAuth(req, res);
+        if (!user) return;
+        if (!requireAdmin(user, res)) return;
+
+        // Check manage_orders permission - terminate if violated
+        if (!await checkPermissionOrTerminate(user, res, 'manage_orders', req)) return;
+
+        const { id } = req.query;
+        if (!id) return res.status(400).json({ error: 'Event ID required' });
+
+        const { data: event } = await supabase
+            .from('webhook_events')
+            .select('*')
+            .eq('id', id)
+            .single();
+
+        if (!event) return res.status(404).json({ error: 'Webhook event not found' });
+
+        if (!isReplayable(event)) {
+            return res.status(409).json({ error: `Only failed or stuck events can be replayed (status: ${event.status})` });
+        }
+
+        const result = await processWebhookEvent(event);
+
+        await logActivity(user.id, 'WEBHOOK_EVENT_REPLAYED', 'webhook', event.id, {
+            event_id: event.event_id,
+            event_type: event.event_type,
+            result: result.status,
+            error: result.error || null
+        }, req);
+
+        if (result.status === 'failed') {
+            return res.status(502).json({ error: 'Replay failed', details: result.error });
+        }
+
+        res.status(200).json({ success: true, status: result.status });
+    } catch (error) {
+        console.error('Replay webhook error:', error);
+        res.status(500).json({ error: 'Failed to replay webhook event' });
+    }
+}
+
 // ============================================
 // ADVANCED LOGGING (Super Admin Only)
 // ============================================
@@ -485,7 +996,7 @@ async function handleAdvancedCustomers(req, res) {
 
         const { data: orders, error } = await supabase
             .from('orders')
-            .select('id, order_number, user_id, guest_name, guest_email, guest_phone, service_name, total, advance, status, payment_verified, created_at')
+            .select('id, order_number, user_id, guest_name, guest_email, guest_phone, service_name, total, advance, currency, exchange_rate, status, payment_verified, created_at')
             .order('created_at', { ascending: false })
             .limit(500);
 
@@ -526,11 +1037,12 @@ async function handleAdvancedCustomers(req, res) {
                 order_number: o.order_number,
                 service: o.service_name,
                 total: o.total,
+                currency: o.currency,
                 status: o.status,
                 paid: o.payment_verified,
                 date: o.created_at
             });
-            if (o.payment_verified) customerMap[key].total_spent += o.total || 0;
+            if (o.payment_verified) customerMap[key].total_spent += toInr(o);
             customerMap[key].total_orders++;
         });
 
@@ -599,7 +1111,7 @@ async function handleAdvancedSessions(req, res) {
 
         const { data: sessions, error } = await supabase
             .from('refresh_tokens')
-            .select('id, user_id, ip_address, user_agent, created_at, expires_at')
+            .select('id, user_id, family_id, ip_address, user_agent, created_at, last_used_at, expires_at')
             .is('revoked_at', null)
             .gt('expires_at', new Date().toISOString())
             .order('created_at', { ascending: false })
@@ -607,8 +1119,16 @@ async function handleAdvancedSessions(req, res) {
 
         if (error) return res.status(500).json({ error: 'Failed to fetch sessions' });
 
+        // Stolen refresh tokens caught by reuse detection (their family was revoked)
+        const { data: reuseEvents } = await supabase
+            .from('activity_logs')
+            .select('id, user_id, details, ip_address, user_agent, created_at')
+            .eq('action', 'REFRESH_TOKEN_REUSE')
+            .order('created_at', { ascending: false })
+            .limit(50);
+
         // Get user details
-        const userIds = [...new Set(sessions.map(s => s.user_id))];
+        const userIds = [...new Set([...sessions, ...(reuseEvents || [])].map(s => s.user_id).filter(Boolean))];
         const { data: usersData } = await supabase
             .from('users')
             .select('id, email, name, role')
@@ -622,7 +1142,12 @@ async function handleAdvancedSessions(req, res) {
             users: userMap[s.user_id] || null
         }));
 
-        res.status(200).json({ success: true, sessions: enrichedSessions });
+        const enrichedEvents = (reuseEvents || []).map(e => ({
+            ...e,
+            users: userMap[e.user_id] || null
+        }));
+
+        res.status(200).json({ success: true, sessions: enrichedSessions, reuse_events: enrichedEvents });
     } catch (error) {
         console.error('Advanced sessions error:', error);
         res.status(500).json({ error: 'Failed to fetch sessions' });
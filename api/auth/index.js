@@ -5,17 +5,62 @@
  * POST /api/auth?action=refresh
  * POST /api/auth?action=logout
  * GET /api/auth?action=me
+ * POST /api/auth?action=forgot-password
+ * POST /api/auth?action=reset-password
+ * POST /api/auth?action=verify-email
+ * POST /api/auth?action=resend-verification
+ * POST /api/auth?action=change-password
+ * GET /api/auth?action=sessions
+ * POST /api/auth?action=revoke-session
+ * POST /api/auth?action=revoke-other-sessions
+ * POST /api/auth?action=login-2fa
+ * GET /api/auth?action=2fa-status
+ * POST /api/auth?action=2fa-setup
+ * POST /api/auth?action=2fa-enable
+ * POST /api/auth?action=2fa-disable
+ * POST /api/auth?action=2fa-recovery-codes
+ * GET /api/auth?action=oauth-providers
+ * GET /api/auth?action=oauth-start&provider=google
+ * GET /api/auth?action=oauth-callback
  */
 
+const crypto = require('crypto');
 const { supabase } = require('../../lib/supabase');
 const {
     hashPassword, verifyPassword,
     generateAccessToken, generateRefreshToken, verifyRefreshToken,
-    hashToken, createCookieHeader, parseCookies
+    generateMfaToken, verifyMfaToken, generateOAuthStateToken, verifyOAuthStateToken, hashToken, generateRandomToken, createCookieHeader, parseCookies
 } = require('../../lib/auth');
-const { handleCors, requireAuth, checkRateLimit, getClientIP, getUserAgent, isSuperAdmin } = require('../../lib/middleware');
-const { validateRegister, validateLogin } = require('../../lib/validators');
+const {
+    handleCors, requireAuth, checkRateLimit, getClientIP, getUserAgent,
+    isSuperAdmin, applyTwoFactorPolicy
+} = require('../../lib/middleware');
+const {
+    validateRegister, validateLogin, validateForgotPassword,
+    validateResetPassword, validateVerifyEmail, validateChangePassword,
+    validateLoginTwoFactor, validateTwoFactorCode, validateDisableTwoFactor
+} = require('../../lib/validators');
 const { logActivity } = require('../../lib/logger');
+const { bumpTokenVersion, revokeUserSessions } = require('../../lib/sessions');
+const { queueEmail } = require('../../lib/mailer');
+const { getSiteUrl } = require('../../lib/config');
+const {
+    generateSecret, verifyCode, getOtpAuthUrl, encryptSecret, decryptSecret,
+    generateRecoveryCodes, normalizeRecoveryCode
+} = require('../../lib/totp');
+const { getProvider, getEnabledProviders, createAuthRequest, getAuthorizationUrl, fetchProfile } = require('../../lib/oauth');
+
+// A rotated refresh token presented again within this window is treated as a
+// concurrent refresh (two tabs), not theft
+const REFRESH_REUSE_GRACE_MS = 10 * 1000;
+
+// Emailed token lifetimes
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+
+// Wrong 2FA codes in a row (any IP, any challenge) before sign-in is locked
+const TOTP_MAX_ATTEMPTS = 5;
+const TOTP_LOCK_MINUTES = 15;
 
 module.exports = async (req, res) => {
     if (handleCors(req, res)) return;
@@ -30,10 +75,54 @@ module.exports = async (req, res) => {
         case 'me': return handleMe(req, res);
         case 'health': return handleHealth(req, res);
         case 'update-profile': return handleUpdateProfile(req, res);
+        case 'forgot-password': return handleForgotPassword(req, res);
+        case 'reset-password': return handleResetPassword(req, res);
+        case 'verify-email': return handleVerifyEmail(req, res);
+        case 'resend-verification': return handleResendVerification(req, res);
+        case 'change-password': return handleChangePassword(req, res);
+        case 'sessions': return handleSessions(req, res);
+        case 'revoke-session': return handleRevokeSession(req, res);
+        case 'revoke-other-sessions': return handleRevokeOtherSessions(req, res);
+        case 'login-2fa': return handleLoginTwoFactor(req, res);
+        case '2fa-status': return handleTwoFactorStatus(req, res);
+        case '2fa-setup': return handleTwoFactorSetup(req, res);
+        case '2fa-enable': return handleTwoFactorEnable(req, res);
+        case '2fa-disable': return handleTwoFactorDisable(req, res);
+        case '2fa-recovery-codes': return handleTwoFactorRecoveryCodes(req, res);
+        case 'oauth-providers': return handleOAuthProviders(req, res);
+        case 'oauth-start': return handleOAuthStart(req, res);
+        case 'oauth-callback': return handleOAuthCallback(req, res);
         default: return res.status(400).json({ error: 'Invalid action' });
     }
 };
 
+/**
+ * Store a refresh token (hashed)
+ * A login starts a new family; every rotation of it stays in that family,
+ * so one family is one signed-in session
+ */
+async function storeRefreshToken(userId, refreshToken, req, familyId = crypto.randomUUID()) {
+    const now = new Date();
+
+    await supabase.from('refresh_tokens').insert({
+        user_id: userId,
+        family_id: familyId,
+        token_hash: hashToken(refreshToken),
+        expires_at: new Date(now.getTime() + 14 * 24 * 60 * 60 * 1000).toISOString(), // 14 days
+        last_used_at: now.toISOString(),
+        user_agent: getUserAgent(req),
+        ip_address: getClientIP(req)
+    });
+}
+
+/**
+ * Hash of the refresh token cookie on this request (identifies the current session)
+ */
+function getCurrentSessionHash(req) {
+    const refreshToken = parseCookies(req.headers.cookie).refresh_token;
+    return refreshToken ? hashToken(refreshToken) : null;
+}
+
 async function handleRegister(req, res) {
     if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
@@ -60,7 +149,7 @@ async function handleRegister(req, res) {
         const { data: user, error: createError } = await supabase
             .from('users')
             .insert({ email, password_hash: passwordHash, name, phone: phone || null, role: 'user' })
-            .select('id, email, name, role')
+            .select('id, email, name, role, token_version')
             .single();
 
         if (createError) return res.status(500).json({ error: 'Failed to create user' });
@@ -68,16 +157,12 @@ async function handleRegister(req, res) {
         const accessToken = generateAccessToken(user);
         const refreshToken = generateRefreshToken(user);
 
-        await supabase.from('refresh_tokens').insert({
-            user_id: user.id,
-            token_hash: hashToken(refreshToken),
-            expires_at: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString(), // 14 days
-            user_agent: getUserAgent(req),
-            ip_address: getClientIP(req)
-        });
+        await storeRefreshToken(user.id, refreshToken, req);
 
         await logActivity(user.id, 'USER_REGISTERED', 'user', user.id, { email: user.email }, req);
 
+        await sendVerificationEmail(user, req);
+
         res.setHeader('Set-Cookie', [
             createCookieHeader('access_token', accessToken, { maxAge: 60 * 60, httpOnly: true, secure: process.env.NODE_ENV === 'production', sameSite: 'Lax' }), // 1 hour
             createCookieHeader('refresh_token', refreshToken, { maxAge: 14 * 24 * 60 * 60, httpOnly: true, secure: process.env.NODE_ENV === 'production', sameSite: 'Lax', path: '/api/auth' }) // 14 days
@@ -106,7 +191,7 @@ async function handleLogin(req, res) {
 
         const { data: user, error: userError } = await supabase
             .from('users')
-            .select('id, email, password_hash, name, role, banned, banned_reason')
+            .select('id, email, password_hash, name, role, banned, banned_reason, totp_enabled, token_version')
             .eq('email', email)
             .single();
 
@@ -126,38 +211,64 @@ async function handleLogin(req, res) {
             return res.status(401).json({ error: 'Invalid email or password' });
         }
 
-        const accessToken = generateAccessToken(user);
-        const refreshToken = generateRefreshToken(user);
+        // Second step - no tokens until the authenticator code is checked
+        if (user.totp_enabled) {
+            await logActivity(user.id, 'LOGIN_2FA_CHALLENGE', 'auth', user.id, {}, req);
+            return res.status(200).json({ success: true, requires_2fa: true, challenge_token: generateMfaToken(user) });
+        }
+
+        await completeLogin(user, req, res);
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+}
 
-        const clientIP = getClientIP(req);
+/**
+ * Issue tokens once every login step has passed
+ * @returns {{ accessToken: string, cookies: string[] }} cookies for Set-Cookie
+ */
+async function createSession(user, req, details = {}) {
+    const accessToken = generateAccessToken(user);
+    const refreshToken = generateRefreshToken(user);
 
-        await supabase.from('refresh_tokens').insert({
-            user_id: user.id,
-            token_hash: hashToken(refreshToken),
-            expires_at: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString(), // 14 days
-            user_agent: getUserAgent(req),
-            ip_address: clientIP
-        });
+    const clientIP = getClientIP(req);
 
-        // Save IP and last login to user record
-        await supabase.from('users').update({
-            last_login: new Date().toISOString(),
-            last_ip: clientIP
-        }).eq('id', user.id);
+    await storeRefreshToken(user.id, refreshToken, req);
 
-        await logActivity(user.id, 'LOGIN_SUCCESS', 'auth', user.id, { ip: clientIP }, req);
+    // Save IP and last login to user record
+    await supabase.from('users').update({
+        last_login: new Date().toISOString(),
+        last_ip: clientIP
+    }).eq('id', user.id);
 
-        // Cookie expiry (14 days for refresh, 1 hour for access)
-        res.setHeader('Set-Cookie', [
+    await logActivity(user.id, 'LOGIN_SUCCESS', 'auth', user.id, { ip: clientIP, ...details }, req);
+
+    // Cookie expiry (14 days for refresh, 1 hour for access)
+    return {
+        accessToken,
+        cookies: [
             createCookieHeader('access_token', accessToken, { maxAge: 60 * 60, httpOnly: true, secure: process.env.NODE_ENV === 'production', sameSite: 'Lax' }),
             createCookieHeader('refresh_token', refreshToken, { maxAge: 14 * 24 * 60 * 60, httpOnly: true, secure: process.env.NODE_ENV === 'production', sameSite: 'Lax', path: '/api/auth' })
-        ]);
+        ]
+    };
+}
 
-        res.status(200).json({ success: true, user: { id: user.id, email: user.email, name: user.name, role: user.role }, accessToken });
-    } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ error: 'Login failed' });
-    }
+/**
+ * Sign in and respond with the user (password / 2FA login)
+ */
+async function completeLogin(user, req, res, details = {}) {
+    const { accessToken, cookies } = await createSession(user, req, details);
+
+    res.setHeader('Set-Cookie', cookies);
+
+    const { role, two_factor_setup_required: setupRequired } = applyTwoFactorPolicy({ ...user });
+
+    res.status(200).json({
+        success: true,
+        user: { id: user.id, email: user.email, name: user.name, role, two_factor_setup_required: !!setupRequired },
+        accessToken
+    });
 }
 
 async function handleRefresh(req, res) {
@@ -181,32 +292,43 @@ async function handleRefresh(req, res) {
             .select('*')
             .eq('token_hash', tokenHash)
             .eq('user_id', payload.sub)
-            .is('revoked_at', null)
-            .gt('expires_at', new Date().toISOString())
-            .single();
+            .maybeSingle();
 
         if (!tokenRecord) return res.status(401).json({ error: 'Refresh token expired or revoked' });
 
+        if (tokenRecord.revoked_at) {
+            await handleRefreshTokenReuse(tokenRecord, req);
+            return res.status(401).json({ error: 'Refresh token expired or revoked' });
+        }
+
+        if (new Date(tokenRecord.expires_at) <= new Date()) {
+            return res.status(401).json({ error: 'Refresh token expired or revoked' });
+        }
+
         const { data: user } = await supabase
-            .from('users').select('id, email, name, role, banned').eq('id', payload.sub).single();
+            .from('users').select('id, email, name, role, banned, token_version').eq('id', payload.sub).single();
 
         if (!user) return res.status(401).json({ error: 'User not found' });
         if (user.banned) {
-            await supabase.from('refresh_tokens').update({ revoked_at: new Date().toISOString() }).eq('id', tokenRecord.id);
+            await supabase.from('refresh_tokens').update({ revoked_at: new Date().toISOString(), revoked_reason: 'banned' }).eq('id', tokenRecord.id);
             return res.status(403).json({ error: 'Account suspended' });
         }
 
+        // Rotate - conditional so two concurrent refreshes can't both succeed
+        const { data: rotated } = await supabase
+            .from('refresh_tokens')
+            .update({ revoked_at: new Date().toISOString(), revoked_reason: 'rotated' })
+            .eq('id', tokenRecord.id)
+            .is('revoked_at', null)
+            .select('id')
+            .maybeSingle();
+
+        if (!rotated) return res.status(401).json({ error: 'Refresh token expired or revoked' });
+
         const newAccessToken = generateAccessToken(user);
         const newRefreshToken = generateRefreshToken(user);
 
-        await supabase.from('refresh_tokens').update({ revoked_at: new Date().toISOString() }).eq('id', tokenRecord.id);
-        await supabase.from('refresh_tokens').insert({
-            user_id: user.id,
-            token_hash: hashToken(newRefreshToken),
-            expires_at: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString(), // 14 days
-            user_agent: getUserAgent(req),
-            ip_address: getClientIP(req)
-        });
+        await storeRefreshToken(user.id, newRefreshToken, req, tokenRecord.family_id);
 
         await logActivity(user.id, 'TOKEN_REFRESHED', 'auth', user.id, {}, req);
 
@@ -222,6 +344,35 @@ async function handleRefresh(req, res) {
     }
 }
 
+/**
+ * A revoked refresh token came back - someone is holding a copy of it
+ * Revoke its whole family so neither the thief nor the victim's rotated token works,
+ * and bump the token version to kill any access token the thief minted with it
+ * (the user's other devices just refresh)
+ */
+async function handleRefreshTokenReuse(tokenRecord, req) {
+    // Another tab refreshed with the same cookie a moment ago
+    const revokedAgo = Date.now() - new Date(tokenRecord.revoked_at).getTime();
+    if (tokenRecord.revoked_reason === 'rotated' && revokedAgo < REFRESH_REUSE_GRACE_MS) return;
+
+    const { data: revoked } = await supabase
+        .from('refresh_tokens')
+        .update({ revoked_at: new Date().toISOString(), revoked_reason: 'reuse_detected' })
+        .eq('family_id', tokenRecord.family_id)
+        .is('revoked_at', null)
+        .select('id');
+
+    await bumpTokenVersion(tokenRecord.user_id);
+
+    await logActivity(tokenRecord.user_id, 'REFRESH_TOKEN_REUSE', 'auth', tokenRecord.user_id, {
+        family_id: tokenRecord.family_id,
+        token_id: tokenRecord.id,
+        token_revoked_at: tokenRecord.revoked_at,
+        token_revoked_reason: tokenRecord.revoked_reason,
+        sessions_revoked: revoked?.length || 0
+    }, req);
+}
+
 async function handleLogout(req, res) {
     if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
@@ -231,7 +382,7 @@ async function handleLogout(req, res) {
 
         if (refreshToken) {
             const tokenHash = hashToken(refreshToken);
-            await supabase.from('refresh_tokens').update({ revoked_at: new Date().toISOString() }).eq('token_hash', tokenHash);
+            await supabase.from('refresh_tokens').update({ revoked_at: new Date().toISOString(), revoked_reason: 'logout' }).eq('token_hash', tokenHash).is('revoked_at', null);
         }
 
         res.setHeader('Set-Cookie', [
@@ -263,6 +414,9 @@ async function handleMe(req, res) {
                 email: user.email,
                 name: user.name,
                 role: user.role,
+                email_verified: !!user.email_verified,
+                two_factor_enabled: !!user.totp_enabled,
+                two_factor_setup_required: !!user.two_factor_setup_required,
                 admin_permissions: user.admin_permissions,
                 is_super_admin: isSuperAdmin(user)
             }
@@ -359,3 +513,980 @@ async function handleUpdateProfile(req, res) {
         res.status(500).json({ error: 'Failed to update profile' });
     }
 }
+
+/**
+ * Issue a single-use emailed token (only the hash is stored)
+ * Any earlier unused token of the same purpose stops working
+ * @returns {string} Raw token for the email link
+ */
+async function issueAuthToken(userId, purpose, ttlMs, req) {
+    const now = new Date().toISOString();
+
+    await supabase
+        .from('auth_tokens')
+        .update({ used_at: now })
+        .eq('user_id', userId)
+        .eq('purpose', purpose)
+        .is('used_at', null);
+
+    const token = generateRandomToken();
+
+    const { error } = await supabase.from('auth_tokens').insert({
+        user_id: userId,
+        purpose,
+        token_hash: hashToken(token),
+        expires_at: new Date(Date.now() + ttlMs).toISOString(),
+        ip_address: getClientIP(req)
+    });
+
+    if (error) throw error;
+
+    return token;
+}
+
+/**
+ * Use up an emailed token - the conditional update means it works exactly once
+ * @returns {object|null} Token record, or null if invalid, used or expired
+ */
+async function consumeAuthToken(token, purpose) {
+    const now = new Date().toISOString();
+
+    const { data: record } = await supabase
+        .from('auth_tokens')
+        .update({ used_at: now })
+        .eq('token_hash', hashToken(token))
+        .eq('purpose', purpose)
+        .is('used_at', null)
+        .gt('expires_at', now)
+        .select('id, user_id')
+        .maybeSingle();
+
+    return record || null;
+}
+
+/**
+ * Email a verification link to a newly registered (or unverified) user
+ */
+async function sendVerificationEmail(user, req) {
+    try {
+        const token = await issueAuthToken(user.id, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000, req);
+
+        await queueEmail('emailVerification', user.email, {
+            name: user.name,
+            verifyUrl: `${getSiteUrl()}/auth.html?verify=${token}`
+        }, { type: 'user', id: user.id });
+    } catch (error) {
+        console.error('Verification email error:', error);
+    }
+}
+
+async function handleForgotPassword(req, res) {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    try {
+        const allowed = await checkRateLimit(req, res, 'forgot_password', 5, 3600000);
+        if (!allowed) return;
+
+        const validation = validateForgotPassword(req.body);
+        if (!validation.valid) {
+            return res.status(400).json({ error: 'Validation failed', details: validation.errors });
+        }
+
+        const { email } = validation.data;
+
+        // Same response whether or not the account exists (no email enumeration)
+        const response = { success: true, message: 'If an account exists for that email, a reset link has been sent' };
+
+        const { data: user } = await supabase
+            .from('users')
+            .select('id, email, name, banned')
+            .eq('email', email)
+            .maybeSingle();
+
+        if (!user || user.banned) {
+            await logActivity(null, 'PASSWORD_RESET_REQUESTED', 'auth', null, { email, reason: user ? 'banned' : 'user_not_found' }, req);
+            return res.status(200).json(response);
+        }
+
+        // Limit reset emails per account as well as per IP
+        const { count: recentResets } = await supabase
+            .from('auth_tokens')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', user.id)
+            .eq('purpose', 'password_reset')
+            .gt('created_at', new Date(Date.now() - 3600000).toISOString());
+
+        if (recentResets >= 3) {
+            await logActivity(user.id, 'PASSWORD_RESET_THROTTLED', 'auth', user.id, {}, req);
+            return res.status(200).json(response);
+        }
+
+        const token = await issueAuthToken(user.id, 'password_reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000, req);
+
+        await queueEmail('passwordReset', user.email, {
+            name: user.name,
+            resetUrl: `${getSiteUrl()}/auth.html?reset=${token}`,
+            expiresMinutes: PASSWORD_RESET_TTL_MINUTES
+        }, { type: 'user', id: user.id });
+
+        await logActivity(user.id, 'PASSWORD_RESET_REQUESTED', 'auth', user.id, {}, req);
+
+        res.status(200).json(response);
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Failed to process request' });
+    }
+}
+
+async function handleResetPassword(req, res) {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    try {
+        const allowed = await checkRateLimit(req, res, 'reset_password', 10, 15 * 60 * 1000);
+        if (!allowed) return;
+
+        const validation = validateResetPassword(req.body);
+        if (!validation.valid) {
+            return res.status(400).json({ error: 'Validation failed', details: validation.errors });
+        }
+
+        const { token, password } = validation.data;
+
+        const record = await consumeAuthToken(token, 'password_reset');
+        if (!record) {
+            return res.status(400).json({ error: 'Invalid or expired reset link' });
+        }
+
+        const passwordHash = await hashPassword(password);
+        const now = new Date().toISOString();
+
+        const { error: updateError } = await supabase
+            .from('users')
+            .update({ password_hash: passwordHash, updated_at: now })
+            .eq('id', record.user_id);
+
+        if (updateError) {
+            console.error('Password reset update error:', updateError);
+            return res.status(500).json({ error: 'Failed to reset password' });
+        }
+
+        // Following the emailed link also proves the address (an earlier
+        // verification keeps its timestamp)
+        await supabase
+            .from('users')
+            .update({ email_verified: true, email_verified_at: now })
+            .eq('id', record.user_id)
+            .eq('email_verified', false);
+
+        // Sign out everywhere - a stolen session must not survive the reset
+        await revokeUserSessions(record.user_id, 'password_reset');
+
+        await logActivity(record.user_id, 'PASSWORD_RESET', 'auth', record.user_id, {}, req);
+
+        res.setHeader('Set-Cookie', [
+            createCookieHeader('access_token', '', { maxAge: 0, httpOnly: true, secure: process.env.NODE_ENV === 'production', sameSite: 'Lax' }),
+            createCookieHeader('refresh_token', '', { maxAge: 0, httpOnly: true, secure: process.env.NODE_ENV === 'production', sameSite: 'Lax', path: '/api/auth' })
+        ]);
+
+        res.status(200).json({ success: true, message: 'Password reset. Please sign in with your new password.' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    }
+}
+
+async function handleVerifyEmail(req, res) {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    try {
+        const allowed = await checkRateLimit(req, res, 'verify_email', 10, 15 * 60 * 1000);
+        if (!allowed) return;
+
+        const validation = validateVerifyEmail(req.body);
+        if (!validation.valid) {
+            return res.status(400).json({ error: 'Validation failed', details: validation.errors });
+        }
+
+        const record = await consumeAuthToken(validation.data.token, 'email_verification');
+        if (!record) {
+            return res.status(400).json({ error: 'Invalid or expired verification link' });
+        }
+
+        const now = new Date().toISOString();
+
+        const { error: updateError } = await supabase
+            .from('users')
+            .update({ email_verified: true, email_verified_at: now, updated_at: now })
+            .eq('id', record.user_id);
+
+        if (updateError) {
+            console.error('Email verification update error:', updateError);
+            return res.status(500).json({ error: 'Failed to verify email' });
+        }
+
+        await logActivity(record.user_id, 'EMAIL_VERIFIED', 'user', record.user_id, {}, req);
+
+        res.status(200).json({ success: true, message: 'Email verified' });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({ error: 'Failed to verify email' });
+    }
+}
+
+async function handleResendVerification(req, res) {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    try {
+        const user = await requireAuth(req, res);
+        if (!user) return;
+
+        const allowed = await checkRateLimit(req, res, `resend_verification_${user.id}`, 3, 3600000);
+        if (!allowed) return;
+
+        if (user.email_verified) {
+            return res.status(400).json({ error: 'Email already verified' });
+        }
+
+        await sendVerificationEmail(user, req);
+
+        await logActivity(user.id, 'VERIFICATION_EMAIL_RESENT', 'user', user.id, {}, req);
+
+        res.status(200).json({ success: true, message: 'Verification email sent' });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Failed to send verification email' });
+    }
+}
+
+async function handleChangePassword(req, res) {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    try {
+        const allowed = await checkRateLimit(req, res, 'change_password', 5, 15 * 60 * 1000);
+        if (!allowed) return;
+
+        const user = await requireAuth(req, res);
+        if (!user) return;
+
+        const validation = validateChangePassword(req.body);
+        if (!validation.valid) {
+            return res.status(400).json({ error: 'Validation failed', details: validation.errors });
+        }
+
+        const { current_password: currentPassword, new_password: newPassword } = validation.data;
+
+        const { data: account } = await supabase
+            .from('users')
+            .select('password_hash')
+            .eq('id', user.id)
+            .single();
+
+        const validPassword = account && await verifyPassword(currentPassword, account.password_hash);
+        if (!validPassword) {
+            await logActivity(user.id, 'PASSWORD_CHANGE_FAILED', 'auth', user.id, { reason: 'invalid_password' }, req);
+            return res.status(401).json({ error: 'Current password is incorrect' });
+        }
+
+        if (currentPassword === newPassword) {
+            return res.status(400).json({ error: 'New password must be different from the current one' });
+        }
+
+        const passwordHash = await hashPassword(newPassword);
+        const now = new Date().toISOString();
+
+        const { error: updateError } = await supabase
+            .from('users')
+            .update({ password_hash: passwordHash, updated_at: now })
+            .eq('id', user.id);
+
+        if (updateError) {
+            console.error('Change password update error:', updateError);
+            return res.status(500).json({ error: 'Failed to change password' });
+        }
+
+        // Keep this device signed in, sign out everywhere else
+        const { tokenVersion } = await revokeUserSessions(user.id, 'password_changed', {
+            exceptTokenHash: getCurrentSessionHash(req)
+        });
+
+        await logActivity(user.id, 'PASSWORD_CHANGED', 'auth', user.id, {}, req);
+
+        // The bump revoked this device's access token too - replace it
+        res.setHeader('Set-Cookie', [
+            createCookieHeader('access_token', generateAccessToken({ ...user, token_version: tokenVersion }), { maxAge: 60 * 60, httpOnly: true, secure: process.env.NODE_ENV === 'production', sameSite: 'Lax' })
+        ]);
+
+        res.status(200).json({ success: true, message: 'Password changed. Other devices have been signed out.' });
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({ error: 'Failed to change password' });
+    }
+}
+
+async function handleSessions(req, res) {
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+    try {
+        const allowed = await checkRateLimit(req, res, 'auth_sessions', 30, 60000);
+        if (!allowed) return;
+
+        const user = await requireAuth(req, res);
+        if (!user) return;
+
+        const { data: sessions, error } = await supabase
+            .from('refresh_tokens')
+            .select('id, token_hash, ip_address, user_agent, created_at, last_used_at, expires_at')
+            .eq('user_id', user.id)
+            .is('revoked_at', null)
+            .gt('expires_at', new Date().toISOString())
+            .order('last_used_at', { ascending: false });
+
+        if (error) return res.status(500).json({ error: 'Failed to fetch sessions' });
+
+        const currentHash = getCurrentSessionHash(req);
+
+        res.status(200).json({
+            success: true,
+            sessions: (sessions || []).map(({ token_hash: tokenHash, ...session }) => ({
+                ...session,
+                last_used_at: session.last_used_at || session.created_at,
+                current: tokenHash === currentHash
+            }))
+        });
+    } catch (error) {
+        console.error('Sessions error:', error);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+}
+
+async function handleRevokeSession(req, res) {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    try {
+        const allowed = await checkRateLimit(req, res, 'revoke_session', 20, 60000);
+        if (!allowed) return;
+
+        const user = await requireAuth(req, res);
+        if (!user) return;
+
+        const sessionId = req.body?.session_id;
+        if (!sessionId || typeof sessionId !== 'string') {
+            return res.status(400).json({ error: 'Session ID required' });
+        }
+
+        // Scoped to the user's own sessions
+        const { data: session } = await supabase
+            .from('refresh_tokens')
+            .select('id, family_id, token_hash')
+            .eq('id', sessionId)
+            .eq('user_id', user.id)
+            .is('revoked_at', null)
+            .maybeSingle();
+
+        if (!session) return res.status(404).json({ error: 'Session not found' });
+
+        await supabase
+            .from('refresh_tokens')
+            .update({ revoked_at: new Date().toISOString(), revoked_reason: 'user_revoked' })
+            .eq('family_id', session.family_id)
+            .is('revoked_at', null);
+
+        await logActivity(user.id, 'SESSION_REVOKED', 'auth', user.id, { session_id: sessionId }, req);
+
+        // Revoking this device's session is a sign out
+        if (session.token_hash === getCurrentSessionHash(req)) {
+            res.setHeader('Set-Cookie', [
+                createCookieHeader('access_token', '', { maxAge: 0, httpOnly: true, secure: process.env.NODE_ENV === 'production', sameSite: 'Lax' }),
+                createCookieHeader('refresh_token', '', { maxAge: 0, httpOnly: true, secure: process.env.NODE_ENV === 'production', sameSite: 'Lax', path: '/api/auth' })
+            ]);
+        }
+
+        res.status(200).json({ success: true, message: 'Session revoked' });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+}
+
+async function handleRevokeOtherSessions(req, res) {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    try {
+        const allowed = await checkRateLimit(req, res, 'revoke_session', 20, 60000);
+        if (!allowed) return;
+
+        const user = await requireAuth(req, res);
+        if (!user) return;
+
+        const currentHash = getCurrentSessionHash(req);
+        if (!currentHash) {
+            return res.status(400).json({ error: 'Current session not found - please sign in again' });
+        }
+
+        const { revoked, tokenVersion } = await revokeUserSessions(user.id, 'user_revoked', {
+            exceptTokenHash: currentHash
+        });
+
+        await logActivity(user.id, 'OTHER_SESSIONS_REVOKED', 'auth', user.id, { count: revoked }, req);
+
+        // The bump revoked this device's access token too - replace it
+        res.setHeader('Set-Cookie', [
+            createCookieHeader('access_token', generateAccessToken({ ...user, token_version: tokenVersion }), { maxAge: 60 * 60, httpOnly: true, secure: process.env.NODE_ENV === 'production', sameSite: 'Lax' })
+        ]);
+
+        res.status(200).json({ success: true, revoked });
+    } catch (error) {
+        console.error('Revoke other sessions error:', error);
+        res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+}
+
+/**
+ * Accept a TOTP code once per time step (conditional update blocks replays)
+ * @returns {boolean}
+ */
+async function checkTotpCode(account, code) {
+    if (!account.totp_secret) return false;
+
+    const step = verifyCode(decryptSecret(account.totp_secret), code, account.totp_last_step ?? null);
+    if (step === null) return false;
+
+    const { data: updated } = await supabase
+        .from('users')
+        .update({ totp_last_step: step })
+        .eq('id', account.id)
+        .or(`totp_last_step.is.null,totp_last_step.lt.${step}`)
+        .select('id')
+        .maybeSingle();
+
+    return !!updated;
+}
+
+/**
+ * Use up a recovery code
+ * @returns {boolean}
+ */
+async function useRecoveryCode(userId, code) {
+    const normalized = normalizeRecoveryCode(code);
+    if (!normalized) return false;
+
+    const { data: used } = await supabase
+        .from('totp_recovery_codes')
+        .update({ used_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .eq('code_hash', hashToken(normalized))
+        .is('used_at', null)
+        .select('id')
+        .maybeSingle();
+
+    return !!used;
+}
+
+/**
+ * Replace a user's recovery codes
+ * @returns {string[]} Plain codes - shown to the user once
+ */
+async function replaceRecoveryCodes(userId) {
+    const codes = generateRecoveryCodes();
+
+    await supabase.from('totp_recovery_codes').delete().eq('user_id', userId);
+
+    const { error } = await supabase.from('totp_recovery_codes').insert(
+        codes.map(code => ({ user_id: userId, code_hash: hashToken(code) }))
+    );
+
+    if (error) throw error;
+
+    return codes;
+}
+
+/**
+ * 2FA fields for the signed-in user (requireAuth doesn't load secrets)
+ */
+async function getTwoFactorAccount(userId) {
+    const { data: account } = await supabase
+        .from('users')
+        .select('id, role, password_hash, totp_enabled, totp_secret, totp_pending_secret, totp_last_step')
+        .eq('id', userId)
+        .single();
+
+    return account;
+}
+
+async function handleLoginTwoFactor(req, res) {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    try {
+        const allowed = await checkRateLimit(req, res, 'login_2fa', 10, 15 * 60 * 1000);
+        if (!allowed) return;
+
+        const validation = validateLoginTwoFactor(req.body);
+        if (!validation.valid) {
+            return res.status(400).json({ error: 'Validation failed', details: validation.errors });
+        }
+
+        const { challenge_token: challengeToken, code, recovery_code: recoveryCode } = validation.data;
+
+        const payload = verifyMfaToken(challengeToken);
+        if (!payload) {
+            return res.status(401).json({ error: 'Sign-in expired, please enter your password again' });
+        }
+
+        const { data: user } = await supabase
+            .from('users')
+            .select('id, email, name, role, banned, banned_reason, totp_enabled, totp_secret, totp_last_step, token_version')
+            .eq('id', payload.sub)
+            .single();
+
+        if (!user || !user.totp_enabled) {
+            return res.status(401).json({ error: 'Sign-in expired, please enter your password again' });
+        }
+
+        if (user.banned) {
+            await logActivity(user.id, 'LOGIN_BLOCKED_BANNED', 'auth', user.id, { reason: user.banned_reason }, req);
+            return res.status(403).json({ error: 'Account suspended', reason: user.banned_reason || 'Contact support' });
+        }
+
+        // Counted before checking so parallel guesses share the limit
+        const { data: attemptAllowed, error: attemptError } = await supabase.rpc('claim_totp_attempt', {
+            p_user_id: user.id,
+            p_max_attempts: TOTP_MAX_ATTEMPTS,
+            p_lock_seconds: TOTP_LOCK_MINUTES * 60
+        });
+
+        if (attemptError) throw attemptError;
+        if (!attemptAllowed) {
+            await logActivity(user.id, 'LOGIN_BLOCKED_2FA_LOCKED', 'auth', user.id, {}, req);
+            return res.status(429).json({
+                error: `Too many incorrect codes. Try again in ${TOTP_LOCK_MINUTES} minutes.`
+            });
+        }
+
+        const verified = code
+            ? await checkTotpCode(user, code)
+            : await useRecoveryCode(user.id, recoveryCode);
+
+        if (!verified) {
+            await logActivity(user.id, 'LOGIN_FAILED', 'auth', user.id, { reason: code ? 'invalid_2fa_code' : 'invalid_recovery_code' }, req);
+            return res.status(401).json({ error: code ? 'Invalid authentication code' : 'Invalid recovery code' });
+        }
+
+        await supabase
+            .from('users')
+            .update({ totp_failed_attempts: 0, totp_locked_until: null })
+            .eq('id', user.id);
+
+        await completeLogin(user, req, res, { two_factor: code ? 'totp' : 'recovery_code' });
+    } catch (error) {
+        console.error('2FA login error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+}
+
+async function handleTwoFactorStatus(req, res) {
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+    try {
+        const user = await requireAuth(req, res);
+        if (!user) return;
+
+        const { count } = await supabase
+            .from('totp_recovery_codes')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', user.id)
+            .is('used_at', null);
+
+        res.status(200).json({
+            success: true,
+            enabled: !!user.totp_enabled,
+            // Admins can't turn it off
+            required: user.role === 'admin' || !!user.two_factor_setup_required,
+            recovery_codes_remaining: user.totp_enabled ? count || 0 : 0
+        });
+    } catch (error) {
+        console.error('2FA status error:', error);
+        res.status(500).json({ error: 'Failed to get 2FA status' });
+    }
+}
+
+async function handleTwoFactorSetup(req, res) {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    try {
+        const allowed = await checkRateLimit(req, res, '2fa_setup', 10, 15 * 60 * 1000);
+        if (!allowed) return;
+
+        const user = await requireAuth(req, res);
+        if (!user) return;
+
+        if (user.totp_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        // Not active until confirmed with a code (2fa-enable)
+        const secret = generateSecret();
+
+        const { error } = await supabase
+            .from('users')
+            .update({ totp_pending_secret: encryptSecret(secret) })
+            .eq('id', user.id);
+
+        if (error) return res.status(500).json({ error: 'Failed to start 2FA setup' });
+
+        res.status(200).json({
+            success: true,
+            secret,
+            otpauth_url: getOtpAuthUrl(secret, user.email)
+        });
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        res.status(500).json({ error: 'Failed to start 2FA setup' });
+    }
+}
+
+async function handleTwoFactorEnable(req, res) {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    try {
+        const allowed = await checkRateLimit(req, res, '2fa_enable', 10, 15 * 60 * 1000);
+        if (!allowed) return;
+
+        const user = await requireAuth(req, res);
+        if (!user) return;
+
+        const validation = validateTwoFactorCode(req.body);
+        if (!validation.valid) {
+            return res.status(400).json({ error: 'Validation failed', details: validation.errors });
+        }
+
+        const account = await getTwoFactorAccount(user.id);
+
+        if (account.totp_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+        if (!account.totp_pending_secret) {
+            return res.status(400).json({ error: 'Start 2FA setup first' });
+        }
+
+        const step = verifyCode(decryptSecret(account.totp_pending_secret), validation.data.code);
+        if (step === null) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        const { error } = await supabase
+            .from('users')
+            .update({
+                totp_enabled: true,
+                totp_secret: account.totp_pending_secret,
+                totp_pending_secret: null,
+                totp_last_step: step,
+                totp_enabled_at: new Date().toISOString()
+            })
+            .eq('id', user.id);
+
+        if (error) return res.status(500).json({ error: 'Failed to enable 2FA' });
+
+        const recoveryCodes = await replaceRecoveryCodes(user.id);
+
+        await logActivity(user.id, 'TWO_FACTOR_ENABLED', 'auth', user.id, {}, req);
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication enabled',
+            recovery_codes: recoveryCodes
+        });
+    } catch (error) {
+        console.error('2FA enable error:', error);
+        res.status(500).json({ error: 'Failed to enable 2FA' });
+    }
+}
+
+async function handleTwoFactorDisable(req, res) {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    try {
+        const allowed = await checkRateLimit(req, res, '2fa_disable', 5, 15 * 60 * 1000);
+        if (!allowed) return;
+
+        const user = await requireAuth(req, res);
+        if (!user) return;
+
+        if (user.role === 'admin') {
+            return res.status(403).json({ error: 'Two-factor authentication is required for admin accounts' });
+        }
+
+        const validation = validateDisableTwoFactor(req.body);
+        if (!validation.valid) {
+            return res.status(400).json({ error: 'Validation failed', details: validation.errors });
+        }
+
+        const { password, code, recovery_code: recoveryCode } = validation.data;
+        const account = await getTwoFactorAccount(user.id);
+
+        if (!account.totp_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        const validPassword = await verifyPassword(password, account.password_hash);
+        const verified = validPassword && (code
+            ? await checkTotpCode(account, code)
+            : await useRecoveryCode(user.id, recoveryCode));
+
+        if (!verified) {
+            await logActivity(user.id, 'TWO_FACTOR_DISABLE_FAILED', 'auth', user.id, {}, req);
+            return res.status(401).json({ error: 'Invalid password or code' });
+        }
+
+        const { error } = await supabase
+            .from('users')
+            .update({
+                totp_enabled: false,
+                totp_secret: null,
+                totp_pending_secret: null,
+                totp_last_step: null,
+                totp_enabled_at: null,
+                totp_failed_attempts: 0,
+                totp_locked_until: null
+            })
+            .eq('id', user.id);
+
+        if (error) return res.status(500).json({ error: 'Failed to disable 2FA' });
+
+        await supabase.from('totp_recovery_codes').delete().eq('user_id', user.id);
+
+        await logActivity(user.id, 'TWO_FACTOR_DISABLED', 'auth', user.id, {}, req);
+
+        res.status(200).json({ success: true, message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({ error: 'Failed to disable 2FA' });
+    }
+}
+
+async function handleTwoFactorRecoveryCodes(req, res) {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    try {
+        const allowed = await checkRateLimit(req, res, '2fa_recovery_codes', 5, 15 * 60 * 1000);
+        if (!allowed) return;
+
+        const user = await requireAuth(req, res);
+        if (!user) return;
+
+        const validation = validateTwoFactorCode(req.body);
+        if (!validation.valid) {
+            return res.status(400).json({ error: 'Validation failed', details: validation.errors });
+        }
+
+        const account = await getTwoFactorAccount(user.id);
+
+        if (!account.totp_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        if (!await checkTotpCode(account, validation.data.code)) {
+            return res.status(401).json({ error: 'Invalid authentication code' });
+        }
+
+        const recoveryCodes = await replaceRecoveryCodes(user.id);
+
+        await logActivity(user.id, 'TWO_FACTOR_RECOVERY_CODES_REGENERATED', 'auth', user.id, {}, req);
+
+        res.status(200).json({ success: true, recovery_codes: recoveryCodes });
+    } catch (error) {
+        console.error('2FA recovery codes error:', error);
+        res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+    }
+}
+
+/**
+ * Send the browser back to the sign in page
+ */
+function redirectToAuthPage(res, query, cookies = []) {
+    if (cookies.length) res.setHeader('Set-Cookie', cookies);
+    res.setHeader('Location', `/auth.html${query}`);
+    res.status(302).end();
+}
+
+function clearOAuthStateCookie() {
+    return createCookieHeader('oauth_state', '', { maxAge: 0, httpOnly: true, secure: process.env.NODE_ENV === 'production', sameSite: 'Lax', path: '/api/auth' });
+}
+
+async function handleOAuthProviders(req, res) {
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+    res.status(200).json({ success: true, providers: getEnabledProviders() });
+}
+
+/**
+ * GET - the sign in button links here; redirects to the provider
+ */
+async function handleOAuthStart(req, res) {
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+    try {
+        const allowed = await checkRateLimit(req, res, 'oauth', 20, 15 * 60 * 1000);
+        if (!allowed) return;
+
+        const provider = getProvider(req.query.provider);
+        if (!provider) return redirectToAuthPage(res, '?oauth_error=unavailable');
+
+        const authRequest = createAuthRequest();
+        const stateToken = generateOAuthStateToken({ provider: provider.id, ...authRequest });
+
+        res.setHeader('Set-Cookie', [
+            // Lax still sends it on the provider's top-level redirect back to us
+            createCookieHeader('oauth_state', stateToken, { maxAge: 10 * 60, httpOnly: true, secure: process.env.NODE_ENV === 'production', sameSite: 'Lax', path: '/api/auth' })
+        ]);
+        res.setHeader('Location', getAuthorizationUrl(provider, authRequest));
+        res.status(302).end();
+    } catch (error) {
+        console.error('OAuth start error:', error);
+        redirectToAuthPage(res, '?oauth_error=failed');
+    }
+}
+
+/**
+ * GET - the provider redirects here with ?code=&state=
+ */
+async function handleOAuthCallback(req, res) {
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+    const clearState = clearOAuthStateCookie();
+
+    try {
+        const allowed = await checkRateLimit(req, res, 'oauth', 20, 15 * 60 * 1000);
+        if (!allowed) return;
+
+        // User cancelled at the provider
+        if (req.query.error) return redirectToAuthPage(res, '?oauth_error=cancelled', [clearState]);
+
+        const stateToken = verifyOAuthStateToken(parseCookies(req.headers.cookie).oauth_state);
+        const { code, state } = req.query;
+
+        if (!stateToken || !code || typeof state !== 'string' || state !== stateToken.state) {
+            return redirectToAuthPage(res, '?oauth_error=expired', [clearState]);
+        }
+
+        const provider = getProvider(stateToken.provider);
+        if (!provider) return redirectToAuthPage(res, '?oauth_error=unavailable', [clearState]);
+
+        const profile = await fetchProfile(provider, String(code), stateToken.verifier);
+
+        // Accounts are matched by email, so only take addresses the provider has verified
+        if (!profile.email || !profile.emailVerified) {
+            await logActivity(null, 'LOGIN_FAILED', 'auth', null, { provider: provider.id, email: profile.email, reason: 'oauth_email_unverified' }, req);
+            return redirectToAuthPage(res, '?oauth_error=unverified', [clearState]);
+        }
+
+        const user = await findOrCreateOAuthUser(provider, profile, req);
+
+        if (user.banned) {
+            await logActivity(user.id, 'LOGIN_BLOCKED_BANNED', 'auth', user.id, { reason: user.banned_reason, provider: provider.id }, req);
+            return redirectToAuthPage(res, '?oauth_error=suspended', [clearState]);
+        }
+
+        // Same second step as password login - the challenge goes in the
+        // fragment so it never reaches server logs or referrers
+        if (user.totp_enabled) {
+            await logActivity(user.id, 'LOGIN_2FA_CHALLENGE', 'auth', user.id, { provider: provider.id }, req);
+            return redirectToAuthPage(res, `#oauth_2fa=${generateMfaToken(user)}`, [clearState]);
+        }
+
+        const { cookies } = await createSession(user, req, { provider: provider.id });
+
+        redirectToAuthPage(res, '?oauth=signed_in', [...cookies, clearState]);
+    } catch (error) {
+        console.error('OAuth callback error:', error);
+        redirectToAuthPage(res, '?oauth_error=failed', [clearState]);
+    }
+}
+
+/**
+ * Account for a provider identity: already linked, else linked to the
+ * account with the same (provider-verified) email, else a new account
+ */
+async function findOrCreateOAuthUser(provider, profile, req) {
+    const fields = 'id, email, name, role, banned, banned_reason, email_verified, totp_enabled, token_version';
+
+    const { data: link } = await supabase
+        .from('oauth_accounts')
+        .select('user_id')
+        .eq('provider', provider.id)
+        .eq('provider_user_id', profile.providerUserId)
+        .maybeSingle();
+
+    if (link) {
+        const { data: user } = await supabase.from('users').select(fields).eq('id', link.user_id).single();
+        if (!user) throw new Error('Linked OAuth account has no user');
+        return user;
+    }
+
+    let { data: user } = await supabase.from('users').select(fields).eq('email', profile.email).maybeSingle();
+    const existing = !!user;
+    const unverified = existing && !user.email_verified;
+
+    if (user) {
+        if (user.banned) return user;
+
+        // The provider has proven the address. Whoever registered it without
+        // verifying may not own it, so their password and sessions go too
+        // (accounts from before email verification were backfilled as verified)
+        if (unverified) {
+            await supabase
+                .from('users')
+                .update({
+                    password_hash: await hashPassword(generateRandomToken()),
+                    email_verified: true,
+                    email_verified_at: new Date().toISOString()
+                })
+                .eq('id', user.id);
+
+            const { tokenVersion } = await revokeUserSessions(user.id, 'oauth_link');
+            user.token_version = tokenVersion;
+        }
+    } else {
+        const name = (profile.name || '').replace(/[<>]/g, '').trim().substring(0, 100);
+
+        // No usable password - they can set one with forgot password
+        const { data: created, error: createError } = await supabase
+            .from('users')
+            .insert({
+                email: profile.email,
+                password_hash: await hashPassword(generateRandomToken()),
+                name: name.length >= 2 ? name : profile.email.split('@')[0].substring(0, 100),
+                role: 'user',
+                email_verified: true,
+                email_verified_at: new Date().toISOString()
+            })
+            .select(fields)
+            .single();
+
+        if (createError) throw createError;
+        user = created;
+
+        await logActivity(user.id, 'USER_REGISTERED', 'user', user.id, { email: user.email, provider: provider.id }, req);
+    }
+
+    const { error: linkError } = await supabase.from('oauth_accounts').insert({
+        user_id: user.id,
+        provider: provider.id,
+        provider_user_id: profile.providerUserId,
+        email: profile.email
+    });
+
+    if (linkError) throw linkError;
+
+    await logActivity(user.id, 'OAUTH_ACCOUNT_LINKED', 'auth', user.id, { provider: provider.id, password_reset: unverified }, req);
+
+    // Never link silently - the owner hears about it at the proven address
+    if (existing) {
+        await queueEmail('oauthLinked', user.email, {
+            name: user.name,
+            providerName: provider.name,
+            passwordReset: unverified
+        }, { type: 'user', id: user.id });
+    }
+
+    return user;
+}
@@ -0,0 +1,25 @@
+/**
+ * GET /api/cron/checkout-recovery
+ * Vercel cron: abandoned checkout reminders + expired pending order cleanup
+ *
+ * Vercel sends Authorization: Bearer <CRON_SECRET>
+ */
+
+const { requireCronSecret } = require('../../lib/middleware');
+const { runCheckoutRecovery } = require('../../lib/checkout-recovery');
+
+module.exports = async (req, res) => {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!requireCronSecret(req, res)) return;
+
+    try {
+        const result = await runCheckoutRecovery();
+        res.status(200).json({ success: true, ...result });
+    } catch (error) {
+        console.error('Checkout recovery error:', error);
+        res.status(500).json({ error: 'Checkout recovery failed' });
+    }
+};
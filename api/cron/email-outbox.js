@@ -0,0 +1,25 @@
+/**
+ * GET /api/cron/email-outbox
+ * Vercel cron: retry transactional emails that failed or never finished sending
+ *
+ * Vercel sends Authorization: Bearer <CRON_SECRET>
+ */
+
+const { requireCronSecret } = require('../../lib/middleware');
+const { retryOutbox } = require('../../lib/mailer');
+
+module.exports = async (req, res) => {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!requireCronSecret(req, res)) return;
+
+    try {
+        const result = await retryOutbox();
+        res.status(200).json({ success: true, ...result });
+    } catch (error) {
+        console.error('Email outbox retry error:', error);
+        res.status(500).json({ error: 'Email outbox retry failed' });
+    }
+};
@@ -8,6 +8,8 @@
 const { supabase } = require('../../lib/supabase');
 const { handleCors, requireAuth, requireAdmin, isSuperAdmin, hasPermission } = require('../../lib/middleware');
 const { logActivity } = require('../../lib/logger');
+const { revokeUserSessions } = require('../../lib/sessions');
+const { getUploads, deleteUploads, withGalleryUrls } = require('../../lib/uploads');
 
 /**
  * Check permission and terminate admin if violated
@@ -17,7 +19,7 @@ async function checkPermissionOrTerminate(user, res, permission, req) {
     if (hasPermission(user, permission)) return true;
 
     await supabase.from('users').update({ role: 'user', admin_permissions: null }).eq('id', user.id);
-    await supabase.from('refresh_tokens').update({ revoked_at: new Date().toISOString() }).eq('user_id', user.id);
+    await revokeUserSessions(user.id, 'admin_terminated');
     await logActivity(user.id, 'ADMIN_ACCESS_TERMINATED', 'user', user.id, { reason: 'Unauthorized gallery action', attempted_permission: permission }, req);
 
     res.status(403).json({ error: 'Access violation', terminated: true, message: 'Admin access revoked.' });
@@ -53,16 +55,18 @@ module.exports = async (req, res) => {
  */
 async function handleGetItem(req, res, itemId) {
     try {
-        const { data: item, error } = await supabase
+        const { data: row, error } = await supabase
             .from('gallery')
             .select('*')
             .eq('id', itemId)
             .single();
 
-        if (error || !item) {
+        if (error || !row) {
             return res.status(404).json({ error: 'Gallery item not found' });
         }
 
+        const [item] = await withGalleryUrls([row]);
+
         res.status(200).json({
             success: true,
             item
@@ -101,7 +105,7 @@ async function handleUpdateItem(req, res, itemId) {
         }
 
         // Build update
-        const allowedFields = ['title', 'description', 'category', 'image_url', 'is_featured', 'display_order'];
+        const allowedFields = ['title', 'description', 'category', 'image_upload_id', 'is_featured', 'display_order'];
         const update = {};
 
         for (const field of allowedFields) {
@@ -125,19 +129,42 @@ async function handleUpdateItem(req, res, itemId) {
             }
         }
 
+        // Replacing the image - must be a gallery upload
+        if (update.image_upload_id !== undefined) {
+            const [upload] = typeof update.image_upload_id === 'string' && /^[0-9a-f-]{36}$/i.test(update.image_upload_id)
+                ? await getUploads([update.image_upload_id], { purpose: 'gallery' })
+                : [];
+
+            if (!upload) {
+                return res.status(400).json({ error: 'Image upload not found' });
+            }
+            update.image_url = null;
+        }
+
         // Update item
-        const { data: updatedItem, error: updateError } = await supabase
+        const { data: updatedRow, error: updateError } = await supabase
             .from('gallery')
             .update(update)
             .eq('id', itemId)
             .select()
             .single();
 
+        if (updateError?.code === '23505') {
+            return res.status(409).json({ error: 'Image is already used by another gallery item' });
+        }
+
         if (updateError) {
             console.error('Update gallery item error:', updateError);
             return res.status(500).json({ error: 'Failed to update gallery item' });
         }
 
+        // Old image is no longer referenced
+        if (update.image_upload_id && currentItem.image_upload_id && currentItem.image_upload_id !== update.image_upload_id) {
+            await deleteUploads([currentItem.image_upload_id]);
+        }
+
+        const [updatedItem] = await withGalleryUrls([updatedRow]);
+
         // Log action
         await logActivity(user.id, 'GALLERY_ITEM_UPDATED', 'gallery', itemId, {
             changes: Object.keys(update)
@@ -172,7 +199,7 @@ async function handleDeleteItem(req, res, itemId) {
         // Get item first for logging
         const { data: item } = await supabase
             .from('gallery')
-            .select('title')
+            .select('title, image_upload_id')
             .eq('id', itemId)
             .single();
 
@@ -191,6 +218,10 @@ async function handleDeleteItem(req, res, itemId) {
             return res.status(500).json({ error: 'Failed to delete gallery item' });
         }
 
+        if (item.image_upload_id) {
+            await deleteUploads([item.image_upload_id]);
+        }
+
         // Log action
         await logActivity(user.id, 'GALLERY_ITEM_DELETED', 'gallery', itemId, {
             title: item.title
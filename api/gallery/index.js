@@ -8,6 +8,8 @@ const { supabase } = require('../../lib/supabase');
 const { handleCors, requireAuth, requireAdmin, checkRateLimit, isSuperAdmin, hasPermission } = require('../../lib/middleware');
 const { validateGallery } = require('../../lib/validators');
 const { logActivity } = require('../../lib/logger');
+const { revokeUserSessions } = require('../../lib/sessions');
+const { getUploads, withGalleryUrls } = require('../../lib/uploads');
 
 /**
  * Check permission and terminate admin if violated
@@ -17,7 +19,7 @@ async function checkPermissionOrTerminate(user, res, permission, req) {
     if (hasPermission(user, permission)) return true;
 
     await supabase.from('users').update({ role: 'user', admin_permissions: null }).eq('id', user.id);
-    await supabase.from('refresh_tokens').update({ revoked_at: new Date().toISOString() }).eq('user_id', user.id);
+    await revokeUserSessions(user.id, 'admin_terminated');
     await logActivity(user.id, 'ADMIN_ACCESS_TERMINATED', 'user', user.id, { reason: 'Unauthorized gallery action', attempted_permission: permission }, req);
 
     res.status(403).json({ error: 'Access violation', terminated: true, message: 'Admin access revoked.' });
@@ -50,7 +52,7 @@ async function handleGetGallery(req, res) {
 
         let query = supabase
             .from('gallery')
-            .select('id, image_url, thumbnail_url, title, description, category, is_featured, created_at')
+            .select('id, image_url, image_upload_id, thumbnail_url, title, description, category, is_featured, created_at')
             .order('display_order', { ascending: true })
             .order('created_at', { ascending: false });
 
@@ -71,13 +73,15 @@ async function handleGetGallery(req, res) {
 
         query = query.range(offset, offset + limit - 1);
 
-        const { data: items, error, count } = await query;
+        const { data: rows, error, count } = await query;
 
         if (error) {
             console.error('Fetch gallery error:', error);
             return res.status(500).json({ error: 'Failed to fetch gallery' });
         }
 
+        const items = await withGalleryUrls(rows);
+
         // Get category counts
         const { data: categoryCounts } = await supabase
             .from('gallery')
@@ -134,13 +138,17 @@ async function handleAddGalleryItem(req, res) {
             });
         }
 
-        const { image, title, description, category } = validation.data;
+        const { upload_id, title, description, category } = validation.data;
+
+        const [upload] = await getUploads([upload_id], { purpose: 'gallery' });
+        if (!upload) {
+            return res.status(400).json({ error: 'Image upload not found' });
+        }
 
-        // Create gallery item - store base64 image directly in image_url field
-        const { data: item, error: createError } = await supabase
+        const { data: created, error: createError } = await supabase
             .from('gallery')
             .insert({
-                image_url: image,  // Store base64 data in image_url column
+                image_upload_id: upload.id,
                 title,
                 description: description || null,
                 category,
@@ -149,11 +157,18 @@ async function handleAddGalleryItem(req, res) {
             .select()
             .single();
 
+        // image_upload_id is unique - deleting one item must not break another
+        if (createError?.code === '23505') {
+            return res.status(409).json({ error: 'Image is already used by another gallery item' });
+        }
+
         if (createError) {
             console.error('Create gallery item error:', createError);
             return res.status(500).json({ error: 'Failed to add gallery item' });
         }
 
+        const [item] = await withGalleryUrls([created]);
+
         // Log action
         await logActivity(user.id, 'GALLERY_ITEM_ADDED', 'gallery', item.id, {
             title,
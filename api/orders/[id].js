@@ -2,11 +2,38 @@
  * /api/orders/[id]
  * GET - Get single order
  * PATCH - Update order status (admin only)
+ * POST ?action=refund - Issue full/partial refund (admin only)
+ * POST ?action=deliver - Share artwork with the customer (admin only)
+ * POST ?action=download - Download link for delivered artwork (paid orders)
+ * POST ?action=revision - Request a revision (owner, completed orders)
  */
 
 const { supabase } = require('../../lib/supabase');
-const { handleCors, requireAuth, requireAdmin } = require('../../lib/middleware');
+const { handleCors, requireAuth, requireAdmin, checkRateLimit, isSuperAdmin, hasPermission } = require('../../lib/middleware');
 const { logActivity } = require('../../lib/logger');
+const { revokeUserSessions } = require('../../lib/sessions');
+const { sanitizeString, validateRefund, validateDelivery, validateRevision } = require('../../lib/validators');
+const { ORDER_STATUSES, getNextStatuses, transitionOrder, getOrderHistory } = require('../../lib/orders');
+const { createRefund, getOrderRefunds, getRefundableAmounts } = require('../../lib/refunds');
+const { notifyOrder } = require('../../lib/notifications');
+const { getUploads, resolveAttachments } = require('../../lib/uploads');
+const { createDelivery, getOrderDeliveries, createDownloadLink } = require('../../lib/deliveries');
+const { getRevisionQuota, getOrderRevisions, requestRevision } = require('../../lib/revisions');
+
+/**
+ * Check permission and terminate admin if violated
+ */
+async function checkPermissionOrTerminate(user, res, permission, req) {
+    if (isSuperAdmin(user)) return true;
+    if (hasPermission(user, permission)) return true;
+
+    await supabase.from('users').update({ role: 'user', admin_permissions: null }).eq('id', user.id);
+    await revokeUserSessions(user.id, 'admin_terminated');
+    await logActivity(user.id, 'ADMIN_ACCESS_TERMINATED', 'user', user.id, { reason: 'Unauthorized order action', attempted_permission: permission }, req);
+
+    res.status(403).json({ error: 'Access violation', terminated: true, message: 'Admin access revoked.' });
+    return false;
+}
 
 module.exports = async (req, res) => {
     // Handle CORS
@@ -26,6 +53,22 @@ module.exports = async (req, res) => {
         return handleUpdateOrder(req, res, orderId);
     }
 
+    if (req.method === 'POST' && req.query.action === 'refund') {
+        return handleRefundOrder(req, res, orderId);
+    }
+
+    if (req.method === 'POST' && req.query.action === 'deliver') {
+        return handleDeliverArtwork(req, res, orderId);
+    }
+
+    if (req.method === 'POST' && req.query.action === 'download') {
+        return handleDownloadArtwork(req, res, orderId);
+    }
+
+    if (req.method === 'POST' && req.query.action === 'revision') {
+        return handleRequestRevision(req, res, orderId);
+    }
+
     return res.status(405).json({ error: 'Method not allowed' });
 };
 
@@ -54,9 +97,21 @@ async function handleGetOrder(req, res, orderId) {
             return res.status(403).json({ error: 'Access denied' });
         }
 
+        // Customers only see when the status changed, not who or why
+        const history = (await getOrderHistory(order.id)).map(h => user.role === 'admin' ? h : {
+            to_status: h.to_status,
+            created_at: h.created_at
+        });
+
         res.status(200).json({
             success: true,
-            order
+            order,
+            history,
+            next_statuses: user.role === 'admin' ? getNextStatuses(order.status) : undefined,
+            refunds: user.role === 'admin' ? await getOrderRefunds(order.id) : undefined,
+            deliveries: await getOrderDeliveries(order),
+            revisions: await getOrderRevisions(order.id),
+            revision_quota: await getRevisionQuota(order)
         });
 
     } catch (error) {
@@ -78,18 +133,13 @@ async function handleUpdateOrder(req, res, orderId) {
         if (!requireAdmin(user, res)) return;
 
         const { status } = req.body;
+        const reason = typeof req.body.reason === 'string' ? sanitizeString(req.body.reason) : null;
 
         // Validate status
-        const validStatuses = [
-            'pending', 'advance_paid', 'in_progress',
-            'revision_requested', 'completed', 'final_paid',
-            'delivered', 'cancelled', 'refunded'
-        ];
-
-        if (!status || !validStatuses.includes(status)) {
+        if (!status || !ORDER_STATUSES.includes(status)) {
             return res.status(400).json({
                 error: 'Invalid status',
-                validStatuses
+                validStatuses: ORDER_STATUSES
             });
         }
 
@@ -104,29 +154,20 @@ async function handleUpdateOrder(req, res, orderId) {
             return res.status(404).json({ error: 'Order not found' });
         }
 
-        // Build update object
-        const update = {
-            status,
-            updated_at: new Date().toISOString()
-        };
-
-        // Add timestamps for specific statuses
-        if (status === 'completed') {
-            update.completed_at = new Date().toISOString();
-        } else if (status === 'delivered') {
-            update.delivered_at = new Date().toISOString();
-        }
-
-        // Update order
-        const { data: updatedOrder, error: updateError } = await supabase
-            .from('orders')
-            .update(update)
-            .eq('id', orderId)
-            .select()
-            .single();
+        // Update order through the state machine
+        const { order: updatedOrder, error: transitionError } = await transitionOrder(currentOrder, status, {
+            actorId: user.id,
+            reason
+        });
 
-        if (updateError) {
-            console.error('Order update error:', updateError);
+        if (transitionError) {
+            if (transitionError.code === 'INVALID_TRANSITION' || transitionError.code === 'STATUS_CHANGED') {
+                return res.status(409).json({
+                    error: transitionError.message,
+                    current_status: currentOrder.status,
+                    allowed_statuses: getNextStatuses(currentOrder.status)
+                });
+            }
             return res.status(500).json({ error: 'Failed to update order' });
         }
 
@@ -134,9 +175,12 @@ async function handleUpdateOrder(req, res, orderId) {
         await logActivity(user.id, 'ORDER_STATUS_UPDATED', 'order', orderId, {
             old_status: currentOrder.status,
             new_status: status,
-            order_number: currentOrder.order_number
+            order_number: currentOrder.order_number,
+            reason
         }, req);
 
+        await notifyOrder('statusChanged', updatedOrder, { status, reason });
+
         res.status(200).json({
             success: true,
             order: updatedOrder
@@ -147,3 +191,320 @@ async function handleUpdateOrder(req, res, orderId) {
         res.status(500).json({ error: 'Failed to update order' });
     }
 }
+
+/**
+ * POST /api/orders/[id]?action=refund - Refund advance or balance payment (admin only)
+ * Body: { amount?, payment_type?, reason } - omit amount for a full refund
+ */
+async function handleRefundOrder(req, res, orderId) {
+    try {
+        // Require authentication
+        const user = await requireAuth(req, res);
+        if (!user) return;
+
+        // Require admin with manage_orders permission
+        if (!requireAdmin(user, res)) return;
+        if (!await checkPermissionOrTerminate(user, res, 'manage_orders', req)) return;
+
+        const validation = validateRefund(req.body);
+        if (!validation.valid) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validation.errors
+            });
+        }
+
+        const { amount, payment_type, reason } = validation.data;
+
+        const { data: order } = await supabase
+            .from('orders')
+            .select('*')
+            .eq('id', orderId)
+            .single();
+
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        const { refund, error: refundError } = await createRefund(order, {
+            amount,
+            paymentType: payment_type,
+            reason,
+            actorId: user.id
+        });
+
+        if (refundError) {
+            await logActivity(user.id, 'ORDER_REFUND_FAILED', 'order', orderId, {
+                order_number: order.order_number,
+                amount,
+                payment_type,
+                error: refundError.message
+            }, req);
+
+            const statusCode = refundError.code === 'RAZORPAY_ERROR' ? 502
+                : refundError.code === 'RECORD_FAILED' ? 500 : 400;
+            return res.status(statusCode).json({ error: refundError.message });
+        }
+
+        await logActivity(user.id, 'ORDER_REFUND_CREATED', 'order', orderId, {
+            order_number: order.order_number,
+            razorpay_refund_id: refund.razorpay_refund_id,
+            amount: refund.amount,
+            payment_type,
+            reason
+        }, req);
+
+        res.status(201).json({
+            success: true,
+            refund,
+            refundable: await getRefundableAmounts(order)
+        });
+
+    } catch (error) {
+        console.error('Refund order error:', error);
+        res.status(500).json({ error: 'Failed to refund order' });
+    }
+}
+
+/**
+ * POST /api/orders/[id]?action=deliver - Share artwork (admin only)
+ * Body: { upload_id, kind: 'wip'|'final', note? } - upload_id from
+ * POST /api/uploads?purpose=delivery. A watermarked preview is posted to
+ * the order's ticket; the original stays private until the order is paid.
+ */
+async function handleDeliverArtwork(req, res, orderId) {
+    try {
+        // Require authentication
+        const user = await requireAuth(req, res);
+        if (!user) return;
+
+        // Require admin with manage_orders permission
+        if (!requireAdmin(user, res)) return;
+        if (!await checkPermissionOrTerminate(user, res, 'manage_orders', req)) return;
+
+        const validation = validateDelivery(req.body);
+        if (!validation.valid) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validation.errors
+            });
+        }
+
+        const { upload_id, kind } = validation.data;
+        const note = validation.data.note ? sanitizeString(validation.data.note) : null;
+
+        const { data: order } = await supabase
+            .from('orders')
+            .select('*')
+            .eq('id', orderId)
+            .single();
+
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        if (['pending', 'cancelled', 'refunded'].includes(order.status)) {
+            return res.status(409).json({ error: `Cannot share artwork for a ${order.status} order` });
+        }
+
+        const [upload] = await getUploads([upload_id], { purpose: 'delivery' });
+        if (!upload) {
+            return res.status(400).json({ error: 'Artwork upload not found' });
+        }
+
+        const { delivery, ticketId, error: deliveryError } = await createDelivery(order, {
+            upload,
+            kind,
+            note,
+            author: user
+        });
+
+        if (deliveryError) {
+            const statusCode = deliveryError.code === 'ALREADY_DELIVERED' ? 409
+                : deliveryError.code === 'INVALID_IMAGE' ? 415
+                : deliveryError.code === 'FILE_MISSING' ? 400 : 500;
+            return res.status(statusCode).json({ error: deliveryError.message });
+        }
+
+        await logActivity(user.id, 'ORDER_ARTWORK_SHARED', 'order', orderId, {
+            order_number: order.order_number,
+            delivery_id: delivery.id,
+            kind,
+            ticket_id: ticketId
+        }, req);
+
+        res.status(201).json({
+            success: true,
+            delivery: (await getOrderDeliveries(order)).find(d => d.id === delivery.id),
+            ticket_id: ticketId
+        });
+
+    } catch (error) {
+        console.error('Deliver artwork error:', error);
+        res.status(500).json({ error: 'Failed to share artwork' });
+    }
+}
+
+/**
+ * POST /api/orders/[id]?action=download - Expiring link to the original
+ * Body: { delivery_id }. Only once the order is final_paid / delivered;
+ * every link issued is recorded in activity_logs.
+ */
+async function handleDownloadArtwork(req, res, orderId) {
+    try {
+        // Require authentication
+        const user = await requireAuth(req, res);
+        if (!user) return;
+
+        // Rate limiting: 30 links per hour
+        const allowed = await checkRateLimit(req, res, `artwork_download_${user.id}`, 30, 3600000);
+        if (!allowed) return;
+
+        const deliveryId = typeof req.body?.delivery_id === 'string' ? req.body.delivery_id : null;
+        if (!deliveryId) {
+            return res.status(400).json({ error: 'Delivery ID required' });
+        }
+
+        const { data: order } = await supabase
+            .from('orders')
+            .select('*')
+            .eq('id', orderId)
+            .single();
+
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        // Check ownership - other people's files need manage_orders
+        if (order.user_id !== user.id) {
+            if (user.role !== 'admin') {
+                return res.status(403).json({ error: 'Access denied' });
+            }
+            if (!await checkPermissionOrTerminate(user, res, 'manage_orders', req)) return;
+        }
+
+        const { url, expiresAt, delivery, error: linkError } = await createDownloadLink(order, deliveryId);
+
+        if (linkError) {
+            const statusCode = linkError.code === 'NOT_PAID' ? 403
+                : linkError.code === 'NOT_FOUND' ? 404 : 500;
+            return res.status(statusCode).json({ error: linkError.message });
+        }
+
+        await logActivity(user.id, 'ORDER_ARTWORK_DOWNLOAD_LINK', 'order', orderId, {
+            order_number: order.order_number,
+            delivery_id: delivery.id,
+            kind: delivery.kind,
+            expires_at: expiresAt
+        }, req);
+
+        res.status(200).json({
+            success: true,
+            url,
+            expires_at: expiresAt
+        });
+
+    } catch (error) {
+        console.error('Download artwork error:', error);
+        res.status(500).json({ error: 'Failed to create download link' });
+    }
+}
+
+/**
+ * POST /api/orders/[id]?action=revision - Request a revision (order owner)
+ * Body: { notes, reference_images?: [{ upload_id, name }], accept_charge? }
+ * reference_images come from POST /api/uploads?purpose=ticket_attachment.
+ * Once the included revisions are used up, 402 offers a paid extra revision;
+ * resending with accept_charge returns a Razorpay order to pay for it
+ * (confirmed through /api/payment/verify with payment_type 'revision').
+ */
+async function handleRequestRevision(req, res, orderId) {
+    try {
+        // Require authentication
+        const user = await requireAuth(req, res);
+        if (!user) return;
+
+        // Rate limiting: 10 requests per hour
+        const allowed = await checkRateLimit(req, res, `revision_${user.id}`, 10, 3600000);
+        if (!allowed) return;
+
+        const validation = validateRevision(req.body);
+        if (!validation.valid) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validation.errors
+            });
+        }
+
+        const { data: order } = await supabase
+            .from('orders')
+            .select('*')
+            .eq('id', orderId)
+            .single();
+
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        // Only the customer who placed the order can ask for changes
+        if (order.user_id !== user.id) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const referenceImages = await resolveAttachments(validation.data.reference_images, user.id);
+        if (!referenceImages) {
+            return res.status(400).json({ error: 'Reference image upload not found' });
+        }
+
+        const { revision, quota, payment, error: revisionError } = await requestRevision(order, {
+            notes: sanitizeString(validation.data.notes),
+            referenceImages,
+            author: user,
+            acceptCharge: validation.data.accept_charge
+        });
+
+        if (revisionError) {
+            const statusCode = revisionError.code === 'PAYMENT_REQUIRED' ? 402
+                : revisionError.code === 'RECORD_FAILED' || revisionError.code === 'UPDATE_FAILED' ? 500 : 409;
+            return res.status(statusCode).json({
+                error: revisionError.message,
+                code: revisionError.code,
+                revision_quota: revisionError.quota
+            });
+        }
+
+        await logActivity(user.id, payment ? 'REVISION_PAYMENT_ORDER_CREATED' : 'REVISION_REQUESTED', 'order', orderId, {
+            order_number: order.order_number,
+            revision_id: revision.id,
+            is_extra: revision.is_extra,
+            amount: revision.amount,
+            razorpay_order_id: payment?.razorpay_order_id,
+            reference_images: referenceImages.length
+        }, req);
+
+        if (payment) {
+            return res.status(200).json({
+                success: true,
+                payment_required: true,
+                revision: { id: revision.id, status: revision.status, amount: revision.amount, currency: revision.currency },
+                order: {
+                    id: order.id,
+                    order_number: order.order_number,
+                    ...payment,
+                    payment_type: 'revision'
+                },
+                razorpay_key: process.env.RAZORPAY_KEY_ID
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            revision,
+            revision_quota: quota
+        });
+
+    } catch (error) {
+        console.error('Request revision error:', error);
+        res.status(500).json({ error: 'Failed to request revision' });
+    }
+}
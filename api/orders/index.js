@@ -8,8 +8,11 @@ const Razorpay = require('razorpay');
 const { supabase } = require('../../lib/supabase');
 const { handleCors, requireAuth, optionalAuth, checkRateLimit, verifyHCaptcha, isSuperAdmin, hasPermission } = require('../../lib/middleware');
 const { validateOrder } = require('../../lib/validators');
-const { calculateOrderPrice } = require('../../lib/pricing');
+const { getPricing, calculateOrderPrice, toMinorUnits } = require('../../lib/pricing');
+const { redeemCoupon } = require('../../lib/coupons');
 const { logActivity } = require('../../lib/logger');
+const { revokeUserSessions } = require('../../lib/sessions');
+const { notifyOrder } = require('../../lib/notifications');
 
 /**
  * Check permission and terminate admin if violated
@@ -19,7 +22,7 @@ async function checkPermissionOrTerminate(user, res, permission, req) {
     if (hasPermission(user, permission)) return true;
 
     await supabase.from('users').update({ role: 'user', admin_permissions: null }).eq('id', user.id);
-    await supabase.from('refresh_tokens').update({ revoked_at: new Date().toISOString() }).eq('user_id', user.id);
+    await revokeUserSessions(user.id, 'admin_terminated');
     await logActivity(user.id, 'ADMIN_ACCESS_TERMINATED', 'user', user.id, { reason: 'Unauthorized order access', attempted_permission: permission }, req);
 
     res.status(403).json({ error: 'Access violation', terminated: true, message: 'Admin access revoked.' });
@@ -111,8 +114,8 @@ async function handleCreateOrder(req, res) {
         const captchaValid = await verifyHCaptcha(req.body.captchaToken, res);
         if (!captchaValid) return;
 
-        // Validate input
-        const validation = validateOrder(req.body);
+        // Validate input against live pricing keys
+        const validation = validateOrder(req.body, await getPricing());
         if (!validation.valid) {
             return res.status(400).json({
                 error: 'Validation failed',
@@ -120,7 +123,11 @@ async function handleCreateOrder(req, res) {
             });
         }
 
-        const { name, email, phone, service, size, addons, message } = validation.data;
+        const { name, email, phone, service, size, addons, modifiers, currency, coupon_code, message } = validation.data;
+
+        // Check if user is authenticated (optional for guest orders)
+        const user = await optionalAuth(req);
+        const buyerEmail = (user?.email || email).toLowerCase();
 
         // ============================================
         // CRITICAL: Calculate price SERVER-SIDE
@@ -128,7 +135,13 @@ async function handleCreateOrder(req, res) {
         // ============================================
         let pricing;
         try {
-            pricing = await calculateOrderPrice(service, size, addons || 'none');
+            pricing = await calculateOrderPrice(service, size, addons || [], {
+                modifiers,
+                currency,
+                couponCode: coupon_code,
+                userId: user?.id,
+                email: buyerEmail
+            });
         } catch (priceError) {
             return res.status(400).json({ error: priceError.message });
         }
@@ -136,9 +149,6 @@ async function handleCreateOrder(req, res) {
         // Generate order number
         const orderNumber = `ORD${Date.now().toString(36).toUpperCase()}`;
 
-        // Check if user is authenticated (optional for guest orders)
-        const user = await optionalAuth(req);
-
         // Create order in database
         const { data: order, error: orderError } = await supabase
             .from('orders')
@@ -152,15 +162,21 @@ async function handleCreateOrder(req, res) {
                 service_name: pricing.service.name,
                 size: pricing.size.key,
                 size_name: pricing.size.name,
-                addons: pricing.addons.key,
+                addons: pricing.addons.keys,
                 addons_name: pricing.addons.name,
+                modifiers: pricing.modifiers.selected,
                 message: message.substring(0, 1000),
                 base_price: pricing.basePrice,
                 size_price: pricing.sizePrice,
                 addons_price: pricing.addonsPrice,
+                modifiers_price: pricing.modifiersPrice,
+                coupon_code: pricing.coupon?.code || null,
+                discount: pricing.discount,
                 total: pricing.total,
                 advance: pricing.advance,
                 remaining: pricing.remaining,
+                currency: pricing.currency.code,
+                exchange_rate: pricing.currency.rate,
                 status: 'pending'
             })
             .select()
@@ -171,21 +187,47 @@ async function handleCreateOrder(req, res) {
             return res.status(500).json({ error: 'Failed to create order' });
         }
 
+        // Store each charged item as a line item
+        const { error: lineItemsError } = await supabase
+            .from('order_line_items')
+            .insert(pricing.lineItems.map(item => ({ ...item, order_id: order.id })));
+
+        if (lineItemsError) {
+            console.error('Order line items error:', lineItemsError);
+            await supabase.from('orders').delete().eq('id', order.id);
+            return res.status(500).json({ error: 'Failed to create order' });
+        }
+
+        // Redeem coupon atomically (usage caps re-checked under lock)
+        if (pricing.coupon) {
+            const redeemed = await redeemCoupon(pricing.coupon.id, order.id, {
+                userId: user?.id,
+                email: buyerEmail,
+                discount: pricing.coupon.discount_inr
+            });
+
+            if (!redeemed) {
+                await supabase.from('orders').delete().eq('id', order.id);
+                return res.status(409).json({ error: 'Coupon is no longer available' });
+            }
+        }
+
         // Create Razorpay order with SERVER-CALCULATED amount
         let razorpayOrder;
         try {
             razorpayOrder = await razorpay.orders.create({
-                amount: pricing.advance * 100, // Amount in paise
-                currency: 'INR',
+                amount: toMinorUnits(pricing.advance, pricing.currency.code), // Paise / cents (yen as is)
+                currency: pricing.currency.code,
                 receipt: orderNumber,
                 notes: {
                     order_id: order.id,
-                    service: pricing.service.name
+                    service: pricing.service.name,
+                    coupon_code: pricing.coupon?.code || ''
                 }
             });
         } catch (rzpError) {
             console.error('Razorpay order creation failed:', rzpError);
-            // Delete the database order
+            // Delete the database order (also releases any coupon redemption)
             await supabase.from('orders').delete().eq('id', order.id);
             return res.status(500).json({ error: 'Failed to create payment order' });
         }
@@ -201,9 +243,14 @@ async function handleCreateOrder(req, res) {
             order_number: orderNumber,
             total: pricing.total,
             advance: pricing.advance,
-            service: pricing.service.name
+            currency: pricing.currency.code,
+            service: pricing.service.name,
+            coupon_code: pricing.coupon?.code || null,
+            discount: pricing.discount
         }, req);
 
+        await notifyOrder('orderCreated', order);
+
         res.status(201).json({
             success: true,
             order: {
@@ -216,9 +263,15 @@ async function handleCreateOrder(req, res) {
                     service: pricing.service.name,
                     size: pricing.size.name,
                     addons: pricing.addons.name,
+                    addon_items: pricing.addons.items,
+                    modifier_items: pricing.modifiers.items,
+                    subtotal: pricing.subtotal,
+                    coupon_code: pricing.coupon?.code || null,
+                    discount: pricing.discount,
                     total: pricing.total,
                     advance: pricing.advance,
-                    remaining: pricing.remaining
+                    remaining: pricing.remaining,
+                    currency: pricing.currency.code
                 }
             },
             // Return public Razorpay key (NOT the secret)
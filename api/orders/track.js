@@ -0,0 +1,90 @@
+/**
+ * POST /api/orders/track
+ * Public order tracking by order number + buyer email
+ *
+ * Works for guest and registered orders. Only a redacted status
+ * timeline is returned - never payment IDs, signatures or notes.
+ */
+
+const { supabase } = require('../../lib/supabase');
+const { handleCors, checkRateLimit } = require('../../lib/middleware');
+const { logActivity } = require('../../lib/logger');
+const { getOrderHistory } = require('../../lib/orders');
+
+module.exports = async (req, res) => {
+    // Handle CORS
+    if (handleCors(req, res)) return;
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        // Rate limiting: 10 lookups per 15 minutes per IP (prevents order number guessing)
+        const allowed = await checkRateLimit(req, res, 'track_order', 10, 15 * 60 * 1000);
+        if (!allowed) return;
+
+        const orderNumber = String(req.body?.order_number || '').trim().toUpperCase();
+        const email = String(req.body?.email || '').trim().toLowerCase();
+
+        if (!orderNumber || !email) {
+            return res.status(400).json({ error: 'Order number and email required' });
+        }
+
+        if (orderNumber.length > 20 || email.length > 255) {
+            return res.status(400).json({ error: 'Invalid order number or email' });
+        }
+
+        const { data: order } = await supabase
+            .from('orders')
+            .select('id, order_number, user_id, guest_email, service_name, size_name, total, currency, advance, remaining, payment_verified, balance_verified, status, created_at, paid_at, completed_at, balance_paid_at, delivered_at, users(email)')
+            .eq('order_number', orderNumber)
+            .single();
+
+        // Same response for unknown order and wrong email (no enumeration)
+        const buyerEmail = (order?.users?.email || order?.guest_email || '').toLowerCase();
+        if (!order || buyerEmail !== email) {
+            await logActivity(null, 'ORDER_TRACK_FAILED', 'order', order?.id || null, {
+                order_number: orderNumber
+            }, req);
+
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        const history = await getOrderHistory(order.id);
+
+        // Advance is payable while checkout is unfinished (recovery links),
+        // remaining 50% once the artwork is completed
+        const advanceDue = order.status === 'pending' && !order.payment_verified ? order.advance : 0;
+        const balanceDue = order.status === 'completed' && !order.balance_verified ? order.remaining : 0;
+
+        res.status(200).json({
+            success: true,
+            order: {
+                // Internal ID is only needed to start a payment
+                id: advanceDue || balanceDue ? order.id : undefined,
+                order_number: order.order_number,
+                service_name: order.service_name,
+                size_name: order.size_name,
+                total: order.total,
+                currency: order.currency,
+                status: order.status,
+                created_at: order.created_at,
+                paid_at: order.paid_at,
+                completed_at: order.completed_at,
+                balance_paid_at: order.balance_paid_at,
+                delivered_at: order.delivered_at,
+                advance_due: advanceDue,
+                balance_due: balanceDue
+            },
+            history: history.map(h => ({
+                status: h.to_status,
+                created_at: h.created_at
+            }))
+        });
+
+    } catch (error) {
+        console.error('Track order error:', error);
+        res.status(500).json({ error: 'Failed to track order' });
+    }
+};
@@ -2,12 +2,16 @@
  * POST /api/payment/create-order
  * Create a Razorpay order for an existing order
  * This is called if payment modal is closed and reopened
+ *
+ * payment_type: 'advance' (default) - first 50%, while order is pending
+ * payment_type: 'balance' - remaining 50%, once order is completed
  */
 
 const Razorpay = require('razorpay');
 const { supabase } = require('../../lib/supabase');
 const { handleCors, checkRateLimit } = require('../../lib/middleware');
 const { logActivity } = require('../../lib/logger');
+const { toMinorUnits } = require('../../lib/pricing');
 
 const razorpay = new Razorpay({
     key_id: process.env.RAZORPAY_KEY_ID,
@@ -28,6 +32,7 @@ module.exports = async (req, res) => {
         if (!allowed) return;
 
         const { order_id } = req.body;
+        const isBalance = req.body.payment_type === 'balance';
 
         if (!order_id) {
             return res.status(400).json({ error: 'Order ID required' });
@@ -44,18 +49,38 @@ module.exports = async (req, res) => {
             return res.status(404).json({ error: 'Order not found' });
         }
 
+        // Advance and balance are tracked in separate columns
+        const rzpOrderField = isBalance ? 'balance_razorpay_order_id' : 'razorpay_order_id';
+        const amount = isBalance ? order.remaining : order.advance;
+
         // Check if already paid
-        if (order.payment_verified) {
+        if (isBalance ? order.balance_verified : order.payment_verified) {
             return res.status(400).json({
-                error: 'Order already paid',
+                error: isBalance ? 'Balance already paid' : 'Order already paid',
                 order_number: order.order_number
             });
         }
 
+        // Advance can't be paid on cancelled / expired checkouts
+        if (!isBalance && order.status !== 'pending') {
+            return res.status(400).json({
+                error: 'This order can no longer be paid',
+                status: order.status
+            });
+        }
+
+        // Balance is only due once the artwork is completed
+        if (isBalance && order.status !== 'completed') {
+            return res.status(400).json({
+                error: 'Balance can only be paid once the artwork is completed',
+                status: order.status
+            });
+        }
+
         // If Razorpay order exists and not expired, return it
-        if (order.razorpay_order_id) {
+        if (order[rzpOrderField]) {
             try {
-                const existingRzpOrder = await razorpay.orders.fetch(order.razorpay_order_id);
+                const existingRzpOrder = await razorpay.orders.fetch(order[rzpOrderField]);
                 if (existingRzpOrder.status !== 'paid') {
                     return res.status(200).json({
                         success: true,
@@ -64,7 +89,8 @@ module.exports = async (req, res) => {
                             order_number: order.order_number,
                             razorpay_order_id: existingRzpOrder.id,
                             amount: existingRzpOrder.amount,
-                            currency: existingRzpOrder.currency
+                            currency: existingRzpOrder.currency,
+                            payment_type: isBalance ? 'balance' : 'advance'
                         },
                         razorpay_key: process.env.RAZORPAY_KEY_ID
                     });
@@ -76,12 +102,13 @@ module.exports = async (req, res) => {
 
         // Create new Razorpay order using SERVER-STORED amount
         const razorpayOrder = await razorpay.orders.create({
-            amount: order.advance * 100, // Use amount from database, not client
-            currency: 'INR',
-            receipt: order.order_number,
+            amount: toMinorUnits(amount, order.currency || 'INR'), // Use amount from database, not client
+            currency: order.currency || 'INR',
+            receipt: isBalance ? `${order.order_number}-BAL` : order.order_number,
             notes: {
                 order_id: order.id,
-                service: order.service_name
+                service: order.service_name,
+                payment_type: isBalance ? 'balance' : 'advance'
             }
         });
 
@@ -89,15 +116,15 @@ module.exports = async (req, res) => {
         await supabase
             .from('orders')
             .update({
-                razorpay_order_id: razorpayOrder.id,
+                [rzpOrderField]: razorpayOrder.id,
                 updated_at: new Date().toISOString()
             })
             .eq('id', order.id);
 
         // Log payment order creation
-        await logActivity(order.user_id, 'PAYMENT_ORDER_CREATED', 'order', order.id, {
+        await logActivity(order.user_id, isBalance ? 'BALANCE_PAYMENT_ORDER_CREATED' : 'PAYMENT_ORDER_CREATED', 'order', order.id, {
             razorpay_order_id: razorpayOrder.id,
-            amount: order.advance
+            amount
         }, req);
 
         res.status(200).json({
@@ -107,7 +134,8 @@ module.exports = async (req, res) => {
                 order_number: order.order_number,
                 razorpay_order_id: razorpayOrder.id,
                 amount: razorpayOrder.amount,
-                currency: razorpayOrder.currency
+                currency: razorpayOrder.currency,
+                payment_type: isBalance ? 'balance' : 'advance'
             },
             razorpay_key: process.env.RAZORPAY_KEY_ID
         });
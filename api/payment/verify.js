@@ -4,12 +4,17 @@
  *
  * This endpoint MUST verify the signature BEFORE marking any order as paid.
  * The old implementation ignored the verification result - that was a critical bug.
+ *
+ * payment_type: 'advance' (default), 'balance', or 'revision' (an extra
+ * revision - also send revision_id)
  */
 
 const crypto = require('crypto');
 const { supabase } = require('../../lib/supabase');
 const { handleCors, checkRateLimit } = require('../../lib/middleware');
 const { logActivity } = require('../../lib/logger');
+const { finalizePayment } = require('../../lib/payments');
+const { finalizeRevisionPayment } = require('../../lib/revisions');
 
 module.exports = async (req, res) => {
     // Handle CORS
@@ -29,6 +34,7 @@ module.exports = async (req, res) => {
             razorpay_signature,
             order_id
         } = req.body;
+        const isBalance = req.body.payment_type === 'balance';
 
         // Validate required fields
         if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature || !order_id) {
@@ -75,6 +81,13 @@ module.exports = async (req, res) => {
             });
         }
 
+        // ============================================
+        // Extra revision - paid on its own Razorpay order
+        // ============================================
+        if (req.body.payment_type === 'revision') {
+            return verifyRevisionPayment(req, res);
+        }
+
         // ============================================
         // Verify order exists and matches
         // ============================================
@@ -82,7 +95,7 @@ module.exports = async (req, res) => {
             .from('orders')
             .select('*')
             .eq('id', order_id)
-            .eq('razorpay_order_id', razorpay_order_id)
+            .eq(isBalance ? 'balance_razorpay_order_id' : 'razorpay_order_id', razorpay_order_id)
             .single();
 
         if (orderError || !order) {
@@ -97,86 +110,43 @@ module.exports = async (req, res) => {
             });
         }
 
-        // Check if already verified (prevent double processing)
-        if (order.payment_verified) {
-            return res.status(200).json({
-                success: true,
-                message: 'Payment already verified',
-                order_number: order.order_number
-            });
-        }
-
         // ============================================
-        // ONLY NOW update order as paid
+        // ONLY NOW mark the payment as received
+        // (shared with the webhook - exactly one of them wins)
         // ============================================
-        const { error: updateError } = await supabase
-            .from('orders')
-            .update({
-                razorpay_payment_id,
-                razorpay_signature,
-                payment_verified: true,
-                status: 'advance_paid',
-                paid_at: new Date().toISOString(),
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', order_id);
-
-        if (updateError) {
-            console.error('Order update failed:', updateError);
-            return res.status(500).json({
+        const result = await finalizePayment(order, {
+            paymentType: isBalance ? 'balance' : 'advance',
+            razorpayOrderId: razorpay_order_id,
+            razorpayPaymentId: razorpay_payment_id,
+            razorpaySignature: razorpay_signature,
+            source: 'verify'
+        }, req);
+
+        if (result.error) {
+            console.error('Order update failed:', result.error);
+            return res.status(409).json({
                 success: false,
-                error: 'Failed to update order'
+                error: result.error.code === 'PAYMENT_NOT_APPLIED'
+                    ? result.error.message
+                    : 'Payment received but order could not be updated. Please contact support.'
             });
         }
 
-        // Create automatic support ticket for the order
-        const ticketNumber = `TKT${Date.now().toString(36).toUpperCase()}`;
-        const { data: ticket } = await supabase
-            .from('tickets')
-            .insert({
-                ticket_number: ticketNumber,
-                order_id: order.id,
-                user_id: order.user_id,
-                subject: `Order ${order.order_number} - ${order.service_name}`,
-                category: 'order',
-                status: 'open'
-            })
-            .select()
-            .single();
+        const label = isBalance ? 'Balance payment' : 'Payment';
 
-        // Add system message to ticket
-        if (ticket) {
-            await supabase
-                .from('ticket_messages')
-                .insert({
-                    ticket_id: ticket.id,
-                    author_name: 'System',
-                    is_system: true,
-                    message: `Thank you for your order!\n\n` +
-                        `Order ID: ${order.order_number}\n` +
-                        `Service: ${order.service_name}\n` +
-                        `Size: ${order.size_name}\n` +
-                        `Add-ons: ${order.addons_name}\n` +
-                        `Total: ₹${order.total.toLocaleString('en-IN')}\n` +
-                        `Advance Paid: ₹${order.advance.toLocaleString('en-IN')}\n` +
-                        `Remaining: ₹${order.remaining.toLocaleString('en-IN')}\n\n` +
-                        `We'll start working on your commission soon!`
-                });
+        if (result.alreadyPaid) {
+            return res.status(200).json({
+                success: true,
+                message: `${label} already verified`,
+                order_number: order.order_number
+            });
         }
 
-        // Log successful payment
-        await logActivity(order.user_id, 'PAYMENT_VERIFIED', 'order', order.id, {
-            razorpay_order_id,
-            razorpay_payment_id,
-            amount: order.advance,
-            ticket_number: ticketNumber
-        }, req);
-
         res.status(200).json({
             success: true,
-            message: 'Payment verified successfully',
+            message: `${label} verified successfully`,
             order_number: order.order_number,
-            ticket_number: ticketNumber
+            ticket_number: result.ticketNumber || undefined
         });
 
     } catch (error) {
@@ -187,3 +157,52 @@ module.exports = async (req, res) => {
         });
     }
 };
+
+/**
+ * Finish verifying an extra revision payment (signature already checked)
+ */
+async function verifyRevisionPayment(req, res) {
+    const { razorpay_order_id, razorpay_payment_id, order_id, revision_id } = req.body;
+
+    const { data: revision } = await supabase
+        .from('order_revisions')
+        .select('*')
+        .eq('id', String(revision_id || ''))
+        .eq('order_id', order_id)
+        .eq('razorpay_order_id', razorpay_order_id)
+        .maybeSingle();
+
+    if (!revision) {
+        await logActivity(null, 'PAYMENT_ORDER_MISMATCH', 'order', order_id, {
+            razorpay_order_id,
+            revision_id,
+            payment_type: 'revision'
+        }, req);
+
+        return res.status(404).json({
+            success: false,
+            error: 'Revision not found or Razorpay order ID mismatch'
+        });
+    }
+
+    const result = await finalizeRevisionPayment(revision, {
+        razorpayPaymentId: razorpay_payment_id,
+        source: 'verify'
+    }, req);
+
+    if (result.error) {
+        console.error('Revision update failed:', result.error);
+        return res.status(409).json({
+            success: false,
+            error: result.error.code === 'ORDER_CHANGED'
+                ? result.error.message
+                : 'Payment received but the revision could not be started. Please contact support.'
+        });
+    }
+
+    res.status(200).json({
+        success: true,
+        message: result.alreadyPaid ? 'Revision payment already verified' : 'Revision payment verified successfully',
+        revision_id: revision.id
+    });
+}
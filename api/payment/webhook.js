@@ -3,179 +3,96 @@
  * Razorpay webhook handler for async payment events
  *
  * Configure this URL in Razorpay Dashboard > Webhooks
- * Set webhook secret in RAZORPAY_WEBHOOK_SECRET env var
+ * Set webhook secret in RAZORPAY_WEBHOOK_SECRET env var (required)
+ *
+ * Events are deduplicated by X-Razorpay-Event-Id. A failed event returns
+ * 500 so Razorpay retries it, and stays in webhook_events for admin replay.
+ * A retry that finds the event still processing gets 409, so Razorpay keeps
+ * retrying until the claim finishes or goes stale.
  */
 
 const crypto = require('crypto');
-const { supabase } = require('../../lib/supabase');
 const { logActivity } = require('../../lib/logger');
+const { getRawBody, verifySignature, recordWebhookEvent, processWebhookEvent } = require('../../lib/webhooks');
 
-module.exports = async (req, res) => {
+const handler = async (req, res) => {
     // Webhooks don't use CORS
     if (req.method !== 'POST') {
         return res.status(405).json({ error: 'Method not allowed' });
     }
 
     try {
-        // Verify webhook signature
         const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
 
-        if (webhookSecret) {
-            const signature = req.headers['x-razorpay-signature'];
-
-            if (!signature) {
-                console.error('Webhook: Missing signature');
-                return res.status(400).json({ error: 'Missing signature' });
-            }
-
-            const body = JSON.stringify(req.body);
-            const expectedSignature = crypto
-                .createHmac('sha256', webhookSecret)
-                .update(body)
-                .digest('hex');
-
-            if (signature !== expectedSignature) {
-                console.error('Webhook: Invalid signature');
-                await logActivity(null, 'WEBHOOK_SIGNATURE_INVALID', 'webhook', null, {}, req);
-                return res.status(400).json({ error: 'Invalid signature' });
-            }
+        // Never accept unsigned events
+        if (!webhookSecret) {
+            console.error('Webhook: RAZORPAY_WEBHOOK_SECRET is not set');
+            return res.status(500).json({ error: 'Webhook not configured' });
         }
 
-        const event = req.body.event;
-        const payload = req.body.payload;
-
-        console.log(`Webhook received: ${event}`);
+        const signature = req.headers['x-razorpay-signature'];
 
-        switch (event) {
-            case 'payment.captured':
-                await handlePaymentCaptured(payload);
-                break;
+        if (!signature) {
+            console.error('Webhook: Missing signature');
+            return res.status(400).json({ error: 'Missing signature' });
+        }
 
-            case 'payment.failed':
-                await handlePaymentFailed(payload);
-                break;
+        // Verify webhook signature over the exact bytes Razorpay sent
+        const rawBody = await getRawBody(req);
 
-            case 'order.paid':
-                await handleOrderPaid(payload);
-                break;
+        if (!rawBody) {
+            console.error('Webhook: Raw body unavailable');
+            return res.status(400).json({ error: 'Invalid request body' });
+        }
 
-            default:
-                console.log(`Unhandled webhook event: ${event}`);
+        if (!verifySignature(rawBody, signature, webhookSecret)) {
+            console.error('Webhook: Invalid signature');
+            await logActivity(null, 'WEBHOOK_SIGNATURE_INVALID', 'webhook', null, {}, req);
+            return res.status(400).json({ error: 'Invalid signature' });
         }
 
-        // Always respond 200 to acknowledge receipt
-        res.status(200).json({ received: true });
+        let body;
+        try {
+            body = JSON.parse(rawBody.toString('utf8'));
+        } catch (e) {
+            return res.status(400).json({ error: 'Invalid JSON' });
+        }
 
-    } catch (error) {
-        console.error('Webhook error:', error);
-        // Still respond 200 to prevent retries for processing errors
-        res.status(200).json({ received: true, error: 'Processing error' });
-    }
-};
+        // Razorpay sends the same event ID on every retry
+        const eventId = req.headers['x-razorpay-event-id'] ||
+            crypto.createHash('sha256').update(rawBody).digest('hex');
 
-/**
- * Handle payment.captured event
- */
-async function handlePaymentCaptured(payload) {
-    const payment = payload.payment?.entity;
-    if (!payment) return;
-
-    const razorpayOrderId = payment.order_id;
-    const razorpayPaymentId = payment.id;
-
-    // Find order
-    const { data: order } = await supabase
-        .from('orders')
-        .select('*')
-        .eq('razorpay_order_id', razorpayOrderId)
-        .single();
-
-    if (!order) {
-        console.error(`Webhook: Order not found for ${razorpayOrderId}`);
-        return;
-    }
+        console.log(`Webhook received: ${body.event} (${eventId})`);
 
-    // Skip if already verified
-    if (order.payment_verified) {
-        console.log(`Webhook: Order ${order.order_number} already verified`);
-        return;
-    }
+        const { event, duplicate } = await recordWebhookEvent(eventId, body);
 
-    // Update order as paid
-    await supabase
-        .from('orders')
-        .update({
-            razorpay_payment_id: razorpayPaymentId,
-            payment_verified: true,
-            status: 'advance_paid',
-            paid_at: new Date().toISOString(),
-            updated_at: new Date().toISOString()
-        })
-        .eq('id', order.id);
-
-    await logActivity(order.user_id, 'PAYMENT_CAPTURED_WEBHOOK', 'order', order.id, {
-        razorpay_payment_id: razorpayPaymentId,
-        amount: payment.amount / 100
-    });
-
-    console.log(`Webhook: Payment captured for order ${order.order_number}`);
-}
+        if (duplicate && (event.status === 'processed' || event.status === 'ignored')) {
+            return res.status(200).json({ received: true, duplicate: true });
+        }
 
-/**
- * Handle payment.failed event
- */
-async function handlePaymentFailed(payload) {
-    const payment = payload.payment?.entity;
-    if (!payment) return;
+        const result = await processWebhookEvent(event);
 
-    const razorpayOrderId = payment.order_id;
+        if (result.status === 'processing') {
+            return res.status(409).json({ received: true, status: 'processing' });
+        }
 
-    // Find order
-    const { data: order } = await supabase
-        .from('orders')
-        .select('id, order_number, user_id')
-        .eq('razorpay_order_id', razorpayOrderId)
-        .single();
+        if (result.status === 'failed') {
+            await logActivity(null, 'WEBHOOK_EVENT_FAILED', 'webhook', event.id, {
+                event_id: eventId,
+                event_type: body.event,
+                error: result.error
+            }, req);
 
-    if (!order) return;
+            // Non-2xx so Razorpay retries; admins can also replay it
+            return res.status(500).json({ received: true, error: 'Processing error' });
+        }
 
-    await logActivity(order.user_id, 'PAYMENT_FAILED_WEBHOOK', 'order', order.id, {
-        error_code: payment.error_code,
-        error_description: payment.error_description
-    });
+        res.status(200).json({ received: true, status: result.status });
 
-    console.log(`Webhook: Payment failed for order ${order.order_number}`);
-}
+    } catch (error) {
+        console.error('Webhook error:', error);
+        res.status(500).json({ error: 'Webhook processing failed' });
+    }
+};
 
-/**
- * Handle order.paid event
- */
-async function handleOrderPaid(payload) {
-    const orderEntity = payload.order?.entity;
-    if (!orderEntity) return;
-
-    // This is a backup verification method
-    const { data: order } = await supabase
-        .from('orders')
-        .select('*')
-        .eq('razorpay_order_id', orderEntity.id)
-        .single();
-
-    if (!order || order.payment_verified) return;
-
-    await supabase
-        .from('orders')
-        .update({
-            payment_verified: true,
-            status: 'advance_paid',
-            paid_at: new Date().toISOString(),
-            updated_at: new Date().toISOString()
-        })
-        .eq('id', order.id);
-
-    await logActivity(order.user_id, 'ORDER_PAID_WEBHOOK', 'order', order.id, {
-        razorpay_order_id: orderEntity.id
-    });
-
-    console.log(`Webhook: Order paid for ${order.order_number}`);
-}
+module.exports = handler;
@@ -0,0 +1,34 @@
+/**
+ * GET /api/pricing
+ * Public price list (active services, sizes, add-ons)
+ * Display only - order totals are always recalculated server-side
+ */
+
+const { handleCors, checkRateLimit } = require('../../lib/middleware');
+const { getPricing } = require('../../lib/pricing');
+
+module.exports = async (req, res) => {
+    // Handle CORS
+    if (handleCors(req, res)) return;
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        // Rate limiting for public endpoint
+        const allowed = await checkRateLimit(req, res, 'get_pricing', 60, 60000);
+        if (!allowed) return;
+
+        const pricing = await getPricing();
+
+        res.status(200).json({
+            success: true,
+            pricing
+        });
+
+    } catch (error) {
+        console.error('Get pricing error:', error);
+        res.status(500).json({ error: 'Failed to fetch pricing' });
+    }
+};
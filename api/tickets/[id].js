@@ -7,6 +7,9 @@
 const { supabase } = require('../../lib/supabase');
 const { handleCors, requireAuth, requireAdmin, isSuperAdmin, hasPermission } = require('../../lib/middleware');
 const { logActivity } = require('../../lib/logger');
+const { revokeUserSessions } = require('../../lib/sessions');
+const { publishTicketUpdate } = require('../../lib/ticket-events');
+const { deleteUploads, withAttachmentUrls } = require('../../lib/uploads');
 
 /**
  * Check permission and terminate admin if violated
@@ -16,7 +19,7 @@ async function checkPermissionOrTerminate(user, res, permission, req) {
     if (hasPermission(user, permission)) return true;
 
     await supabase.from('users').update({ role: 'user', admin_permissions: null }).eq('id', user.id);
-    await supabase.from('refresh_tokens').update({ revoked_at: new Date().toISOString() }).eq('user_id', user.id);
+    await revokeUserSessions(user.id, 'admin_terminated');
     await logActivity(user.id, 'ADMIN_ACCESS_TERMINATED', 'user', user.id, { reason: 'Unauthorized ticket action', attempted_permission: permission }, req);
 
     res.status(403).json({ error: 'Access violation', terminated: true, message: 'Admin access revoked.' });
@@ -62,6 +65,18 @@ async function handleDeleteTicket(req, res, ticketId) {
         // Check manage_tickets permission
         if (!await checkPermissionOrTerminate(user, res, 'manage_tickets', req)) return;
 
+        // Attachments go with the ticket (artwork previews and revision
+        // references belong to the order)
+        const { data: attachmentRows } = await supabase
+            .from('ticket_messages')
+            .select('attachments')
+            .eq('ticket_id', ticketId)
+            .not('attachments', 'is', null);
+
+        const uploadIds = (attachmentRows || []).flatMap(m => (m.attachments || [])
+            .filter(a => !a.delivery_id && !a.revision_id)
+            .map(a => a.upload_id));
+
         // Delete messages first
         await supabase
             .from('ticket_messages')
@@ -79,6 +94,11 @@ async function handleDeleteTicket(req, res, ticketId) {
             return res.status(500).json({ error: 'Failed to delete ticket' });
         }
 
+        // Open streams on this instance send `deleted`
+        publishTicketUpdate(ticketId);
+
+        await deleteUploads(uploadIds);
+
         await logActivity(user.id, 'TICKET_DELETED', 'ticket', ticketId, {}, req);
 
         res.status(200).json({ success: true });
@@ -125,6 +145,8 @@ async function handleGetTicket(req, res, ticketId) {
             if (!await checkPermissionOrTerminate(user, res, 'manage_tickets', req)) return;
         }
 
+        ticket.ticket_messages = await withAttachmentUrls(ticket.ticket_messages);
+
         res.status(200).json({
             success: true,
             ticket
@@ -219,6 +241,8 @@ async function handleUpdateTicket(req, res, ticketId) {
             return res.status(500).json({ error: 'Failed to update ticket' });
         }
 
+        publishTicketUpdate(ticketId);
+
         // Log status change
         if (status) {
             await logActivity(user.id, 'TICKET_STATUS_UPDATED', 'ticket', ticketId, {
@@ -1,13 +1,44 @@
 /**
  * /api/tickets/[id]/messages
- * GET - Get messages for a ticket
+ * GET - Get messages for a ticket (?since=<created_at> for only newer ones)
+ * GET ?stream=true - Server-Sent Events: new messages and status changes
  * POST - Add message to ticket
  */
 
 const { supabase } = require('../../../lib/supabase');
-const { handleCors, requireAuth, checkRateLimit } = require('../../../lib/middleware');
+const { handleCors, requireAuth, checkRateLimit, isSuperAdmin, hasPermission } = require('../../../lib/middleware');
 const { validateMessage } = require('../../../lib/validators');
 const { logActivity } = require('../../../lib/logger');
+const { notifyTicketReply } = require('../../../lib/notifications');
+const { revokeUserSessions } = require('../../../lib/sessions');
+const { publishTicketUpdate, onTicketUpdate } = require('../../../lib/ticket-events');
+const { resolveAttachments, withAttachmentUrls } = require('../../../lib/uploads');
+
+// A stream closes after this and the browser reconnects, which re-checks
+// auth and keeps each invocation inside the serverless time limit
+const STREAM_DURATION_MS = (parseInt(process.env.TICKET_STREAM_SECONDS) || 25) * 1000;
+// Fallback poll in case a Realtime change is missed - changes on any
+// instance normally wake the stream straight away (lib/ticket-events)
+const STREAM_POLL_MS = 10000;
+const STREAM_HEARTBEAT_MS = 15000;
+const STREAM_BATCH_SIZE = 100;
+
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Check permission and terminate admin if violated
+ */
+async function checkPermissionOrTerminate(user, res, permission, req) {
+    if (isSuperAdmin(user)) return true;
+    if (hasPermission(user, permission)) return true;
+
+    await supabase.from('users').update({ role: 'user', admin_permissions: null }).eq('id', user.id);
+    await revokeUserSessions(user.id, 'admin_terminated');
+    await logActivity(user.id, 'ADMIN_ACCESS_TERMINATED', 'user', user.id, { reason: 'Unauthorized ticket access', attempted_permission: permission }, req);
+
+    res.status(403).json({ error: 'Access violation', terminated: true, message: 'Admin access revoked.' });
+    return false;
+}
 
 module.exports = async (req, res) => {
     // Handle CORS
@@ -20,6 +51,9 @@ module.exports = async (req, res) => {
     }
 
     if (req.method === 'GET') {
+        if (req.query.stream === 'true') {
+            return handleStreamMessages(req, res, ticketId);
+        }
         return handleGetMessages(req, res, ticketId);
     }
 
@@ -30,6 +64,44 @@ module.exports = async (req, res) => {
     return res.status(405).json({ error: 'Method not allowed' });
 };
 
+/**
+ * Get a ticket the user may read - their own, or any with manage_tickets
+ * (same rules as GET /api/tickets/[id]). Responds and returns null otherwise.
+ */
+async function getReadableTicket(user, ticketId, req, res) {
+    const { data: ticket } = await supabase
+        .from('tickets')
+        .select('id, user_id, status, priority')
+        .eq('id', ticketId)
+        .single();
+
+    if (!ticket) {
+        res.status(404).json({ error: 'Ticket not found' });
+        return null;
+    }
+
+    if (ticket.user_id !== user.id) {
+        if (user.role !== 'admin') {
+            res.status(403).json({ error: 'Access denied' });
+            return null;
+        }
+        // Admin reading someone else's ticket - check permission
+        if (!await checkPermissionOrTerminate(user, res, 'manage_tickets', req)) return null;
+    }
+
+    return ticket;
+}
+
+/**
+ * Message cursor (a created_at timestamp) from a query param or Last-Event-ID
+ * Kept as sent - Date would drop the microseconds and repeat the last message
+ * @returns {string|null} ISO timestamp, or null if invalid
+ */
+function parseCursor(value) {
+    const cursor = String(value);
+    return ISO_TIMESTAMP.test(cursor) && !isNaN(Date.parse(cursor)) ? cursor : null;
+}
+
 /**
  * GET /api/tickets/[id]/messages - Get messages
  */
@@ -39,29 +111,26 @@ async function handleGetMessages(req, res, ticketId) {
         const user = await requireAuth(req, res);
         if (!user) return;
 
-        // Get ticket to verify access
-        const { data: ticket } = await supabase
-            .from('tickets')
-            .select('id, user_id')
-            .eq('id', ticketId)
-            .single();
-
-        if (!ticket) {
-            return res.status(404).json({ error: 'Ticket not found' });
-        }
+        const ticket = await getReadableTicket(user, ticketId, req, res);
+        if (!ticket) return;
 
-        // Check ownership (admin can see all)
-        if (user.role !== 'admin' && ticket.user_id !== user.id) {
-            return res.status(403).json({ error: 'Access denied' });
+        let since = null;
+        if (req.query.since) {
+            since = parseCursor(req.query.since);
+            if (!since) return res.status(400).json({ error: 'Invalid since cursor' });
         }
 
         // Fetch messages
-        const { data: messages, error } = await supabase
+        let query = supabase
             .from('ticket_messages')
             .select('*')
             .eq('ticket_id', ticketId)
             .order('created_at', { ascending: true });
 
+        if (since) query = query.gt('created_at', since);
+
+        const { data: rows, error } = await query;
+
         if (error) {
             console.error('Fetch messages error:', error);
             return res.status(500).json({ error: 'Failed to fetch messages' });
@@ -69,7 +138,7 @@ async function handleGetMessages(req, res, ticketId) {
 
         res.status(200).json({
             success: true,
-            messages
+            messages: await withAttachmentUrls(rows)
         });
 
     } catch (error) {
@@ -78,6 +147,148 @@ async function handleGetMessages(req, res, ticketId) {
     }
 }
 
+/**
+ * GET /api/tickets/[id]/messages?stream=true&since=<created_at> - Live updates
+ *
+ * Events: `message` (a message row, id = its created_at so the browser
+ * resumes from it via Last-Event-ID), `status` ({ status, priority }, sent
+ * on connect and on change) and `deleted`. Without a cursor only messages
+ * newer than the latest one are sent.
+ *
+ * Each pass re-reads messages and the ticket status. Passes run when
+ * lib/ticket-events reports a change (this instance or Realtime), and at
+ * least every STREAM_POLL_MS.
+ */
+async function handleStreamMessages(req, res, ticketId) {
+    let unsubscribe = null;
+
+    try {
+        const allowed = await checkRateLimit(req, res, 'ticket_stream', 60, 60000);
+        if (!allowed) return;
+
+        const user = await requireAuth(req, res);
+        if (!user) return;
+
+        const ticket = await getReadableTicket(user, ticketId, req, res);
+        if (!ticket) return;
+
+        const rawCursor = req.headers['last-event-id'] || req.query.since;
+        let cursor = null;
+
+        if (rawCursor) {
+            cursor = parseCursor(rawCursor);
+            if (!cursor) return res.status(400).json({ error: 'Invalid since cursor' });
+        } else {
+            const { data: latest } = await supabase
+                .from('ticket_messages')
+                .select('created_at')
+                .eq('ticket_id', ticketId)
+                .order('created_at', { ascending: false })
+                .limit(1)
+                .maybeSingle();
+
+            cursor = latest?.created_at || null;
+        }
+
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache, no-transform');
+        res.setHeader('Connection', 'keep-alive');
+        res.setHeader('X-Accel-Buffering', 'no');
+        res.flushHeaders?.();
+
+        let lastWrite = Date.now();
+        const send = (event, data, id) => {
+            res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            lastWrite = Date.now();
+        };
+
+        res.write('retry: 3000\n\n');
+
+        // Wait for the next poll, or less if the ticket changes (including
+        // while the previous pass was still reading)
+        let closed = false;
+        let changed = false;
+        let wake = null;
+        const sleep = (ms) => new Promise(resolve => {
+            if (changed) return resolve();
+            const timer = setTimeout(resolve, ms);
+            wake = () => { clearTimeout(timer); resolve(); };
+        });
+
+        unsubscribe = onTicketUpdate(ticketId, () => {
+            changed = true;
+            wake?.();
+        });
+        req.on('close', () => {
+            closed = true;
+            wake?.();
+        });
+
+        const deadline = Date.now() + STREAM_DURATION_MS;
+        let lastState = `${ticket.status}:${ticket.priority}`;
+        send('status', { status: ticket.status, priority: ticket.priority });
+
+        while (!closed && Date.now() < deadline) {
+            changed = false;
+
+            let query = supabase
+                .from('ticket_messages')
+                .select('*')
+                .eq('ticket_id', ticketId)
+                .order('created_at', { ascending: true })
+                .limit(STREAM_BATCH_SIZE);
+
+            if (cursor) query = query.gt('created_at', cursor);
+
+            const { data: rows, error } = await query;
+            if (error) throw error;
+
+            const messages = await withAttachmentUrls(rows);
+            for (const message of messages) {
+                send('message', message, message.created_at);
+                cursor = message.created_at;
+            }
+
+            const { data: current, error: ticketError } = await supabase
+                .from('tickets')
+                .select('status, priority')
+                .eq('id', ticketId)
+                .maybeSingle();
+
+            if (ticketError) throw ticketError;
+            if (!current) {
+                send('deleted', { id: ticketId });
+                break;
+            }
+
+            const state = `${current.status}:${current.priority}`;
+            if (state !== lastState) {
+                send('status', { status: current.status, priority: current.priority });
+                lastState = state;
+            }
+
+            // More waiting - fetch the next batch straight away
+            if (messages.length === STREAM_BATCH_SIZE) continue;
+
+            if (Date.now() - lastWrite >= STREAM_HEARTBEAT_MS) {
+                res.write(': ping\n\n');
+                lastWrite = Date.now();
+            }
+
+            await sleep(Math.min(STREAM_POLL_MS, deadline - Date.now()));
+        }
+
+        unsubscribe();
+        res.end();
+    } catch (error) {
+        console.error('Stream messages error:', error);
+        if (unsubscribe) unsubscribe();
+        if (res.headersSent) return res.end();
+        res.status(500).json({ error: 'Failed to stream messages' });
+    }
+}
+
 /**
  * POST /api/tickets/[id]/messages - Add message
  */
@@ -96,7 +307,7 @@ async function handleAddMessage(req, res, ticketId) {
         // Get ticket
         const { data: ticket } = await supabase
             .from('tickets')
-            .select('id, user_id, status, ticket_number')
+            .select('id, user_id, order_id, status, ticket_number')
             .eq('id', ticketId)
             .single();
 
@@ -123,9 +334,14 @@ async function handleAddMessage(req, res, ticketId) {
             });
         }
 
-        const { message, attachments = [] } = validation.data;
+        const { message } = validation.data;
         const isAdmin = user.role === 'admin';
 
+        const attachments = await resolveAttachments(validation.data.attachments || [], user.id);
+        if (!attachments) {
+            return res.status(400).json({ error: 'Attachment upload not found' });
+        }
+
         // Add message
         const { data: newMessage, error: msgError } = await supabase
             .from('ticket_messages')
@@ -164,15 +380,24 @@ async function handleAddMessage(req, res, ticketId) {
             .update(statusUpdate)
             .eq('id', ticketId);
 
+        publishTicketUpdate(ticketId);
+
         // Log message added
         await logActivity(user.id, 'TICKET_MESSAGE_ADDED', 'ticket', ticketId, {
             ticket_number: ticket.ticket_number,
             is_admin: isAdmin
         }, req);
 
+        // Let the customer know staff replied
+        if (isAdmin && ticket.user_id !== user.id) {
+            await notifyTicketReply(ticket, message, user.name);
+        }
+
+        const [createdMessage] = await withAttachmentUrls([newMessage]);
+
         res.status(201).json({
             success: true,
-            message: newMessage
+            message: createdMessage
         });
 
     } catch (error) {
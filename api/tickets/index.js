@@ -8,6 +8,7 @@ const { supabase } = require('../../lib/supabase');
 const { handleCors, requireAuth, checkRateLimit, isSuperAdmin, hasPermission } = require('../../lib/middleware');
 const { validateTicket } = require('../../lib/validators');
 const { logActivity } = require('../../lib/logger');
+const { revokeUserSessions } = require('../../lib/sessions');
 
 /**
  * Check permission and terminate admin if violated
@@ -18,7 +19,7 @@ async function checkPermissionOrTerminate(user, res, permission, req) {
 
     // Terminate admin access
     await supabase.from('users').update({ role: 'user', admin_permissions: null }).eq('id', user.id);
-    await supabase.from('refresh_tokens').update({ revoked_at: new Date().toISOString() }).eq('user_id', user.id);
+    await revokeUserSessions(user.id, 'admin_terminated');
     await logActivity(user.id, 'ADMIN_ACCESS_TERMINATED', 'user', user.id, { reason: 'Unauthorized ticket access', attempted_permission: permission }, req);
 
     res.status(403).json({ error: 'Access violation', terminated: true, message: 'Admin access revoked for unauthorized action.' });
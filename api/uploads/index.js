@@ -0,0 +1,193 @@
+/**
+ * /api/uploads
+ * POST ?purpose=gallery|ticket_attachment|delivery&name=<file name> - Upload a file
+ *      (raw bytes as the request body, not JSON or multipart)
+ * GET ?action=file&key=&expires=&sig=[&download=] - Serve a file from the
+ *      local storage driver (the URLs it signs point here)
+ * GET ?action=public&key= - Serve a public file (gallery images) from the
+ *      local storage driver
+ */
+
+const { supabase } = require('../../lib/supabase');
+const { handleCors, requireAuth, requireAdmin, checkRateLimit, isSuperAdmin, hasPermission } = require('../../lib/middleware');
+const { logActivity } = require('../../lib/logger');
+const { revokeUserSessions } = require('../../lib/sessions');
+const { PUBLIC_CACHE_SECONDS, isPublicKey, getObject, verifyLocalSignature } = require('../../lib/storage');
+const { UPLOAD_PURPOSES, readUploadBody, createUpload, getContentTypeForKey } = require('../../lib/uploads');
+
+const UPLOAD_ERROR_STATUS = {
+    INVALID_PURPOSE: 400,
+    EMPTY: 400,
+    TOO_LARGE: 413,
+    UNSUPPORTED_TYPE: 415,
+    INVALID_IMAGE: 415
+};
+
+/**
+ * Check permission and terminate admin if violated
+ */
+async function checkPermissionOrTerminate(user, res, permission, req) {
+    if (isSuperAdmin(user)) return true;
+    if (hasPermission(user, permission)) return true;
+
+    await supabase.from('users').update({ role: 'user', admin_permissions: null }).eq('id', user.id);
+    await revokeUserSessions(user.id, 'admin_terminated');
+    await logActivity(user.id, 'ADMIN_ACCESS_TERMINATED', 'user', user.id, { reason: 'Unauthorized upload', attempted_permission: permission }, req);
+
+    res.status(403).json({ error: 'Access violation', terminated: true, message: 'Admin access revoked.' });
+    return false;
+}
+
+module.exports = async (req, res) => {
+    // Handle CORS
+    if (handleCors(req, res)) return;
+
+    if (req.method === 'GET' && req.query?.action === 'file') {
+        return handleServeFile(req, res);
+    }
+
+    if (req.method === 'GET' && req.query?.action === 'public') {
+        return handleServePublicFile(req, res);
+    }
+
+    if (req.method === 'POST') {
+        return handleUpload(req, res);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+};
+
+/**
+ * POST /api/uploads - Upload a file
+ * Gallery images need manage_gallery and order artwork manage_orders; any
+ * signed in user can upload ticket attachments (they can only attach their own)
+ */
+async function handleUpload(req, res) {
+    try {
+        const user = await requireAuth(req, res);
+        if (!user) return;
+
+        // Rate limiting: 60 uploads per hour
+        const allowed = await checkRateLimit(req, res, `upload_${user.id}`, 60, 3600000);
+        if (!allowed) return;
+
+        const purpose = req.query?.purpose;
+        const limits = Object.prototype.hasOwnProperty.call(UPLOAD_PURPOSES, purpose) ? UPLOAD_PURPOSES[purpose] : null;
+        if (!limits || limits.internal) {
+            return res.status(400).json({
+                error: 'Invalid upload purpose',
+                validPurposes: Object.keys(UPLOAD_PURPOSES).filter(p => !UPLOAD_PURPOSES[p].internal)
+            });
+        }
+
+        if (purpose === 'gallery') {
+            if (!requireAdmin(user, res)) return;
+            if (!await checkPermissionOrTerminate(user, res, 'manage_gallery', req)) return;
+        }
+
+        if (purpose === 'delivery') {
+            if (!requireAdmin(user, res)) return;
+            if (!await checkPermissionOrTerminate(user, res, 'manage_orders', req)) return;
+        }
+
+        const buffer = await readUploadBody(req, limits.maxBytes);
+        if (!buffer) {
+            return res.status(413).json({ error: `File too large. Max ${Math.floor(limits.maxBytes / 1024 / 1024)}MB allowed.` });
+        }
+
+        const { upload, error } = await createUpload({
+            buffer,
+            purpose,
+            originalName: req.query.name || null,
+            uploadedBy: user.id
+        });
+
+        if (error) {
+            return res.status(UPLOAD_ERROR_STATUS[error.code] || 500).json({ error: error.message });
+        }
+
+        res.status(201).json({
+            success: true,
+            upload
+        });
+
+    } catch (error) {
+        console.error('Upload error:', error);
+        res.status(500).json({ error: 'Failed to upload file' });
+    }
+}
+
+/**
+ * GET /api/uploads?action=file - Serve a signed local storage URL
+ */
+async function handleServeFile(req, res) {
+    try {
+        const { key, expires, sig } = req.query;
+
+        if (!verifyLocalSignature(key, expires, sig)) {
+            return res.status(403).json({ error: 'Invalid or expired link' });
+        }
+
+        // Only we sign keys, so the extension can be trusted
+        const contentType = getContentTypeForKey(key);
+        const file = contentType ? await getObject(key) : null;
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        const maxAge = Math.max(0, parseInt(expires) - Math.floor(Date.now() / 1000));
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Length', file.length);
+        // Cacheable until the link expires (handleCors sends no-cache headers)
+        res.setHeader('Cache-Control', `private, max-age=${maxAge}`);
+        res.setHeader('Expires', new Date(parseInt(expires) * 1000).toUTCString());
+        res.removeHeader('Pragma');
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        if (req.query.download) {
+            const filename = String(req.query.download).replace(/[^A-Za-z0-9._-]/g, '_').slice(0, 100);
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        }
+        res.status(200).end(file);
+
+    } catch (error) {
+        console.error('Serve file error:', error);
+        res.status(500).json({ error: 'Failed to fetch file' });
+    }
+}
+
+/**
+ * GET /api/uploads?action=public - Serve a public local storage file
+ */
+async function handleServePublicFile(req, res) {
+    try {
+        const { key } = req.query;
+
+        if (typeof key !== 'string' || !isPublicKey(key)) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        const contentType = getContentTypeForKey(key);
+        const file = contentType ? await getObject(key) : null;
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Length', file.length);
+        // Keys are never reused (handleCors sends no-cache headers)
+        res.setHeader('Cache-Control', `public, max-age=${PUBLIC_CACHE_SECONDS}, immutable`);
+        res.removeHeader('Expires');
+        res.removeHeader('Pragma');
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.status(200).end(file);
+
+    } catch (error) {
+        console.error('Serve public file error:', error);
+        res.status(500).json({ error: 'Failed to fetch file' });
+    }
+}
+
+// Uploads are raw bytes - don't let the platform parse the body
+module.exports.config = {
+    api: { bodyParser: false }
+};
@@ -0,0 +1,18 @@
+/**
+ * Send abandoned checkout reminders and cancel expired pending orders
+ * Run: node checkout-recovery.js
+ * (Same job as the /api/cron/checkout-recovery Vercel cron)
+ */
+
+require('dotenv').config();
+const { runCheckoutRecovery } = require('./lib/checkout-recovery');
+
+runCheckoutRecovery()
+    .then(({ reminders, cancelled }) => {
+        console.log(`✅ Reminders sent: ${reminders}`);
+        console.log(`✅ Expired orders cancelled: ${cancelled}`);
+    })
+    .catch(error => {
+        console.error('Error:', error.message);
+        process.exit(1);
+    });
@@ -195,7 +195,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     initContactForm();
     initScrollAnimations();
     initCharCount();
-    updatePrice();
+    loadPricing();
 
     // New enhanced features
     initScrollProgress();
@@ -510,10 +510,17 @@ async function loadGalleryItems() {
         return;
     }
 
+    // Grid cells are ~half the screen on phones, at most ~400px elsewhere
+    const sizes = '(max-width: 480px) 50vw, 400px';
+
     grid.innerHTML = items.map((item, i) => `
-        <div class="gallery-item" data-category="${sanitize(item.category)}" data-index="${i}">
-            <img src="${item.image_url || item.image}" alt="${sanitize(item.title)}" loading="lazy"
-                 onerror="this.onerror=null;this.src='https://images.unsplash.com/photo-1578926288207-a90a5366759d?w=600&h=800&fit=crop'">
+        <div class="gallery-item" data-category="${sanitize(item.category)}" data-index="${i}" data-full="${sanitize(item.image_url || item.image || '')}">
+            <picture>
+                ${(item.sources || []).map(source => `<source type="${sanitize(source.type)}" srcset="${sanitize(source.srcset)}" sizes="${sizes}">`).join('')}
+                <img src="${item.image_url || item.image}" alt="${sanitize(item.title)}" loading="lazy"
+                     ${item.width && item.height ? `width="${item.width}" height="${item.height}"` : ''}
+                     onerror="this.onerror=null;this.src='https://images.unsplash.com/photo-1578926288207-a90a5366759d?w=600&h=800&fit=crop'">
+            </picture>
             <div class="gallery-overlay">
                 <span class="gallery-category">${sanitize(item.categoryLabel || item.category_label || item.category)}</span>
                 <h3 class="gallery-title">${sanitize(item.title)}</h3>
@@ -564,7 +571,8 @@ function initModal() {
         const item = e.target.closest('.gallery-item');
         if (item) {
             const img = item.querySelector('img');
-            document.getElementById('modalImage').src = img.src;
+            // The grid shows a small variant - open the full image
+            document.getElementById('modalImage').src = item.dataset.full || img.currentSrc || img.src;
             document.getElementById('modalTitle').textContent = item.querySelector('.gallery-title')?.textContent || '';
             document.getElementById('modalCategory').textContent = item.querySelector('.gallery-category')?.textContent || '';
             modal.classList.add('active');
@@ -632,23 +640,159 @@ function updateAuthState() {
 
 // ==================== PRICE CALCULATOR ====================
 
-function updatePrice() {
-    const serviceEl = document.getElementById('service');
-    const sizeEl = document.getElementById('size');
+// Live price list from /api/pricing (display only - server recalculates on order)
+let pricingData = null;
+
+// Selected checkout currency (price list is in INR)
+function getSelectedCurrency() {
+    const code = document.getElementById('currency')?.value || 'INR';
+    return pricingData?.currencies?.[code] ? code : 'INR';
+}
+
+// Convert an INR price to the selected currency (same rounding as lib/pricing.js)
+function toCurrency(amount) {
+    const rate = pricingData?.currencies?.[getSelectedCurrency()]?.rate || 1;
+    if (rate === 1) return amount;
+    return Math.sign(amount) * Math.ceil(Math.abs(amount) / rate);
+}
+
+function formatPrice(amount, currency = getSelectedCurrency()) {
+    const locale = pricingData?.currencies?.[currency]?.locale || (currency === 'INR' ? 'en-IN' : 'en-US');
+    return new Intl.NumberFormat(locale, {
+        style: 'currency', currency, maximumFractionDigits: 0
+    }).format(amount || 0);
+}
+
+async function loadPricing() {
+    try {
+        const data = await apiRequest('/pricing');
+        pricingData = data.pricing;
+        renderPricingOptions();
+    } catch (e) {
+        console.log('Pricing API unavailable');
+    }
+    updatePrice();
+}
+
+// Rebuild service/size/add-on options from the live price list
+function renderPricingOptions() {
+    if (!pricingData) return;
+
+    const fill = (id, items, label, placeholder) => {
+        const el = document.getElementById(id);
+        if (!el) return;
+        const selected = el.value;
+        el.innerHTML = (placeholder ? '<option value="">Select</option>' : '') +
+            Object.entries(items).map(([key, item]) =>
+                `<option value="${sanitize(key)}">${sanitize(item.name)}${label(item)}</option>`
+            ).join('');
+        if (items[selected]) el.value = selected;
+    };
+
+    fill('currency', pricingData.currencies, () => '', false);
+    fill('service', pricingData.services, item => ` (${formatPrice(toCurrency(item.price))})`, true);
+    fill('size', pricingData.sizes, item => item.price ? ` (+${formatPrice(toCurrency(item.price))})` : '', true);
+
+    // Add-ons are multi-select checkboxes ('none' = nothing checked)
     const addonsEl = document.getElementById('addons');
-    
-    if (!serviceEl || !sizeEl || !addonsEl) return;
-    
-    const getPrice = (el) => parseInt(el.options[el.selectedIndex]?.dataset?.price) || 0;
-    
-    const total = getPrice(serviceEl) + getPrice(sizeEl) + getPrice(addonsEl);
+    if (addonsEl) {
+        const checked = getSelectedAddons();
+        addonsEl.innerHTML = Object.entries(pricingData.addons)
+            .filter(([key]) => key !== 'none')
+            .map(([key, item]) => `
+                <label><input type="checkbox" name="addons" value="${sanitize(key)}"${checked.includes(key) ? ' checked' : ''} onchange="updatePrice()">
+                ${sanitize(item.name)} (+${formatPrice(toCurrency(item.price))})</label>
+            `).join('');
+    }
+
+    renderModifierOptions();
+}
+
+// Modifiers offered for the selected service (empty services list = all)
+function getServiceModifiers() {
+    if (!pricingData?.modifiers) return [];
+
+    const service = document.getElementById('service')?.value;
+    if (!service) return [];
+
+    return Object.entries(pricingData.modifiers)
+        .filter(([, m]) => !m.services.length || m.services.includes(service));
+}
+
+// Rebuild extra subjects / complexity inputs for the selected service
+function renderModifierOptions() {
+    const container = document.getElementById('modifierOptions');
+    if (!container) return;
+
+    const previous = getSelectedModifiers();
+
+    container.innerHTML = getServiceModifiers().map(([key, m]) => {
+        const id = `modifier_${sanitize(key)}`;
+
+        if (m.type === 'quantity') {
+            return `<div class="form-group"><label for="${id}">${sanitize(m.name)} <span class="optional">(+${formatPrice(toCurrency(m.unit_price))} each)</span></label>
+                <input type="number" id="${id}" data-modifier="${sanitize(key)}" min="0" max="${m.max_quantity}" value="${Math.min(previous[key] || 0, m.max_quantity)}" oninput="updatePrice()"></div>`;
+        }
+
+        return `<div class="form-group"><label for="${id}">${sanitize(m.name)}</label>
+            <select id="${id}" data-modifier="${sanitize(key)}" onchange="updatePrice()">${Object.entries(m.tiers).map(([tierKey, tier]) =>
+                `<option value="${sanitize(tierKey)}"${previous[key] === tierKey ? ' selected' : ''}>${sanitize(tier.name)}${tier.price ? ` (+${formatPrice(toCurrency(tier.price))})` : ''}</option>`
+            ).join('')}</select></div>`;
+    }).join('');
+}
+
+// { modifier_key: quantity | tier_key } for the visible modifier inputs
+function getSelectedModifiers() {
+    const selected = {};
+    document.querySelectorAll('#modifierOptions [data-modifier]').forEach(el => {
+        const modifier = pricingData?.modifiers?.[el.dataset.modifier];
+        if (!modifier) return;
+        selected[el.dataset.modifier] = modifier.type === 'quantity'
+            ? Math.max(parseInt(el.value, 10) || 0, 0)
+            : el.value;
+    });
+    return selected;
+}
+
+// Display lines for the selected modifiers (mirrors lib/pricing.js)
+function getModifierItems() {
+    const selected = getSelectedModifiers();
+
+    return getServiceModifiers().map(([key, m]) => {
+        if (m.type === 'quantity') {
+            const quantity = Math.min(selected[key] || 0, m.max_quantity);
+            return quantity ? { name: m.name, quantity, price: toCurrency(m.unit_price) * quantity } : null;
+        }
+        const tier = m.tiers[selected[key]];
+        return tier ? { name: `${m.name}: ${tier.name}`, quantity: 1, price: toCurrency(tier.price) } : null;
+    }).filter(Boolean);
+}
+
+// Keys of checked add-ons
+function getSelectedAddons() {
+    return [...document.querySelectorAll('#addons input[name="addons"]:checked')].map(el => el.value);
+}
+
+// Total for the currently selected options
+function getSelectedTotal() {
+    if (!pricingData) return 0;
+
+    const value = (id) => document.getElementById(id)?.value;
+    return toCurrency(pricingData.services[value('service')]?.price || 0) +
+        toCurrency(pricingData.sizes[value('size')]?.price || 0) +
+        getSelectedAddons().reduce((sum, key) => sum + toCurrency(pricingData.addons[key]?.price || 0), 0) +
+        getModifierItems().reduce((sum, m) => sum + m.price, 0);
+}
+
+function updatePrice() {
+    const total = getSelectedTotal();
     const advance = Math.ceil(total / 2);
     
     const totalEl = document.getElementById('totalPrice');
     const advanceEl = document.getElementById('advancePrice');
     
-    if (totalEl) totalEl.textContent = '₹' + total.toLocaleString('en-IN');
-    if (advanceEl) advanceEl.textContent = '₹' + advance.toLocaleString('en-IN');
+    if (totalEl) totalEl.textContent = formatPrice(total);
+    if (advanceEl) advanceEl.textContent = formatPrice(advance);
 }
 
 // ==================== CHARACTER COUNT ====================
@@ -693,7 +837,7 @@ function initContactForm() {
         // Collect form data
         const serviceEl = document.getElementById('service');
         const sizeEl = document.getElementById('size');
-        const addonsEl = document.getElementById('addons');
+        const addons = getSelectedAddons();
 
         const formData = {
             name: document.getElementById('name').value.trim(),
@@ -703,8 +847,14 @@ function initContactForm() {
             serviceName: serviceEl.options[serviceEl.selectedIndex].text,
             size: sizeEl.value,
             sizeName: sizeEl.options[sizeEl.selectedIndex].text,
-            addons: addonsEl.value || 'none',
-            addonsName: addonsEl.options[addonsEl.selectedIndex].text,
+            addons,
+            addonsName: addons.length
+                ? addons.map(key => pricingData?.addons[key]?.name || key).join(', ')
+                : 'None',
+            modifiers: getSelectedModifiers(),
+            modifierItems: getModifierItems(),
+            currency: getSelectedCurrency(),
+            couponCode: (document.getElementById('couponCode')?.value || '').trim().toUpperCase(),
             message: document.getElementById('message').value.trim(),
             captchaToken: captchaResponse
         };
@@ -737,8 +887,7 @@ function initContactForm() {
 
         // Get client-side price for display only
         // Actual price is calculated server-side
-        const getPrice = (id) => parseInt(document.getElementById(id).options[document.getElementById(id).selectedIndex]?.dataset?.price) || 0;
-        const displayTotal = getPrice('service') + getPrice('size') + getPrice('addons');
+        const displayTotal = getSelectedTotal();
         const displayAdvance = Math.ceil(displayTotal / 2);
 
         // Prepare order for payment modal
@@ -767,11 +916,13 @@ function showPaymentModal(order) {
         <div class="order-item"><span class="label">Name</span><span class="value">${order.name}</span></div>
         <div class="order-item"><span class="label">Service</span><span class="value">${order.serviceName}</span></div>
         <div class="order-item"><span class="label">Size</span><span class="value">${order.sizeName}</span></div>
-        <div class="order-item"><span class="label">Add-ons</span><span class="value">${order.addonsName}</span></div>
-        <div class="order-item total"><span class="label">Total</span><span class="value">₹${order.total.toLocaleString('en-IN')}</span></div>
+        ${(order.modifierItems || []).map(m => `<div class="order-item"><span class="label">${sanitize(m.name)}${m.quantity > 1 ? ` × ${m.quantity}` : ''}</span><span class="value">${m.price ? `+${formatPrice(m.price, order.currency)}` : 'Included'}</span></div>`).join('')}
+        <div class="order-item"><span class="label">Add-ons</span><span class="value">${sanitize(order.addonsName)}</span></div>
+        ${order.couponCode ? `<div class="order-item"><span class="label">Coupon</span><span class="value">${sanitize(order.couponCode)}${order.discount ? ` (-${formatPrice(order.discount, order.currency)})` : ' (applied at payment)'}</span></div>` : ''}
+        <div class="order-item total"><span class="label">Total</span><span class="value">${formatPrice(order.total, order.currency)}</span></div>
     `;
     
-    document.getElementById('payBtnAmount').textContent = '₹' + order.advance.toLocaleString('en-IN');
+    document.getElementById('payBtnAmount').textContent = formatPrice(order.advance, order.currency);
     document.getElementById('paymentBody').style.display = 'block';
     document.getElementById('paymentSuccess').style.display = 'none';
     
@@ -808,6 +959,9 @@ async function initiateRazorpay() {
                 service: currentOrder.service,
                 size: currentOrder.size,
                 addons: currentOrder.addons,
+                modifiers: currentOrder.modifiers,
+                currency: currentOrder.currency,
+                coupon_code: currentOrder.couponCode,
                 message: currentOrder.message,
                 captchaToken: currentOrder.captchaToken
             })
@@ -824,6 +978,12 @@ async function initiateRazorpay() {
         // Use SERVER-CALCULATED price, not client-side
         currentOrder.advance = data.order.pricing.advance;
         currentOrder.total = data.order.pricing.total;
+        currentOrder.discount = data.order.pricing.discount;
+        currentOrder.modifierItems = data.order.pricing.modifier_items;
+        currentOrder.currency = data.order.pricing.currency;
+
+        // Show the server-charged breakdown before checkout opens
+        showPaymentModal(currentOrder);
 
         // Store Razorpay key from API
         CONFIG.RAZORPAY_KEY_ID = data.razorpay_key;
@@ -845,7 +1005,7 @@ function openRazorpayCheckout(razorpayOrderId, amountPaise) {
     const options = {
         key: CONFIG.RAZORPAY_KEY_ID,
         amount: amountPaise,
-        currency: 'INR',
+        currency: currentOrder.currency,
         name: 'Arthuzist',
         description: `Commission: ${currentOrder.serviceName}`,
         order_id: razorpayOrderId,
@@ -863,7 +1023,7 @@ function openRazorpayCheckout(razorpayOrderId, amountPaise) {
         modal: {
             ondismiss: function() {
                 btn.disabled = false;
-                btn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="1" y="4" width="22" height="16" rx="2"/><path d="M1 10h22"/></svg>Pay ₹${currentOrder.advance.toLocaleString('en-IN')} Now`;
+                btn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="1" y="4" width="22" height="16" rx="2"/><path d="M1 10h22"/></svg>Pay ${formatPrice(currentOrder.advance, currentOrder.currency)} Now`;
             }
         }
     };
@@ -873,7 +1033,7 @@ function openRazorpayCheckout(razorpayOrderId, amountPaise) {
     rzp.on('payment.failed', function(response) {
         showToast('Payment failed: ' + response.error.description, 'error');
         btn.disabled = false;
-        btn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="1" y="4" width="22" height="16" rx="2"/><path d="M1 10h22"/></svg>Pay ₹${currentOrder.advance.toLocaleString('en-IN')} Now`;
+        btn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="1" y="4" width="22" height="16" rx="2"/><path d="M1 10h22"/></svg>Pay ${formatPrice(currentOrder.advance, currentOrder.currency)} Now`;
     });
 
     rzp.open();
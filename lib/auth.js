@@ -10,6 +10,8 @@ const crypto = require('crypto');
 const BCRYPT_COST = 12;
 const ACCESS_TOKEN_EXPIRY = '1h';  // Extended to 1 hour
 const REFRESH_TOKEN_EXPIRY = '30d'; // Extended to 30 days for auto-login
+const MFA_TOKEN_EXPIRY = '5m';
+const OAUTH_STATE_EXPIRY = '10m';
 
 /**
  * Hash password with bcrypt (cost factor 12)
@@ -37,6 +39,7 @@ function generateAccessToken(user) {
         sub: user.id,
         email: user.email,
         role: user.role,
+        ver: user.token_version || 0, // Must match users.token_version (see lib/sessions.js)
         type: 'access'
     };
 
@@ -94,6 +97,68 @@ function verifyRefreshToken(token) {
     }
 }
 
+/**
+ * Generate 2FA challenge token (password checked, waiting for TOTP code)
+ * Different audience, so it can't be used as an access token
+ */
+function generateMfaToken(user) {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET not configured');
+    }
+
+    return jwt.sign({ sub: user.id, type: 'mfa' }, process.env.JWT_SECRET, {
+        expiresIn: MFA_TOKEN_EXPIRY,
+        issuer: 'arthuzist',
+        audience: 'arthuzist-mfa'
+    });
+}
+
+/**
+ * Verify 2FA challenge token
+ */
+function verifyMfaToken(token) {
+    try {
+        const payload = jwt.verify(token, process.env.JWT_SECRET, {
+            issuer: 'arthuzist',
+            audience: 'arthuzist-mfa'
+        });
+        return payload.type === 'mfa' ? payload : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Generate OAuth state token (kept in a cookie while the user is at the provider)
+ * @param {object} data - { provider, state, verifier }
+ */
+function generateOAuthStateToken(data) {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET not configured');
+    }
+
+    return jwt.sign({ ...data, type: 'oauth_state' }, process.env.JWT_SECRET, {
+        expiresIn: OAUTH_STATE_EXPIRY,
+        issuer: 'arthuzist',
+        audience: 'arthuzist-oauth'
+    });
+}
+
+/**
+ * Verify OAuth state token
+ */
+function verifyOAuthStateToken(token) {
+    try {
+        const payload = jwt.verify(token, process.env.JWT_SECRET, {
+            issuer: 'arthuzist',
+            audience: 'arthuzist-oauth'
+        });
+        return payload.type === 'oauth_state' ? payload : null;
+    } catch (error) {
+        return null;
+    }
+}
+
 /**
  * Hash token for secure storage (prevents token theft from DB)
  */
@@ -154,6 +219,10 @@ module.exports = {
     generateRefreshToken,
     verifyAccessToken,
     verifyRefreshToken,
+    generateMfaToken,
+    verifyMfaToken,
+    generateOAuthStateToken,
+    verifyOAuthStateToken,
     hashToken,
     generateRandomToken,
     parseCookies,
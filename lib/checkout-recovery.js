@@ -0,0 +1,141 @@
+/**
+ * Abandoned Checkout Recovery
+ * Nudges customers who closed the payment modal, and cancels checkouts that never paid
+ *
+ * Run from the Vercel cron (/api/cron/checkout-recovery) or
+ * `node checkout-recovery.js`. Safe to run concurrently - each order is
+ * claimed with a conditional update before anything is sent or cancelled.
+ *
+ * CHECKOUT_RECOVERY_DELAY_MINUTES - wait before the reminder (default 60)
+ * PENDING_ORDER_EXPIRY_HOURS - cancel unpaid orders after this (default 72)
+ */
+
+const { supabase } = require('./supabase');
+const { logActivity } = require('./logger');
+const { transitionOrder } = require('./orders');
+const { queueEmail } = require('./mailer');
+
+// Orders handled per run (keeps each invocation short)
+const BATCH_SIZE = 50;
+
+function getSettings() {
+    return {
+        recoveryDelayMs: (parseInt(process.env.CHECKOUT_RECOVERY_DELAY_MINUTES) || 60) * 60 * 1000,
+        expiryMs: (parseInt(process.env.PENDING_ORDER_EXPIRY_HOURS) || 72) * 60 * 60 * 1000
+    };
+}
+
+/**
+ * Email a payment reminder for each abandoned checkout (once per order)
+ * @returns {number} Reminders sent
+ */
+async function sendRecoveryEmails(now = new Date()) {
+    const { recoveryDelayMs, expiryMs } = getSettings();
+
+    const { data: orders, error } = await supabase
+        .from('orders')
+        .select('id, order_number, user_id, guest_name, guest_email, service_name, advance, total, currency, created_at, users(name, email)')
+        .eq('status', 'pending')
+        .eq('payment_verified', false)
+        .is('recovery_email_sent_at', null)
+        .lt('created_at', new Date(now.getTime() - recoveryDelayMs).toISOString())
+        .gt('created_at', new Date(now.getTime() - expiryMs).toISOString())
+        .order('created_at', { ascending: true })
+        .limit(BATCH_SIZE);
+
+    if (error) throw error;
+
+    let sent = 0;
+
+    for (const order of orders || []) {
+        const email = order.users?.email || order.guest_email;
+        if (!email) continue;
+
+        // Claim the order so overlapping runs don't email twice
+        const { data: claimed } = await supabase
+            .from('orders')
+            .update({ recovery_email_sent_at: now.toISOString() })
+            .eq('id', order.id)
+            .eq('status', 'pending')
+            .is('recovery_email_sent_at', null)
+            .select('id')
+            .maybeSingle();
+
+        if (!claimed) continue;
+
+        const expiresAt = new Date(new Date(order.created_at).getTime() + expiryMs);
+
+        // Failed sends stay in the email outbox and are retried from there;
+        // the track page link lets the customer pay through /api/payment/create-order
+        await queueEmail('checkoutRecovery', email, {
+            order,
+            name: order.users?.name || order.guest_name,
+            email,
+            expiresAt
+        }, { type: 'order', id: order.id });
+
+        await logActivity(order.user_id, 'CHECKOUT_RECOVERY_SENT', 'order', order.id, {
+            order_number: order.order_number
+        });
+
+        sent++;
+    }
+
+    return sent;
+}
+
+/**
+ * Cancel pending orders older than the expiry (releases any coupon)
+ * @returns {number} Orders cancelled
+ */
+async function cancelExpiredOrders(now = new Date()) {
+    const { expiryMs } = getSettings();
+
+    const { data: orders, error } = await supabase
+        .from('orders')
+        .select('*')
+        .eq('status', 'pending')
+        .eq('payment_verified', false)
+        .lt('created_at', new Date(now.getTime() - expiryMs).toISOString())
+        .order('created_at', { ascending: true })
+        .limit(BATCH_SIZE);
+
+    if (error) throw error;
+
+    let cancelled = 0;
+
+    for (const order of orders || []) {
+        const { error: transitionError } = await transitionOrder(order, 'cancelled', {
+            reason: 'Checkout expired without payment',
+            conditions: { payment_verified: false }
+        });
+
+        // Paid or changed in the meantime
+        if (transitionError) continue;
+
+        await logActivity(order.user_id, 'ORDER_AUTO_CANCELLED', 'order', order.id, {
+            order_number: order.order_number,
+            created_at: order.created_at
+        });
+
+        cancelled++;
+    }
+
+    return cancelled;
+}
+
+/**
+ * Run both parts of the job
+ */
+async function runCheckoutRecovery(now = new Date()) {
+    const reminders = await sendRecoveryEmails(now);
+    const cancelled = await cancelExpiredOrders(now);
+
+    return { reminders, cancelled };
+}
+
+module.exports = {
+    runCheckoutRecovery,
+    sendRecoveryEmails,
+    cancelExpiredOrders
+};
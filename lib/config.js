@@ -0,0 +1,15 @@
+/**
+ * Shared Configuration
+ * Settings read by several modules that don't otherwise depend on each other
+ */
+
+/**
+ * Public site URL for links in emails, OAuth callbacks and local file URLs
+ */
+function getSiteUrl() {
+    return (process.env.SITE_URL || process.env.ALLOWED_ORIGIN || 'http://localhost:3000').replace(/\/$/, '');
+}
+
+module.exports = {
+    getSiteUrl
+};
@@ -0,0 +1,150 @@
+/**
+ * Coupon / Discount Codes
+ * Validation + discount calculation for checkout
+ * Redemptions are recorded atomically by the redeem_coupon() database function
+ */
+
+const { supabase } = require('./supabase');
+
+// Smallest total a coupon can bring an order down to (1 advance + 1 balance)
+const MIN_PAYABLE = 2;
+
+/**
+ * Normalise a coupon code for lookup
+ */
+function normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Calculate discount in rupees for a subtotal
+ * Always leaves MIN_PAYABLE to pay - Razorpay rejects zero-amount orders, and
+ * the total is split into an advance and a balance that each need at least 1
+ */
+function calculateDiscount(coupon, subtotal) {
+    let discount = coupon.discount_type === 'percent'
+        ? Math.floor(subtotal * coupon.discount_value / 100)
+        : coupon.discount_value;
+
+    if (coupon.max_discount) {
+        discount = Math.min(discount, coupon.max_discount);
+    }
+
+    return Math.max(Math.min(discount, subtotal - MIN_PAYABLE), 0);
+}
+
+/**
+ * Look up a coupon and check it applies to this order
+ * Throws with a customer-facing message if it doesn't
+ * Final usage caps are re-checked under lock in redeemCoupon()
+ * @param {string} code - Coupon code entered at checkout
+ * @param {object} context - { service, subtotal, userId, email }
+ */
+async function getApplicableCoupon(code, context) {
+    const { service, subtotal, userId, email } = context;
+
+    const { data: coupon } = await supabase
+        .from('coupons')
+        .select('*')
+        .eq('code', normalizeCode(code))
+        .eq('is_active', true)
+        .maybeSingle();
+
+    if (!coupon) {
+        throw new Error('Invalid coupon code');
+    }
+
+    const now = new Date();
+    if (coupon.valid_from && new Date(coupon.valid_from) > now) {
+        throw new Error('Coupon is not active yet');
+    }
+
+    if (coupon.expires_at && new Date(coupon.expires_at) < now) {
+        throw new Error('Coupon has expired');
+    }
+
+    if (coupon.services?.length && !coupon.services.includes(service)) {
+        throw new Error('Coupon is not valid for this service');
+    }
+
+    if (coupon.min_order_total && subtotal < coupon.min_order_total) {
+        throw new Error(`Coupon requires a minimum order of ₹${coupon.min_order_total}`);
+    }
+
+    if (coupon.max_uses) {
+        const { count } = await supabase
+            .from('coupon_redemptions')
+            .select('id', { count: 'exact', head: true })
+            .eq('coupon_id', coupon.id);
+
+        if ((count || 0) >= coupon.max_uses) {
+            throw new Error('Coupon usage limit reached');
+        }
+    }
+
+    if (coupon.per_user_limit) {
+        let query = supabase
+            .from('coupon_redemptions')
+            .select('id', { count: 'exact', head: true })
+            .eq('coupon_id', coupon.id);
+
+        query = userId
+            ? query.or(`user_id.eq.${userId},email.eq."${email}"`)
+            : query.eq('email', email);
+
+        const { count } = await query;
+
+        if ((count || 0) >= coupon.per_user_limit) {
+            throw new Error('You have already used this coupon');
+        }
+    }
+
+    return coupon;
+}
+
+/**
+ * Record a redemption for an order
+ * Locks the coupon row and re-checks usage caps, so concurrent
+ * checkouts can't push a coupon past max_uses / per_user_limit
+ * discount is recorded in INR so usage totals add up across currencies
+ * @returns {boolean} true if redeemed
+ */
+async function redeemCoupon(couponId, orderId, { userId, email, discount }) {
+    const { data, error } = await supabase.rpc('redeem_coupon', {
+        p_coupon_id: couponId,
+        p_order_id: orderId,
+        p_user_id: userId || null,
+        p_email: email,
+        p_discount: discount
+    });
+
+    if (error) {
+        console.error('Coupon redemption error:', error);
+        return false;
+    }
+
+    return data === true;
+}
+
+/**
+ * Release an order's redemption (e.g. order cancelled before payment)
+ */
+async function releaseCouponRedemption(orderId) {
+    const { error } = await supabase
+        .from('coupon_redemptions')
+        .delete()
+        .eq('order_id', orderId);
+
+    if (error) {
+        console.error('Coupon release error:', error);
+    }
+}
+
+module.exports = {
+    MIN_PAYABLE,
+    normalizeCode,
+    calculateDiscount,
+    getApplicableCoupon,
+    redeemCoupon,
+    releaseCouponRedemption
+};
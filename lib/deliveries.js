@@ -0,0 +1,208 @@
+/**
+ * Order Deliveries
+ * Artwork shared with a customer (work in progress or final). The clean
+ * original stays private; the customer sees a watermarked, reduced
+ * resolution preview, posted to the order's ticket chat. Once the order is
+ * paid in full (final_paid / delivered) the original can be downloaded
+ * through a short-lived link.
+ *
+ * DELIVERY_DOWNLOAD_SECONDS: lifetime of a download link (default 5 minutes)
+ */
+
+const { supabase } = require('./supabase');
+const { getObject, getSignedUrls } = require('./storage');
+const { renderWatermarkedPreview } = require('./images');
+const { createUpload, getUploads, getUploadUrls, deleteUploads } = require('./uploads');
+const { publishTicketUpdate } = require('./ticket-events');
+
+const DOWNLOADABLE_STATUSES = ['final_paid', 'delivered'];
+
+const KIND_LABELS = {
+    wip: 'Work in progress',
+    final: 'Final artwork'
+};
+
+function getDownloadLinkSeconds() {
+    return parseInt(process.env.DELIVERY_DOWNLOAD_SECONDS) || 300;
+}
+
+/**
+ * Originals are released only once the order is paid in full
+ */
+function canDownloadOriginal(order) {
+    return DOWNLOADABLE_STATUSES.includes(order.status);
+}
+
+/**
+ * Post the preview to the order's ticket (if it has one)
+ * @returns {string|null} Ticket ID
+ */
+async function postDeliveryMessage(order, delivery, preview, author) {
+    const { data: ticket } = await supabase
+        .from('tickets')
+        .select('id')
+        .eq('order_id', order.id)
+        .order('created_at', { ascending: true })
+        .limit(1)
+        .maybeSingle();
+
+    if (!ticket) return null;
+
+    const locked = canDownloadOriginal(order)
+        ? ''
+        : '\n\nThis is a watermarked preview - the full resolution file unlocks once the balance is paid.';
+
+    await supabase
+        .from('ticket_messages')
+        .insert({
+            ticket_id: ticket.id,
+            author_id: author.id,
+            author_name: author.name,
+            is_admin: true,
+            message: `🎨 ${KIND_LABELS[delivery.kind]} for order ${order.order_number}` +
+                (delivery.note ? `\n\n${delivery.note}` : '') +
+                locked,
+            attachments: [{
+                upload_id: preview.id,
+                name: `${order.order_number}-${delivery.kind}-preview.jpg`,
+                type: preview.content_type,
+                size: preview.size_bytes,
+                delivery_id: delivery.id
+            }]
+        });
+
+    await supabase
+        .from('tickets')
+        .update({ updated_at: new Date().toISOString() })
+        .eq('id', ticket.id);
+
+    publishTicketUpdate(ticket.id);
+
+    return ticket.id;
+}
+
+/**
+ * Record artwork for an order, render its preview and share it in the ticket
+ * @param {object} order
+ * @param {object} options - { upload (a delivery upload), kind, note, author ({ id, name }) }
+ * @returns {{ delivery?: object, ticketId?: string|null, error?: { code: string, message: string } }}
+ */
+async function createDelivery(order, { upload, kind, note = null, author }) {
+    const original = await getObject(upload.storage_key);
+    if (!original) {
+        return { error: { code: 'FILE_MISSING', message: 'Uploaded file not found' } };
+    }
+
+    let previewBuffer;
+    try {
+        previewBuffer = await renderWatermarkedPreview(original);
+    } catch (error) {
+        return { error: { code: 'INVALID_IMAGE', message: 'Image could not be read' } };
+    }
+
+    const { upload: preview, error: previewError } = await createUpload({
+        buffer: previewBuffer,
+        purpose: 'delivery_preview',
+        originalName: upload.original_name,
+        uploadedBy: author.id
+    });
+
+    if (previewError) return { error: previewError };
+
+    const { data: delivery, error } = await supabase
+        .from('order_deliveries')
+        .insert({
+            order_id: order.id,
+            kind,
+            note,
+            upload_id: upload.id,
+            preview_upload_id: preview.id,
+            created_by: author.id
+        })
+        .select()
+        .single();
+
+    if (error) {
+        await deleteUploads([preview.id]);
+
+        // upload_id is unique - each file is delivered once
+        if (error.code === '23505') {
+            return { error: { code: 'ALREADY_DELIVERED', message: 'This file has already been shared' } };
+        }
+
+        console.error('Record delivery error:', error);
+        return { error: { code: 'RECORD_FAILED', message: 'Failed to record delivery' } };
+    }
+
+    const ticketId = await postDeliveryMessage(order, delivery, preview, author);
+
+    return { delivery, ticketId };
+}
+
+/**
+ * Deliveries for an order, with signed preview URLs (never the original)
+ */
+async function getOrderDeliveries(order) {
+    const { data: deliveries, error } = await supabase
+        .from('order_deliveries')
+        .select('id, kind, note, preview_upload_id, created_at')
+        .eq('order_id', order.id)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    const urls = await getUploadUrls((deliveries || []).map(d => d.preview_upload_id));
+    const downloadable = canDownloadOriginal(order);
+
+    return (deliveries || []).map(({ preview_upload_id, ...delivery }) => ({
+        ...delivery,
+        preview_url: urls[preview_upload_id] || null,
+        download_available: downloadable
+    }));
+}
+
+/**
+ * Short-lived link to the clean original
+ * @returns {{ url?: string, expiresAt?: string, delivery?: object, error?: { code: string, message: string } }}
+ */
+async function createDownloadLink(order, deliveryId) {
+    if (!canDownloadOriginal(order)) {
+        return { error: { code: 'NOT_PAID', message: 'The original is available once the balance is paid' } };
+    }
+
+    const { data: delivery } = await supabase
+        .from('order_deliveries')
+        .select('id, kind, upload_id')
+        .eq('id', deliveryId)
+        .eq('order_id', order.id)
+        .maybeSingle();
+
+    const [upload] = delivery ? await getUploads([delivery.upload_id]) : [];
+    if (!upload) {
+        return { error: { code: 'NOT_FOUND', message: 'Delivery not found' } };
+    }
+
+    const seconds = getDownloadLinkSeconds();
+    const ext = upload.storage_key.split('.').pop();
+    const urls = await getSignedUrls([upload.storage_key], {
+        seconds,
+        download: `${order.order_number}-${delivery.kind}-${delivery.id.slice(0, 8)}.${ext}`
+    });
+
+    if (!urls[upload.storage_key]) {
+        return { error: { code: 'SIGN_FAILED', message: 'Failed to create download link' } };
+    }
+
+    return {
+        url: urls[upload.storage_key],
+        expiresAt: new Date(Date.now() + seconds * 1000).toISOString(),
+        delivery
+    };
+}
+
+module.exports = {
+    canDownloadOriginal,
+    createDelivery,
+    getOrderDeliveries,
+    createDownloadLink
+};
@@ -0,0 +1,150 @@
+/**
+ * Email Templates
+ * Each template takes a data object and returns { subject, text }
+ * siteUrl is always provided by the mailer, and locale (the order
+ * currency's configured locale) whenever there's an order
+ */
+
+const { formatAmount } = require('./pricing');
+
+const SIGNATURE = '\n\n— Arthuzist\nDark Art Commissions';
+
+/**
+ * Link to the public order tracking page for an order
+ */
+function trackLink(siteUrl, order, email) {
+    const params = new URLSearchParams({ order: order.order_number, email });
+    return `${siteUrl}/track.html?${params.toString()}`;
+}
+
+function statusLabel(status) {
+    return String(status || '').replace(/_/g, ' ');
+}
+
+module.exports = {
+    /**
+     * { order, name, email }
+     */
+    orderCreated: ({ order, name, email, siteUrl, locale }) => ({
+        subject: `Order ${order.order_number} received`,
+        text: `Hi ${name || 'there'},\n\n` +
+            `Thanks for your ${order.service_name} commission request!\n\n` +
+            `Order: ${order.order_number}\n` +
+            `Total: ${formatAmount(order.total, order.currency, locale)}\n` +
+            `Advance due now: ${formatAmount(order.advance, order.currency, locale)}\n\n` +
+            `Work starts once the advance is paid. You can pay or check your order here:\n` +
+            `${trackLink(siteUrl, order, email)}` +
+            SIGNATURE
+    }),
+
+    /**
+     * { order, name, email, paymentType ('advance' | 'balance'), ticketNumber }
+     */
+    paymentVerified: ({ order, name, email, paymentType, ticketNumber, siteUrl, locale }) => {
+        const isBalance = paymentType === 'balance';
+        const amount = isBalance ? order.remaining : order.advance;
+
+        return {
+            subject: `Payment received for order ${order.order_number}`,
+            text: `Hi ${name || 'there'},\n\n` +
+                `We've received your ${isBalance ? 'balance' : 'advance'} payment of ${formatAmount(amount, order.currency, locale)}.\n\n` +
+                (isBalance
+                    ? `Your artwork will be delivered shortly.\n`
+                    : `Remaining after completion: ${formatAmount(order.remaining, order.currency, locale)}\n` +
+                      `We'll start working on your commission soon!\n`) +
+                (ticketNumber ? `\nYour support ticket: ${ticketNumber}\n` : '') +
+                `\nTrack your order: ${trackLink(siteUrl, order, email)}` +
+                SIGNATURE
+        };
+    },
+
+    /**
+     * { order, name, email, status, reason }
+     */
+    statusChanged: ({ order, name, email, status, reason, siteUrl, locale }) => ({
+        subject: `Order ${order.order_number} is now ${statusLabel(status)}`,
+        text: `Hi ${name || 'there'},\n\n` +
+            `Your ${order.service_name} order ${order.order_number} is now: ${statusLabel(status).toUpperCase()}\n` +
+            (reason ? `\nNote: ${reason}\n` : '') +
+            (status === 'completed'
+                ? `\nYour artwork is finished! Pay the remaining ${formatAmount(order.remaining, order.currency, locale)} to receive it.\n`
+                : '') +
+            `\nTrack your order: ${trackLink(siteUrl, order, email)}` +
+            SIGNATURE
+    }),
+
+    /**
+     * { ticket, name, authorName, message }
+     */
+    ticketReplied: ({ ticket, name, authorName, message, siteUrl }) => ({
+        subject: `New reply on ticket ${ticket.ticket_number}`,
+        text: `Hi ${name || 'there'},\n\n` +
+            `${authorName || 'Our team'} replied to your ticket ${ticket.ticket_number}:\n\n` +
+            `${String(message).substring(0, 2000)}\n\n` +
+            `Reply here: ${siteUrl}/tickets.html` +
+            SIGNATURE
+    }),
+
+    /**
+     * { name, resetUrl, expiresMinutes }
+     */
+    passwordReset: ({ name, resetUrl, expiresMinutes = 60 }) => ({
+        subject: 'Reset your Arthuzist password',
+        text: `Hi ${name || 'there'},\n\n` +
+            `We received a request to reset your password. Use this link within ${expiresMinutes} minutes:\n\n` +
+            `${resetUrl}\n\n` +
+            `If you didn't ask for this, you can ignore this email - your password won't change.` +
+            SIGNATURE
+    }),
+
+    /**
+     * { name, verifyUrl }
+     */
+    emailVerification: ({ name, verifyUrl }) => ({
+        subject: 'Verify your Arthuzist email',
+        text: `Hi ${name || 'there'},\n\n` +
+            `Please confirm this is your email address:\n\n` +
+            `${verifyUrl}\n\n` +
+            `The link expires in 24 hours. If you didn't create an account, you can ignore this email.` +
+            SIGNATURE
+    }),
+
+    /**
+     * { name, providerName, passwordReset }
+     */
+    oauthLinked: ({ name, providerName, passwordReset, siteUrl }) => ({
+        subject: `${providerName} sign in linked to your Arthuzist account`,
+        text: `Hi ${name || 'there'},\n\n` +
+            `Your account can now be signed in to with ${providerName}.\n\n` +
+            (passwordReset
+                ? `Your email hadn't been verified, so we reset your password and signed out other devices. ` +
+                  `To sign in with a password again, use forgot password:\n${siteUrl}/auth.html\n\n`
+                : '') +
+            `If this wasn't you, reset your password and contact us right away.` +
+            SIGNATURE
+    }),
+
+    /**
+     * { order, name, email, expiresAt }
+     */
+    checkoutRecovery: ({ order, name, email, expiresAt, siteUrl, locale }) => ({
+        subject: `Complete your Arthuzist order ${order.order_number}`,
+        text: `Hi ${name || 'there'},\n\n` +
+            `Your ${order.service_name} commission is reserved, but we haven't received the advance yet.\n\n` +
+            `Advance due: ${formatAmount(order.advance, order.currency, locale)} (total ${formatAmount(order.total, order.currency, locale)})\n\n` +
+            `Complete your payment here:\n${trackLink(siteUrl, order, email)}\n\n` +
+            `Unpaid orders are cancelled after ${new Date(expiresAt).toUTCString()}.` +
+            SIGNATURE
+    }),
+
+    /**
+     * { title, message, order } - sent to SUPER_ADMIN_EMAILS
+     */
+    staffAlert: ({ title, message, order, siteUrl }) => ({
+        subject: `[Action needed] ${title}`,
+        text: `${message}\n\n` +
+            (order ? `Order: ${order.order_number} (${statusLabel(order.status)})\n` : '') +
+            `Admin panel: ${siteUrl}/admin/` +
+            SIGNATURE
+    })
+};
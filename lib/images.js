@@ -0,0 +1,145 @@
+/**
+ * Image Processing
+ * Re-encodes uploaded images without metadata (EXIF, GPS, camera details)
+ * and renders the smaller copies pages load instead of the original:
+ * a square thumbnail for admin lists and AVIF/WebP widths for srcset.
+ * Also renders watermarked, reduced-resolution previews of order artwork.
+ */
+
+const sharp = require('sharp');
+
+// Widths for srcset - none wider than the original are made
+const RESPONSIVE_WIDTHS = [320, 640, 960, 1600];
+const THUMBNAIL_SIZE = 400;
+// Longest side of a watermarked preview
+const PREVIEW_MAX_SIZE = 1200;
+
+// Listed best first - browsers take the first <source> they support
+const RESPONSIVE_FORMATS = [
+    { format: 'avif', contentType: 'image/avif', options: { quality: 50, effort: 2 } },
+    { format: 'webp', contentType: 'image/webp', options: { quality: 75 } }
+];
+
+const ORIGINAL_FORMATS = {
+    'image/jpeg': (image) => image.jpeg({ quality: 92 }),
+    'image/png': (image) => image.png(),
+    'image/webp': (image) => image.webp({ quality: 92 })
+};
+
+/**
+ * Strip metadata and render variants
+ * @param {Buffer} buffer - A sniffed JPG, PNG, GIF or WebP image
+ * @param {string} contentType
+ * @returns {Promise<{ original: object, variants: Array }>} original is
+ *   { buffer, width, height }; each variant is
+ *   { buffer, kind: 'thumbnail'|'responsive', format, contentType, width, height }
+ * @throws if the image can't be decoded
+ */
+async function processImage(buffer, contentType) {
+    // rotate() applies the EXIF orientation before the metadata is dropped
+    const base = sharp(buffer).rotate();
+    const encode = ORIGINAL_FORMATS[contentType];
+
+    // GIFs carry no EXIF and re-encoding would drop animation, so keep them
+    const original = encode
+        ? await encode(base.clone()).toBuffer({ resolveWithObject: true })
+        : { data: buffer, info: await base.clone().metadata() };
+
+    const { width, height } = original.info;
+    const variants = [];
+
+    const thumbnail = await base.clone()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover', withoutEnlargement: true })
+        .webp({ quality: 75 })
+        .toBuffer({ resolveWithObject: true });
+
+    variants.push({
+        buffer: thumbnail.data,
+        kind: 'thumbnail',
+        format: 'webp',
+        contentType: 'image/webp',
+        width: thumbnail.info.width,
+        height: thumbnail.info.height
+    });
+
+    const widths = RESPONSIVE_WIDTHS.filter(w => w < width);
+    for (const { format, contentType: variantType, options } of RESPONSIVE_FORMATS) {
+        for (const targetWidth of widths) {
+            const resized = await base.clone()
+                .resize({ width: targetWidth })[format](options)
+                .toBuffer({ resolveWithObject: true });
+
+            variants.push({
+                buffer: resized.data,
+                kind: 'responsive',
+                format,
+                contentType: variantType,
+                width: resized.info.width,
+                height: resized.info.height
+            });
+        }
+    }
+
+    return {
+        original: { buffer: original.data, width, height },
+        variants
+    };
+}
+
+/**
+ * Diagonal lines with repeated text, sized to cover the image. Light with a
+ * dark shadow so it shows on any artwork; the lines are plain shapes so the
+ * mark survives even where no fonts are installed.
+ */
+function buildWatermarkSvg(width, height, label) {
+    const tile = Math.max(160, Math.round(Math.max(width, height) / 5));
+    const fontSize = Math.round(tile / 8);
+    const line = Math.max(3, Math.round(tile / 40));
+    const shadow = Math.max(1, Math.round(fontSize / 16));
+    const text = String(label).replace(/[<>&"']/g, '');
+
+    return Buffer.from(`
+        <svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+            <defs>
+                <pattern id="mark" width="${tile * 2}" height="${tile}" patternUnits="userSpaceOnUse" patternTransform="rotate(-30)">
+                    <g stroke-width="${line}">
+                        <path d="M0 ${tile / 2 + line}H${tile * 2}" stroke="#000" stroke-opacity="0.3"/>
+                        <path d="M0 ${tile / 2}H${tile * 2}" stroke="#fff" stroke-opacity="0.4"/>
+                    </g>
+                    <g text-anchor="middle" font-family="sans-serif" font-weight="bold" font-size="${fontSize}">
+                        <text x="${tile + shadow}" y="${tile / 4 + fontSize / 3 + shadow}" fill="#000" fill-opacity="0.3">${text}</text>
+                        <text x="${tile}" y="${tile / 4 + fontSize / 3}" fill="#fff" fill-opacity="0.5">${text}</text>
+                    </g>
+                </pattern>
+            </defs>
+            <rect width="100%" height="100%" fill="url(#mark)"/>
+        </svg>
+    `);
+}
+
+/**
+ * Reduced-resolution JPEG with a watermark burned in, for sharing work
+ * before the customer has paid for the original
+ * @returns {Promise<Buffer>}
+ * @throws if the image can't be decoded
+ */
+async function renderWatermarkedPreview(buffer, label = 'ARTHUZIST PREVIEW') {
+    const resized = await sharp(buffer)
+        .rotate()
+        .resize(PREVIEW_MAX_SIZE, PREVIEW_MAX_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .toBuffer({ resolveWithObject: true });
+
+    const { width, height } = resized.info;
+
+    return sharp(resized.data)
+        .composite([{ input: buildWatermarkSvg(width, height, label) }])
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: 70 })
+        .toBuffer();
+}
+
+module.exports = {
+    RESPONSIVE_FORMATS,
+    processImage,
+    renderWatermarkedPreview
+};
@@ -0,0 +1,232 @@
+/**
+ * Outgoing Email
+ * Pluggable transports + an outbox table so failed sends can be retried
+ *
+ * MAIL_TRANSPORT: 'smtp' (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE),
+ *                 'file' (writes to MAIL_FILE_DIR, for local development) or
+ *                 'console'. Defaults to smtp when SMTP_HOST is set, else console.
+ * MAIL_FROM: sender address, e.g. "Arthuzist <orders@example.com>"
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { supabase } = require('./supabase');
+const templates = require('./email-templates');
+const { getCurrencyLocale } = require('./pricing');
+const { getSiteUrl } = require('./config');
+
+// Give up on an outbox entry after this many attempts
+const MAX_ATTEMPTS = 5;
+
+// A queued or sending row still there after this long was abandoned by a
+// crashed or timed-out function and is picked up by retryOutbox()
+const SEND_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Emails carrying one-time links (password reset, email verification) are
+// sent but their body is never written to the outbox - anyone reading the
+// table could use the link. They aren't retried; the user requests a new one
+const UNSTORED_TEMPLATES = ['passwordReset', 'emailVerification'];
+const UNSTORED_BODY = '[Not stored - contains a one-time link]';
+
+function sendDeadline() {
+    return new Date(Date.now() + SEND_TIMEOUT_MS).toISOString();
+}
+
+let transport = null;
+
+/**
+ * Build the configured transport (once per instance)
+ * Every transport exposes send({ from, to, subject, text, html })
+ */
+function getTransport() {
+    if (transport) return transport;
+
+    const type = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+    if (type === 'smtp') {
+        const smtp = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? {
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS
+            } : undefined
+        });
+        transport = { name: 'smtp', send: (mail) => smtp.sendMail(mail) };
+    } else if (type === 'file') {
+        const dir = path.resolve(process.env.MAIL_FILE_DIR || 'tmp/mail');
+        transport = {
+            name: 'file',
+            send: async (mail) => {
+                await fs.promises.mkdir(dir, { recursive: true });
+                const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).substring(2, 8)}-${mail.to.replace(/[^a-z0-9@.]/gi, '_')}.txt`);
+                await fs.promises.writeFile(file, `From: ${mail.from}\nTo: ${mail.to}\nSubject: ${mail.subject}\n\n${mail.text}\n`);
+            }
+        };
+    } else {
+        transport = {
+            name: 'console',
+            send: async (mail) => {
+                console.log(`[MAIL] To: ${mail.to}\nSubject: ${mail.subject}\n\n${mail.text}\n`);
+            }
+        };
+    }
+
+    return transport;
+}
+
+/**
+ * Send an email directly (no outbox record)
+ * @param {object} message - { to, subject, text, html }
+ * @returns {{ sent: boolean, error?: string }}
+ */
+async function sendMail({ to, subject, text, html }) {
+    if (!to || !subject) {
+        return { sent: false, error: 'Recipient and subject required' };
+    }
+
+    try {
+        await getTransport().send({
+            from: process.env.MAIL_FROM || 'Arthuzist <no-reply@arthuzist.com>',
+            to,
+            subject,
+            text,
+            html
+        });
+        return { sent: true };
+    } catch (error) {
+        console.error(`Mail to ${to} failed:`, error.message);
+        return { sent: false, error: error.message };
+    }
+}
+
+/**
+ * Try to deliver an outbox row and record the result
+ * @param {object} email - email_outbox row
+ * @param {object} body - { text, html } for rows whose body isn't stored (never retried)
+ */
+async function deliverOutboxEmail(email, body = null) {
+    const result = await sendMail({
+        to: email.to_email,
+        subject: email.subject,
+        text: body ? body.text : email.body_text,
+        html: (body ? body.html : email.body_html) || undefined
+    });
+
+    const attempts = (email.attempts || 0) + 1;
+    // Back off 5, 10, 20, 40 minutes between retries
+    const retryAt = new Date(Date.now() + 5 * 60 * 1000 * Math.pow(2, attempts - 1));
+
+    await supabase
+        .from('email_outbox')
+        .update({
+            status: result.sent ? 'sent' : 'failed',
+            attempts,
+            last_error: result.error || null,
+            sent_at: result.sent ? new Date().toISOString() : null,
+            // Unstored bodies can't be resent, so their failure is final
+            next_attempt_at: result.sent || body || attempts >= MAX_ATTEMPTS ? null : retryAt.toISOString()
+        })
+        .eq('id', email.id);
+
+    return result;
+}
+
+/**
+ * Render a template, record it in the outbox and send it
+ * Never throws - a failed send stays in the outbox for retryOutbox()
+ * @param {string} template - Template name (see lib/email-templates.js)
+ * @param {string} to - Recipient email
+ * @param {object} data - Template data
+ * @param {object} related - { type, id } e.g. { type: 'order', id: order.id }
+ * @returns {{ sent: boolean, error?: string }}
+ */
+async function queueEmail(template, to, data, related = {}) {
+    try {
+        if (!templates[template]) {
+            throw new Error(`Unknown email template: ${template}`);
+        }
+        if (!to) return { sent: false, error: 'No recipient' };
+
+        const locale = data.order?.currency ? await getCurrencyLocale(data.order.currency) : undefined;
+        const { subject, text, html } = templates[template]({ ...data, siteUrl: getSiteUrl(), locale });
+        const unstored = UNSTORED_TEMPLATES.includes(template);
+
+        const { data: email, error } = await supabase
+            .from('email_outbox')
+            .insert({
+                to_email: to,
+                template,
+                subject,
+                body_text: unstored ? UNSTORED_BODY : text,
+                body_html: unstored ? null : html || null,
+                related_type: related.type || null,
+                related_id: related.id || null,
+                status: 'queued',
+                next_attempt_at: unstored ? null : sendDeadline()
+            })
+            .select()
+            .single();
+
+        // Still try to send if the outbox is unavailable
+        if (error) {
+            console.error('Outbox insert failed:', error);
+            return sendMail({ to, subject, text, html });
+        }
+
+        return deliverOutboxEmail(email, unstored ? { text, html } : null);
+    } catch (error) {
+        console.error(`Email ${template} to ${to} failed:`, error);
+        return { sent: false, error: error.message };
+    }
+}
+
+/**
+ * Retry outbox emails that are due: failed sends past their backoff, and
+ * queued/sending rows past SEND_TIMEOUT_MS (the send never finished)
+ * @returns {{ sent: number, failed: number }}
+ */
+async function retryOutbox(limit = 50) {
+    const { data: emails, error } = await supabase
+        .from('email_outbox')
+        .select('*')
+        .in('status', ['failed', 'queued', 'sending'])
+        .lt('attempts', MAX_ATTEMPTS)
+        .lte('next_attempt_at', new Date().toISOString())
+        .order('next_attempt_at', { ascending: true })
+        .limit(limit);
+
+    if (error) throw error;
+
+    let sent = 0;
+    let failed = 0;
+
+    for (const email of emails || []) {
+        // Claim it so overlapping runs don't send twice - the deadline
+        // lets another run take over if this one dies mid-send
+        const { data: claimed } = await supabase
+            .from('email_outbox')
+            .update({ status: 'sending', next_attempt_at: sendDeadline() })
+            .eq('id', email.id)
+            .eq('status', email.status)
+            .eq('next_attempt_at', email.next_attempt_at)
+            .select()
+            .maybeSingle();
+
+        if (!claimed) continue;
+
+        const result = await deliverOutboxEmail(claimed);
+        if (result.sent) sent++;
+        else failed++;
+    }
+
+    return { sent, failed };
+}
+
+module.exports = {
+    sendMail,
+    queueEmail,
+    retryOutbox
+};
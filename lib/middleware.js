@@ -3,6 +3,7 @@
  * Authentication, admin check, rate limiting, CORS
  */
 
+const crypto = require('crypto');
 const { verifyAccessToken, parseCookies } = require('./auth');
 const { supabase } = require('./supabase');
 
@@ -60,6 +61,27 @@ function handleCors(req, res) {
     return false;
 }
 
+/**
+ * 2FA is mandatory for admins - until they enroll they only get user access
+ * (they can still sign in and set it up from their account page)
+ */
+function applyTwoFactorPolicy(user) {
+    if (user.role === 'admin' && !user.totp_enabled) {
+        user.role = 'user';
+        user.admin_permissions = null;
+        user.two_factor_setup_required = true;
+    }
+    return user;
+}
+
+/**
+ * Access tokens carry the user's token_version when issued - bumping it
+ * (lib/sessions.js) revokes them all. Tokens without ver predate versioning.
+ */
+function isCurrentTokenVersion(payload, user) {
+    return (payload.ver || 0) === (user.token_version || 0);
+}
+
 /**
  * Authentication Middleware
  * Extracts and verifies JWT from cookie or Authorization header
@@ -90,7 +112,7 @@ async function requireAuth(req, res) {
     // Fetch fresh user data including admin_permissions
     const { data: user, error } = await supabase
         .from('users')
-        .select('id, email, name, role, banned, admin_permissions')
+        .select('id, email, name, role, banned, email_verified, totp_enabled, token_version, admin_permissions')
         .eq('id', payload.sub)
         .single();
 
@@ -99,12 +121,18 @@ async function requireAuth(req, res) {
         return null;
     }
 
+    // Revoked by a ban, demotion, password change or sign out everywhere
+    if (!isCurrentTokenVersion(payload, user)) {
+        res.status(401).json({ error: 'Invalid or expired token' });
+        return null;
+    }
+
     if (user.banned) {
         res.status(403).json({ error: 'Account suspended' });
         return null;
     }
 
-    return user;
+    return applyTwoFactorPolicy(user);
 }
 
 /**
@@ -128,13 +156,13 @@ async function optionalAuth(req) {
 
     const { data: user } = await supabase
         .from('users')
-        .select('id, email, name, role, banned')
+        .select('id, email, name, role, banned, totp_enabled, token_version')
         .eq('id', payload.sub)
         .single();
 
-    if (!user || user.banned) return null;
+    if (!user || user.banned || !isCurrentTokenVersion(payload, user)) return null;
 
-    return user;
+    return applyTwoFactorPolicy(user);
 }
 
 /**
@@ -357,6 +385,30 @@ async function verifyHCaptcha(token, res) {
     }
 }
 
+/**
+ * Cron Authentication
+ * Vercel sends Authorization: Bearer <CRON_SECRET>
+ * Returns true if valid, sends error response and returns false otherwise
+ */
+function requireCronSecret(req, res) {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) {
+        console.error('Cron: CRON_SECRET is not set');
+        res.status(500).json({ error: 'Cron not configured' });
+        return false;
+    }
+
+    const expected = Buffer.from(`Bearer ${secret}`);
+    const received = Buffer.from(String(req.headers.authorization || ''));
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        res.status(401).json({ error: 'Unauthorized' });
+        return false;
+    }
+
+    return true;
+}
+
 module.exports = {
     handleCors,
     requireAuth,
@@ -370,5 +422,7 @@ module.exports = {
     getClientIP,
     getUserAgent,
     verifyHCaptcha,
+    requireCronSecret,
+    applyTwoFactorPolicy,
     generateRequestId
 };
@@ -0,0 +1,125 @@
+/**
+ * Customer Notifications
+ * Emails the customer behind an order or ticket through the mailer outbox,
+ * and alerts staff (SUPER_ADMIN_EMAILS) about problems that need a person
+ *
+ * All functions swallow their own errors - a notification failing must
+ * never fail the request that triggered it.
+ */
+
+const { supabase } = require('./supabase');
+const { queueEmail } = require('./mailer');
+
+/**
+ * Who to email about an order: the account holder, else the guest
+ * @returns {{ email: string, name: string }|null}
+ */
+async function getOrderRecipient(order) {
+    if (order.user_id) {
+        const { data: user } = await supabase
+            .from('users')
+            .select('name, email')
+            .eq('id', order.user_id)
+            .maybeSingle();
+
+        if (user?.email) return { email: user.email, name: user.name };
+    }
+
+    if (order.guest_email) {
+        return { email: order.guest_email, name: order.guest_name };
+    }
+
+    return null;
+}
+
+/**
+ * Email the customer about an order event
+ * @param {string} template - orderCreated | paymentVerified | statusChanged
+ * @param {object} order - Full order row
+ * @param {object} data - Extra template data
+ */
+async function notifyOrder(template, order, data = {}) {
+    try {
+        const recipient = await getOrderRecipient(order);
+        if (!recipient) return;
+
+        await queueEmail(template, recipient.email, {
+            ...data,
+            order,
+            name: recipient.name,
+            email: recipient.email
+        }, { type: 'order', id: order.id });
+    } catch (error) {
+        console.error(`Notification ${template} failed for ${order.order_number}:`, error);
+    }
+}
+
+/**
+ * Email the ticket owner that staff replied
+ * Order tickets for guests go to the order's guest email
+ */
+async function notifyTicketReply(ticket, message, authorName) {
+    try {
+        let recipient = null;
+
+        if (ticket.user_id) {
+            const { data: user } = await supabase
+                .from('users')
+                .select('name, email')
+                .eq('id', ticket.user_id)
+                .maybeSingle();
+
+            if (user?.email) recipient = { email: user.email, name: user.name };
+        }
+
+        if (!recipient && ticket.order_id) {
+            const { data: order } = await supabase
+                .from('orders')
+                .select('user_id, guest_name, guest_email')
+                .eq('id', ticket.order_id)
+                .maybeSingle();
+
+            if (order) recipient = await getOrderRecipient(order);
+        }
+
+        if (!recipient) return;
+
+        await queueEmail('ticketReplied', recipient.email, {
+            ticket,
+            name: recipient.name,
+            authorName,
+            message
+        }, { type: 'ticket', id: ticket.id });
+    } catch (error) {
+        console.error(`Ticket reply notification failed for ${ticket.ticket_number}:`, error);
+    }
+}
+
+/**
+ * Email every super admin about something that needs manual attention
+ * @param {string} title - Short summary (email subject)
+ * @param {string} message - What happened and what to check
+ * @param {object} order - Related order row, if any
+ */
+async function notifyStaff(title, message, order = null) {
+    try {
+        const recipients = (process.env.SUPER_ADMIN_EMAILS || '')
+            .split(',')
+            .map(e => e.trim().toLowerCase())
+            .filter(Boolean);
+
+        for (const email of recipients) {
+            await queueEmail('staffAlert', email, { title, message, order },
+                order ? { type: 'order', id: order.id } : {});
+        }
+    } catch (error) {
+        console.error(`Staff alert "${title}" failed:`, error);
+    }
+}
+
+module.exports = {
+    getOrderRecipient,
+    notifyOrder,
+    notifyTicketReply,
+    notifyStaff
+};
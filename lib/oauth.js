@@ -0,0 +1,152 @@
+/**
+ * OAuth Social Login
+ * Authorization code flow with PKCE - the provider only ever sees our
+ * redirect URI, and the code is useless without the verifier we keep
+ *
+ * Google: GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET. The endpoint URLs
+ * (GOOGLE_AUTH_URL, GOOGLE_TOKEN_URL, GOOGLE_USERINFO_URL) default to
+ * Google's and can point at a local mock OAuth server for testing.
+ * Register {SITE_URL}/api/auth?action=oauth-callback as the redirect URI.
+ */
+
+const crypto = require('crypto');
+const { getSiteUrl } = require('./config');
+
+// Give up on a provider request after this long
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+const PROVIDERS = {
+    google: {
+        name: 'Google',
+        env: 'GOOGLE',
+        authUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+        tokenUrl: 'https://oauth2.googleapis.com/token',
+        userinfoUrl: 'https://openidconnect.googleapis.com/v1/userinfo',
+        scope: 'openid email profile',
+        authParams: { prompt: 'select_account' }
+    }
+};
+
+/**
+ * Provider config with credentials, or null if unknown / not configured
+ */
+function getProvider(id) {
+    const provider = Object.prototype.hasOwnProperty.call(PROVIDERS, id) ? PROVIDERS[id] : null;
+    if (!provider) return null;
+
+    const clientId = process.env[`${provider.env}_CLIENT_ID`];
+    const clientSecret = process.env[`${provider.env}_CLIENT_SECRET`];
+    if (!clientId || !clientSecret) return null;
+
+    return {
+        ...provider,
+        id,
+        clientId,
+        clientSecret,
+        authUrl: process.env[`${provider.env}_AUTH_URL`] || provider.authUrl,
+        tokenUrl: process.env[`${provider.env}_TOKEN_URL`] || provider.tokenUrl,
+        userinfoUrl: process.env[`${provider.env}_USERINFO_URL`] || provider.userinfoUrl
+    };
+}
+
+/**
+ * Configured providers, for the sign in buttons
+ * @returns {Array<{ id: string, name: string }>}
+ */
+function getEnabledProviders() {
+    return Object.keys(PROVIDERS)
+        .map(getProvider)
+        .filter(Boolean)
+        .map(({ id, name }) => ({ id, name }));
+}
+
+function getRedirectUri() {
+    return `${getSiteUrl()}/api/auth?action=oauth-callback`;
+}
+
+/**
+ * Random state + PKCE verifier for a new sign in
+ */
+function createAuthRequest() {
+    return {
+        state: crypto.randomBytes(16).toString('hex'),
+        verifier: crypto.randomBytes(32).toString('base64url')
+    };
+}
+
+/**
+ * URL to send the browser to
+ */
+function getAuthorizationUrl(provider, { state, verifier }) {
+    const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: provider.clientId,
+        redirect_uri: getRedirectUri(),
+        scope: provider.scope,
+        state,
+        code_challenge: crypto.createHash('sha256').update(verifier).digest('base64url'),
+        code_challenge_method: 'S256',
+        ...provider.authParams
+    });
+
+    return `${provider.authUrl}?${params.toString()}`;
+}
+
+async function requestJson(url, options) {
+    const response = await fetch(url, {
+        ...options,
+        headers: { Accept: 'application/json', ...options.headers },
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        throw new Error(`OAuth request to ${url} failed (${response.status}): ${data.error || 'no error given'}`);
+    }
+
+    return data;
+}
+
+/**
+ * Exchange the authorization code and fetch the user's profile
+ * @returns {{ providerUserId: string, email: string|null, emailVerified: boolean, name: string|null }}
+ */
+async function fetchProfile(provider, code, verifier) {
+    const tokens = await requestJson(provider.tokenUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: getRedirectUri(),
+            client_id: provider.clientId,
+            client_secret: provider.clientSecret,
+            code_verifier: verifier
+        }).toString()
+    });
+
+    if (!tokens.access_token) throw new Error('OAuth token response had no access_token');
+
+    const profile = await requestJson(provider.userinfoUrl, {
+        method: 'GET',
+        headers: { Authorization: `Bearer ${tokens.access_token}` }
+    });
+
+    if (!profile.sub) throw new Error('OAuth profile had no subject');
+
+    return {
+        providerUserId: String(profile.sub),
+        email: profile.email ? String(profile.email).trim().toLowerCase() : null,
+        // Some providers send the flag as a string
+        emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+        name: profile.name ? String(profile.name) : null
+    };
+}
+
+module.exports = {
+    getProvider,
+    getEnabledProviders,
+    createAuthRequest,
+    getAuthorizationUrl,
+    fetchProfile
+};
@@ -0,0 +1,164 @@
+/**
+ * Order Status State Machine
+ * Central transition graph + status history for orders
+ * All status changes should go through transitionOrder()
+ */
+
+const { supabase } = require('./supabase');
+const { releaseCouponRedemption } = require('./coupons');
+
+const ORDER_STATUSES = [
+    'pending', 'advance_paid', 'in_progress',
+    'revision_requested', 'completed', 'final_paid',
+    'delivered', 'cancelled', 'refunded'
+];
+
+// Allowed next statuses for each status
+const ORDER_TRANSITIONS = {
+    pending: ['advance_paid', 'cancelled'],
+    advance_paid: ['in_progress', 'cancelled', 'refunded'],
+    in_progress: ['completed', 'cancelled', 'refunded'],
+    revision_requested: ['in_progress', 'completed', 'refunded'],
+    completed: ['revision_requested', 'final_paid', 'refunded'],
+    final_paid: ['delivered', 'refunded'],
+    delivered: ['refunded'],
+    cancelled: ['refunded'],
+    refunded: []
+};
+
+// Timestamp columns set when an order enters a status
+const STATUS_TIMESTAMPS = {
+    advance_paid: 'paid_at',
+    completed: 'completed_at',
+    final_paid: 'balance_paid_at',
+    delivered: 'delivered_at'
+};
+
+/**
+ * Check if an order can move from one status to another
+ */
+function canTransition(from, to) {
+    return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Get statuses an order can move to next
+ */
+function getNextStatuses(status) {
+    return ORDER_TRANSITIONS[status] || [];
+}
+
+/**
+ * Move an order to a new status and record it in order_status_history
+ *
+ * The update is conditional on the current status so two concurrent
+ * transitions can't both succeed. Extra column conditions can be added
+ * (e.g. { payment_verified: false }) - a mismatch returns STATUS_CHANGED.
+ *
+ * @param {object} order - Current order row (needs id and status)
+ * @param {string} status - Target status
+ * @param {object} options - { actorId, actorType ('admin' | 'customer' | 'system'), reason, fields, conditions }
+ * @returns {{ order?: object, error?: { code: string, message: string } }}
+ */
+async function transitionOrder(order, status, options = {}) {
+    const {
+        actorId = null,
+        actorType = actorId ? 'admin' : 'system',
+        reason = null,
+        fields = {},
+        conditions = {}
+    } = options;
+
+    if (!ORDER_STATUSES.includes(status)) {
+        return { error: { code: 'INVALID_STATUS', message: `Invalid status: ${status}` } };
+    }
+
+    if (!canTransition(order.status, status)) {
+        return {
+            error: {
+                code: 'INVALID_TRANSITION',
+                message: `Cannot change order from ${order.status} to ${status}`
+            }
+        };
+    }
+
+    const now = new Date().toISOString();
+    const update = { ...fields, status, updated_at: now };
+
+    if (STATUS_TIMESTAMPS[status] && !update[STATUS_TIMESTAMPS[status]]) {
+        update[STATUS_TIMESTAMPS[status]] = now;
+    }
+
+    let query = supabase
+        .from('orders')
+        .update(update)
+        .eq('id', order.id)
+        .eq('status', order.status);
+
+    for (const [column, value] of Object.entries(conditions)) {
+        query = query.eq(column, value);
+    }
+
+    const { data: updatedOrder, error: updateError } = await query
+        .select()
+        .maybeSingle();
+
+    if (updateError) {
+        console.error('Order transition error:', updateError);
+        return { error: { code: 'UPDATE_FAILED', message: 'Failed to update order' } };
+    }
+
+    // Someone else changed the status first
+    if (!updatedOrder) {
+        return { error: { code: 'STATUS_CHANGED', message: 'Order status was changed by another request' } };
+    }
+
+    const { error: historyError } = await supabase
+        .from('order_status_history')
+        .insert({
+            order_id: order.id,
+            from_status: order.status,
+            to_status: status,
+            actor_id: actorId,
+            actor_type: actorType,
+            reason: reason ? String(reason).substring(0, 500) : null
+        });
+
+    if (historyError) {
+        // Don't fail the transition if history insert fails
+        console.error('Order history insert failed:', historyError);
+    }
+
+    // Free up the coupon use if the order never went ahead
+    if (status === 'cancelled' && updatedOrder.coupon_code) {
+        await releaseCouponRedemption(order.id);
+    }
+
+    return { order: updatedOrder };
+}
+
+/**
+ * Get status history for an order (oldest first)
+ */
+async function getOrderHistory(orderId) {
+    const { data, error } = await supabase
+        .from('order_status_history')
+        .select('id, from_status, to_status, actor_id, actor_type, reason, created_at, users:actor_id(name)')
+        .eq('order_id', orderId)
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        throw error;
+    }
+
+    return data || [];
+}
+
+module.exports = {
+    ORDER_STATUSES,
+    ORDER_TRANSITIONS,
+    canTransition,
+    getNextStatuses,
+    transitionOrder,
+    getOrderHistory
+};
@@ -0,0 +1,320 @@
+/**
+ * Payment Finalisation
+ * Single place an advance or balance payment is marked as received
+ *
+ * Used by /api/payment/verify (browser callback) and the Razorpay webhook
+ * (payment.captured / order.paid). The update is conditional on the
+ * payment not being verified yet, so whichever caller gets there first
+ * creates the ticket, logs the payment and notifies the customer -
+ * everyone else sees alreadyPaid.
+ *
+ * A payment the order can't take (it was cancelled while the Razorpay order
+ * stayed payable, or moved on while the payment was pending) is refunded
+ * automatically and staff are alerted.
+ */
+
+const { supabase } = require('./supabase');
+const { logActivity } = require('./logger');
+const { transitionOrder } = require('./orders');
+const { formatAmount, getCurrencyLocale } = require('./pricing');
+const { refundUnappliedPayment } = require('./refunds');
+const { notifyOrder, notifyStaff } = require('./notifications');
+const { publishTicketUpdate } = require('./ticket-events');
+
+// Per payment type: target status and the order columns it writes
+const PAYMENT_TYPES = {
+    advance: {
+        status: 'advance_paid',
+        verified: 'payment_verified',
+        paymentId: 'razorpay_payment_id',
+        signature: 'razorpay_signature',
+        amount: 'advance'
+    },
+    balance: {
+        status: 'final_paid',
+        verified: 'balance_verified',
+        paymentId: 'balance_razorpay_payment_id',
+        signature: 'balance_razorpay_signature',
+        amount: 'remaining'
+    }
+};
+
+/**
+ * Mark a payment as received and run its side effects exactly once
+ * @param {object} order - Full order row
+ * @param {object} payment - { paymentType ('advance' | 'balance'), razorpayOrderId, razorpayPaymentId,
+ *                             razorpaySignature, source ('verify' | 'webhook'), reason }
+ * @param {object} req - Request (for activity log IP / user agent)
+ * @returns {{ order?: object, alreadyPaid?: boolean, ticketNumber?: string, error?: { code: string, message: string } }}
+ */
+async function finalizePayment(order, payment, req = null) {
+    const {
+        paymentType = 'advance',
+        razorpayOrderId = null,
+        razorpayPaymentId = null,
+        razorpaySignature = null,
+        source = 'verify',
+        reason = null
+    } = payment;
+
+    const config = PAYMENT_TYPES[paymentType];
+    if (!config) {
+        return { error: { code: 'INVALID_PAYMENT_TYPE', message: `Invalid payment type: ${paymentType}` } };
+    }
+
+    if (order[config.verified]) {
+        return { order, alreadyPaid: true };
+    }
+
+    const fields = { [config.verified]: true };
+    if (razorpayPaymentId) fields[config.paymentId] = razorpayPaymentId;
+    if (razorpaySignature) fields[config.signature] = razorpaySignature;
+
+    const fromCustomer = source === 'verify';
+    const transition = {
+        actorId: fromCustomer ? order.user_id : null,
+        actorType: fromCustomer ? 'customer' : 'system',
+        reason: reason || `${paymentType === 'balance' ? 'Balance' : 'Advance'} payment ${fromCustomer ? 'verified' : 'captured (webhook)'}`,
+        fields,
+        conditions: { [config.verified]: false }
+    };
+
+    let current = order;
+    let { order: paidOrder, error: transitionError } = await transitionOrder(current, config.status, transition);
+
+    // Lost a race - the other caller may have marked it paid, or the order
+    // moved to a status the payment still applies to (try again from there)
+    for (let retry = 0; transitionError?.code === 'STATUS_CHANGED' && retry < 2; retry++) {
+        const { data: latest } = await supabase
+            .from('orders')
+            .select('*')
+            .eq('id', order.id)
+            .single();
+
+        if (!latest) break;
+
+        if (latest[config.verified]) {
+            return { order: latest, alreadyPaid: true };
+        }
+
+        current = latest;
+        ({ order: paidOrder, error: transitionError } = await transitionOrder(current, config.status, transition));
+    }
+
+    if (transitionError) {
+        // The payment was captured but can't be applied (e.g. the order was
+        // cancelled, or a revision started while the balance checkout was
+        // open) - give it back. A database error is retried instead.
+        if (transitionError.code !== 'UPDATE_FAILED') {
+            return refundRejectedPayment(current, {
+                paymentType,
+                amount: order[config.amount],
+                razorpayPaymentId,
+                source,
+                reason: transitionError.code
+            }, req);
+        }
+
+        await logActivity(order.user_id, 'PAYMENT_STATUS_CONFLICT', 'order', order.id, {
+            razorpay_payment_id: razorpayPaymentId,
+            status: current.status,
+            error: transitionError.code,
+            payment_type: paymentType,
+            source
+        }, req);
+
+        return { error: transitionError };
+    }
+
+    // We won - side effects run exactly once per payment
+    const ticketNumber = paymentType === 'balance'
+        ? await postBalanceMessage(paidOrder)
+        : await createOrderTicket(paidOrder);
+
+    await logActivity(order.user_id, paymentType === 'balance' ? 'BALANCE_PAYMENT_VERIFIED' : 'PAYMENT_VERIFIED', 'order', order.id, {
+        razorpay_order_id: razorpayOrderId,
+        razorpay_payment_id: razorpayPaymentId,
+        amount: order[config.amount],
+        currency: order.currency,
+        ticket_number: ticketNumber,
+        source
+    }, req);
+
+    await notifyOrder('paymentVerified', paidOrder, { paymentType, ticketNumber });
+
+    return { order: paidOrder, ticketNumber };
+}
+
+/**
+ * Refund a payment the order can't take any more (cancelled after a
+ * checkout was left open, or moved on while the payment was pending) and
+ * alert staff - the customer paid for something we won't do
+ * @returns {{ error: { code: string, message: string }, refund?: object }}
+ */
+async function refundRejectedPayment(order, { paymentType, amount, razorpayPaymentId, source, reason }, req) {
+    const cancelled = order.status === 'cancelled';
+    const { refund, error: refundError } = razorpayPaymentId
+        ? await refundUnappliedPayment(order, {
+            paymentId: razorpayPaymentId,
+            paymentType,
+            amount,
+            reason: cancelled ? 'Paid after the order was cancelled' : `Paid while the order was ${statusLabel(order.status)}`
+        })
+        : { error: { code: 'NO_PAYMENT_ID', message: 'Razorpay payment ID unknown' } };
+
+    const customerMessage = cancelled
+        ? 'This order was cancelled'
+        : 'This order changed before your payment could be applied';
+
+    // The verify callback and the webhook both get here - only one refunds
+    if (refundError?.code === 'ALREADY_REFUNDED') {
+        return { error: { code: 'PAYMENT_NOT_APPLIED', message: `${customerMessage} - your payment is being refunded` } };
+    }
+
+    await logActivity(order.user_id, refundError ? 'REJECTED_PAYMENT_REFUND_FAILED' : 'REJECTED_PAYMENT_REFUNDED', 'order', order.id, {
+        razorpay_payment_id: razorpayPaymentId,
+        refund_id: refund?.id || null,
+        amount,
+        currency: order.currency,
+        payment_type: paymentType,
+        status: order.status,
+        reason,
+        error: refundError?.message || null,
+        source
+    }, req);
+
+    const locale = await getCurrencyLocale(order.currency);
+
+    await notifyStaff(
+        refundError ? 'Refund needed for a payment the order could not take' : 'Payment the order could not take was refunded',
+        `${paymentType === 'balance' ? 'A balance' : 'An advance'} payment of ${formatAmount(amount, order.currency, locale)} ` +
+            `(${razorpayPaymentId || 'unknown payment'}) arrived while order ${order.order_number} was ${statusLabel(order.status)}, so it wasn't applied.\n\n` +
+            (refundError
+                ? `The automatic refund failed: ${refundError.message}\nRefund it from the Razorpay dashboard.`
+                : cancelled
+                    ? `It was refunded automatically. Check whether the customer still wants the commission.`
+                    : `It was refunded automatically. Ask the customer to pay again once the order is ready for it.`),
+        order
+    );
+
+    return {
+        refund,
+        error: {
+            code: 'PAYMENT_NOT_APPLIED',
+            message: refundError
+                ? `${customerMessage} - our team will refund your payment`
+                : `${customerMessage} - your payment has been refunded`
+        }
+    };
+}
+
+function statusLabel(status) {
+    return String(status || '').replace(/_/g, ' ');
+}
+
+/**
+ * Create the order's support ticket with a summary system message
+ * @returns {string|null} Ticket number
+ */
+async function createOrderTicket(order) {
+    const ticketNumber = `TKT${Date.now().toString(36).toUpperCase()}`;
+    const { data: ticket, error } = await supabase
+        .from('tickets')
+        .insert({
+            ticket_number: ticketNumber,
+            order_id: order.id,
+            user_id: order.user_id,
+            subject: `Order ${order.order_number} - ${order.service_name}`,
+            category: 'order',
+            status: 'open'
+        })
+        .select()
+        .single();
+
+    if (error || !ticket) {
+        console.error(`Ticket creation failed for ${order.order_number}:`, error);
+        return null;
+    }
+
+    const { data: lineItems } = await supabase
+        .from('order_line_items')
+        .select('item_type, item_name, quantity, amount')
+        .eq('order_id', order.id)
+        .in('item_type', ['modifier', 'addon'])
+        .order('created_at', { ascending: true });
+
+    const locale = await getCurrencyLocale(order.currency);
+    const money = (amount) => formatAmount(amount, order.currency, locale);
+    const formatLine = (item) => {
+        const qty = item.quantity > 1 ? ` × ${item.quantity}` : '';
+        return `  • ${item.item_name}${qty} (+${money(item.amount)})`;
+    };
+
+    const modifierItems = (lineItems || []).filter(i => i.item_type === 'modifier');
+    const addonItems = (lineItems || []).filter(i => i.item_type === 'addon');
+
+    const modifierLines = modifierItems.length
+        ? `Options:\n${modifierItems.map(formatLine).join('\n')}\n`
+        : '';
+    const addonLines = addonItems.length
+        ? addonItems.map(formatLine).join('\n')
+        : '  • None';
+
+    await supabase
+        .from('ticket_messages')
+        .insert({
+            ticket_id: ticket.id,
+            author_name: 'System',
+            is_system: true,
+            message: `Thank you for your order!\n\n` +
+                `Order ID: ${order.order_number}\n` +
+                `Service: ${order.service_name}\n` +
+                `Size: ${order.size_name}\n` +
+                modifierLines +
+                `Add-ons:\n${addonLines}\n` +
+                `Total: ${money(order.total)}\n` +
+                `Advance Paid: ${money(order.advance)}\n` +
+                `Remaining: ${money(order.remaining)}\n\n` +
+                `We'll start working on your commission soon!`
+        });
+
+    return ticketNumber;
+}
+
+/**
+ * Let the customer know in the order's ticket that the balance arrived
+ * @returns {string|null} Ticket number
+ */
+async function postBalanceMessage(order) {
+    const { data: ticket } = await supabase
+        .from('tickets')
+        .select('id, ticket_number')
+        .eq('order_id', order.id)
+        .order('created_at', { ascending: true })
+        .limit(1)
+        .maybeSingle();
+
+    if (!ticket) return null;
+
+    const locale = await getCurrencyLocale(order.currency);
+
+    await supabase
+        .from('ticket_messages')
+        .insert({
+            ticket_id: ticket.id,
+            author_name: 'System',
+            is_system: true,
+            message: `Balance payment received!\n\n` +
+                `Order ID: ${order.order_number}\n` +
+                `Balance Paid: ${formatAmount(order.remaining, order.currency, locale)}\n\n` +
+                `Your artwork will be delivered shortly.`
+        });
+
+    publishTicketUpdate(ticket.id);
+
+    return ticket.ticket_number;
+}
+
+module.exports = {
+    finalizePayment
+};
@@ -2,14 +2,35 @@
  * Server-Side Pricing
  * This is the SOURCE OF TRUTH for all pricing
  * Never trust client-provided amounts
+ *
+ * Price lists are in INR; other currencies are converted with the
+ * admin-maintained rates in the currencies table. Amounts are whole units.
  */
 
 const { supabase } = require('./supabase');
+const { getApplicableCoupon, calculateDiscount, MIN_PAYABLE } = require('./coupons');
 
 // Cache pricing for 5 minutes to reduce DB calls
 let pricingCache = null;
 let cacheExpiry = 0;
 
+// Table/column mapping for each pricing type (used by admin pricing API)
+const PRICING_TABLES = {
+    service: { table: 'pricing_config', key: 'service_key', name: 'service_name', price: 'base_price' },
+    size: { table: 'size_pricing', key: 'size_key', name: 'size_name', price: 'additional_price' },
+    addon: { table: 'addon_pricing', key: 'addon_key', name: 'addon_name', price: 'additional_price' }
+};
+
+const BASE_CURRENCY = 'INR';
+
+// Razorpay takes amounts in the currency's smallest unit. Most currencies
+// have 2 decimal places (paise, cents) - these don't
+const CURRENCY_EXPONENTS = {
+    BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0,
+    PYG: 0, RWF: 0, UGX: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+    BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3
+};
+
 /**
  * Get pricing configuration from database
  */
@@ -22,10 +43,13 @@ async function getPricing() {
     }
 
     // Fetch fresh pricing from database
-    const [servicesResult, sizesResult, addonsResult] = await Promise.all([
+    const [servicesResult, sizesResult, addonsResult, modifiersResult, tiersResult, currenciesResult] = await Promise.all([
         supabase.from('pricing_config').select('*').eq('is_active', true),
         supabase.from('size_pricing').select('*').eq('is_active', true),
-        supabase.from('addon_pricing').select('*').eq('is_active', true)
+        supabase.from('addon_pricing').select('*').eq('is_active', true),
+        supabase.from('pricing_modifiers').select('*').eq('is_active', true).order('sort_order', { ascending: true }),
+        supabase.from('pricing_modifier_tiers').select('*').eq('is_active', true).order('sort_order', { ascending: true }),
+        supabase.from('currencies').select('*').eq('is_active', true).order('code', { ascending: true })
     ]);
 
     // Build pricing lookup objects
@@ -33,7 +57,9 @@ async function getPricing() {
     (servicesResult.data || []).forEach(s => {
         services[s.service_key] = {
             name: s.service_name,
-            price: s.base_price
+            price: s.base_price,
+            included_revisions: s.included_revisions,
+            extra_revision_price: s.extra_revision_price
         };
     });
 
@@ -53,12 +79,48 @@ async function getPricing() {
         };
     });
 
+    // Quantity modifiers charge unit_price per unit, tier modifiers charge the chosen tier
+    const modifiers = {};
+    (modifiersResult.data || []).forEach(m => {
+        modifiers[m.modifier_key] = {
+            name: m.modifier_name,
+            type: m.modifier_type,
+            services: m.services || [],
+            ...(m.modifier_type === 'quantity'
+                ? { unit_price: m.unit_price, max_quantity: m.max_quantity }
+                : { tiers: {} })
+        };
+    });
+
+    const modifierIds = {};
+    (modifiersResult.data || []).forEach(m => { modifierIds[m.id] = m.modifier_key; });
+
+    (tiersResult.data || []).forEach(t => {
+        const modifier = modifiers[modifierIds[t.modifier_id]];
+        if (modifier?.tiers) {
+            modifier.tiers[t.tier_key] = {
+                name: t.tier_name,
+                price: t.additional_price
+            };
+        }
+    });
+
+    // rate_to_inr = how many INR one unit of the currency is worth
+    const currencies = {};
+    (currenciesResult.data || []).forEach(c => {
+        currencies[c.code] = {
+            name: c.currency_name,
+            locale: c.locale,
+            rate: Number(c.rate_to_inr)
+        };
+    });
+
     // Fallback to hardcoded defaults if DB is empty
     if (Object.keys(services).length === 0) {
-        services.charcoal = { name: 'Charcoal Portrait', price: 1500 };
-        services.anime = { name: 'Anime Art', price: 1000 };
-        services.couple = { name: 'Couple Portrait', price: 3000 };
-        services.custom = { name: 'Custom', price: 2000 };
+        services.charcoal = { name: 'Charcoal Portrait', price: 1500, included_revisions: 2, extra_revision_price: 300 };
+        services.anime = { name: 'Anime Art', price: 1000, included_revisions: 2, extra_revision_price: 200 };
+        services.couple = { name: 'Couple Portrait', price: 3000, included_revisions: 3, extra_revision_price: 500 };
+        services.custom = { name: 'Custom', price: 2000, included_revisions: 3, extra_revision_price: 400 };
     }
 
     if (Object.keys(sizes).length === 0) {
@@ -70,25 +132,161 @@ async function getPricing() {
         addons.none = { name: 'None', price: 0 };
         addons.framing = { name: 'Framing', price: 600 };
         addons.express = { name: 'Express Delivery', price: 500 };
-        addons.both = { name: 'Framing + Express', price: 1100 };
     }
 
-    pricingCache = { services, sizes, addons };
+    // Base currency is always available
+    currencies[BASE_CURRENCY] = { name: 'Indian Rupee', locale: 'en-IN', rate: 1 };
+
+    pricingCache = { services, sizes, addons, modifiers, currencies };
     cacheExpiry = now + 5 * 60 * 1000; // 5 minutes
 
     return pricingCache;
 }
 
+/**
+ * Normalise add-on input to a list of unique keys
+ * Accepts an array or a single key; 'none' means no add-ons
+ */
+function normalizeAddons(addons) {
+    const keys = Array.isArray(addons) ? addons : [addons];
+    return [...new Set(keys.filter(key => key && key !== 'none'))];
+}
+
+/**
+ * Convert an INR amount to a currency, rounding up to a whole unit
+ * (discounts are negative and round up in the customer's favour)
+ */
+function convertAmount(amount, currency) {
+    if (currency.rate === 1) return amount;
+    return Math.sign(amount) * Math.ceil(Math.abs(amount) / currency.rate);
+}
+
+/**
+ * Whole-unit amount -> smallest unit for Razorpay (₹15 -> 1500 paise, ¥15 -> 15)
+ */
+function toMinorUnits(amount, currencyCode = BASE_CURRENCY) {
+    return Math.round(amount * 10 ** (CURRENCY_EXPONENTS[currencyCode] ?? 2));
+}
+
+/**
+ * Smallest unit from Razorpay -> whole-unit amount
+ */
+function fromMinorUnits(amount, currencyCode = BASE_CURRENCY) {
+    return Math.round(amount / 10 ** (CURRENCY_EXPONENTS[currencyCode] ?? 2));
+}
+
+/**
+ * Format an amount for display, e.g. ₹1,500 or $18
+ */
+function formatAmount(amount, currencyCode = BASE_CURRENCY, locale) {
+    try {
+        return new Intl.NumberFormat(locale || (currencyCode === BASE_CURRENCY ? 'en-IN' : 'en-US'), {
+            style: 'currency',
+            currency: currencyCode,
+            maximumFractionDigits: 0
+        }).format(amount);
+    } catch (e) {
+        return `${currencyCode} ${amount}`;
+    }
+}
+
+/**
+ * Display locale configured for a currency (currencies.locale)
+ * @returns {Promise<string|undefined>} undefined lets formatAmount pick its default
+ */
+async function getCurrencyLocale(currencyCode = BASE_CURRENCY) {
+    const { currencies } = await getPricing();
+    return currencies[currencyCode]?.locale || undefined;
+}
+
+/**
+ * Check whether a modifier is offered for a service (empty list = all services)
+ */
+function modifierAppliesTo(modifier, service) {
+    return !modifier.services.length || modifier.services.includes(service);
+}
+
+/**
+ * Price the selected modifiers for a service
+ * Tier modifiers that weren't chosen default to their first (cheapest) tier
+ * @param {object} selected - { modifier_key: quantity | tier_key }
+ */
+function calculateModifiers(pricing, service, selected = {}) {
+    for (const key of Object.keys(selected)) {
+        if (!pricing.modifiers[key]) {
+            throw new Error(`Invalid option: ${key}`);
+        }
+    }
+
+    const items = [];
+
+    for (const [key, modifier] of Object.entries(pricing.modifiers)) {
+        const value = selected[key];
+
+        if (!modifierAppliesTo(modifier, service)) {
+            if (value) {
+                throw new Error(`${modifier.name} is not available for this service`);
+            }
+            continue;
+        }
+
+        if (modifier.type === 'quantity') {
+            const quantity = Number(value) || 0;
+            if (!Number.isInteger(quantity) || quantity < 0 || quantity > modifier.max_quantity) {
+                throw new Error(`${modifier.name} must be between 0 and ${modifier.max_quantity}`);
+            }
+            if (quantity === 0) continue;
+
+            items.push({
+                key,
+                name: modifier.name,
+                value: quantity,
+                quantity,
+                unit_price: modifier.unit_price,
+                price: modifier.unit_price * quantity
+            });
+            continue;
+        }
+
+        const tierKeys = Object.keys(modifier.tiers);
+        if (tierKeys.length === 0) continue;
+
+        const tierKey = value || tierKeys[0];
+        const tier = modifier.tiers[tierKey];
+        if (!tier) {
+            throw new Error(`Invalid ${modifier.name.toLowerCase()}: ${tierKey}`);
+        }
+
+        items.push({
+            key,
+            name: `${modifier.name}: ${tier.name}`,
+            value: tierKey,
+            quantity: 1,
+            unit_price: tier.price,
+            price: tier.price
+        });
+    }
+
+    return items;
+}
+
 /**
  * Calculate order price SERVER-SIDE
  * This is the ONLY place prices should be calculated
+ * @param {string} service - Service key
+ * @param {string} size - Size key
+ * @param {string[]} addons - Add-on keys, each priced individually
+ * @param {object} options - { modifiers, couponCode, userId, email, currency }
+ *   modifiers: { modifier_key: quantity | tier_key }; coupon is validated and applied here
+ *   currency: currency code to charge in (default INR) - every amount returned is in it
  */
-async function calculateOrderPrice(service, size, addons = 'none') {
+async function calculateOrderPrice(service, size, addons = [], options = {}) {
     const pricing = await getPricing();
 
     const serviceData = pricing.services[service];
     const sizeData = pricing.sizes[size];
-    const addonData = pricing.addons[addons] || pricing.addons.none;
+    const currencyCode = options.currency || BASE_CURRENCY;
+    const currency = pricing.currencies[currencyCode];
 
     if (!serviceData) {
         throw new Error(`Invalid service: ${service}`);
@@ -98,13 +296,77 @@ async function calculateOrderPrice(service, size, addons = 'none') {
         throw new Error(`Invalid size: ${size}`);
     }
 
-    const basePrice = serviceData.price;
-    const sizePrice = sizeData.price;
-    const addonsPrice = addonData.price;
-    const total = basePrice + sizePrice + addonsPrice;
+    if (!currency) {
+        throw new Error(`Unsupported currency: ${currencyCode}`);
+    }
+
+    const addonItems = normalizeAddons(addons).map(key => {
+        const addonData = pricing.addons[key];
+        if (!addonData) {
+            throw new Error(`Invalid add-on: ${key}`);
+        }
+        return { key, name: addonData.name, price: addonData.price };
+    });
+
+    const inrModifierItems = calculateModifiers(pricing, service, options.modifiers);
+
+    // Coupons are configured in INR, so check and size them on the INR subtotal
+    const inrSubtotal = serviceData.price + sizeData.price +
+        addonItems.reduce((sum, a) => sum + a.price, 0) +
+        inrModifierItems.reduce((sum, m) => sum + m.price, 0);
+
+    // Apply coupon (throws if not applicable)
+    let coupon = null;
+    let inrDiscount = 0;
+    if (options.couponCode) {
+        coupon = await getApplicableCoupon(options.couponCode, {
+            service,
+            subtotal: inrSubtotal,
+            userId: options.userId,
+            email: options.email
+        });
+        inrDiscount = calculateDiscount(coupon, inrSubtotal);
+    }
+
+    // Everything below is in the order currency
+    const convert = (amount) => convertAmount(amount, currency);
+
+    addonItems.forEach(a => { a.price = convert(a.price); });
+    const modifierItems = inrModifierItems.map(m => {
+        const unitPrice = convert(m.unit_price);
+        return { ...m, unit_price: unitPrice, price: unitPrice * m.quantity };
+    });
+
+    const basePrice = convert(serviceData.price);
+    const sizePrice = convert(sizeData.price);
+    const addonsPrice = addonItems.reduce((sum, a) => sum + a.price, 0);
+    const modifiersPrice = modifierItems.reduce((sum, m) => sum + m.price, 0);
+    const subtotal = basePrice + sizePrice + addonsPrice + modifiersPrice;
+    // Conversion rounding can't push the discount past MIN_PAYABLE either
+    const discount = Math.max(Math.min(-convert(-inrDiscount), subtotal - MIN_PAYABLE), 0);
+
+    const total = subtotal - discount;
     const advance = Math.ceil(total / 2);
     const remaining = total - advance;
 
+    // One line per charged item (stored in order_line_items)
+    const lineItems = [
+        { item_type: 'service', item_key: service, item_name: serviceData.name, amount: basePrice },
+        { item_type: 'size', item_key: size, item_name: sizeData.name, amount: sizePrice },
+        ...modifierItems.map(m => ({
+            item_type: 'modifier',
+            item_key: m.key,
+            item_name: m.name,
+            quantity: m.quantity,
+            amount: m.price
+        })),
+        ...addonItems.map(a => ({ item_type: 'addon', item_key: a.key, item_name: a.name, amount: a.price }))
+    ];
+
+    if (coupon) {
+        lineItems.push({ item_type: 'discount', item_key: coupon.code, item_name: `Coupon ${coupon.code}`, amount: -discount });
+    }
+
     return {
         service: {
             key: service,
@@ -117,13 +379,35 @@ async function calculateOrderPrice(service, size, addons = 'none') {
             price: sizePrice
         },
         addons: {
-            key: addons,
-            name: addonData.name,
+            keys: addonItems.map(a => a.key),
+            name: addonItems.length ? addonItems.map(a => a.name).join(', ') : 'None',
+            items: addonItems,
             price: addonsPrice
         },
+        modifiers: {
+            // Stored on the order as { modifier_key: quantity | tier_key }
+            selected: Object.fromEntries(modifierItems.map(m => [m.key, m.value])),
+            items: modifierItems,
+            price: modifiersPrice
+        },
+        coupon: coupon ? {
+            id: coupon.id,
+            code: coupon.code,
+            discount,
+            discount_inr: inrDiscount
+        } : null,
+        currency: {
+            code: currencyCode,
+            locale: currency.locale,
+            rate: currency.rate
+        },
+        lineItems,
         basePrice,
         sizePrice,
         addonsPrice,
+        modifiersPrice,
+        subtotal,
+        discount,
         total,
         advance,
         remaining
@@ -132,6 +416,7 @@ async function calculateOrderPrice(service, size, addons = 'none') {
 
 /**
  * Clear pricing cache (call after admin updates pricing)
+ * Only clears this instance - other serverless instances pick up changes within 5 minutes
  */
 function clearPricingCache() {
     pricingCache = null;
@@ -141,5 +426,12 @@ function clearPricingCache() {
 module.exports = {
     getPricing,
     calculateOrderPrice,
-    clearPricingCache
+    clearPricingCache,
+    convertAmount,
+    toMinorUnits,
+    fromMinorUnits,
+    formatAmount,
+    getCurrencyLocale,
+    BASE_CURRENCY,
+    PRICING_TABLES
 };
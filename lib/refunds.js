@@ -0,0 +1,325 @@
+/**
+ * Refund Processing
+ * Issues full/partial refunds through Razorpay and tracks them in the refunds table
+ * Amounts are whole units of the order's currency (same as orders table),
+ * converted to the currency's smallest unit for Razorpay
+ */
+
+const Razorpay = require('razorpay');
+const { supabase } = require('./supabase');
+const { transitionOrder } = require('./orders');
+const { toMinorUnits, fromMinorUnits } = require('./pricing');
+
+const razorpay = new Razorpay({
+    key_id: process.env.RAZORPAY_KEY_ID,
+    key_secret: process.env.RAZORPAY_KEY_SECRET
+});
+
+/**
+ * Get the Razorpay payment ID and paid amount for advance or balance
+ */
+function getPayment(order, paymentType) {
+    if (paymentType === 'balance') {
+        return order.balance_verified
+            ? { paymentId: order.balance_razorpay_payment_id, amount: order.remaining }
+            : null;
+    }
+
+    return order.payment_verified
+        ? { paymentId: order.razorpay_payment_id, amount: order.advance }
+        : null;
+}
+
+/**
+ * Get refunds for an order (newest first)
+ */
+async function getOrderRefunds(orderId) {
+    const { data, error } = await supabase
+        .from('refunds')
+        .select('*')
+        .eq('order_id', orderId)
+        .order('created_at', { ascending: false });
+
+    if (error) {
+        throw error;
+    }
+
+    return data || [];
+}
+
+/**
+ * Amount still refundable for each payment (failed refunds don't count)
+ */
+async function getRefundableAmounts(order) {
+    const refunds = await getOrderRefunds(order.id);
+    const result = {};
+
+    for (const paymentType of ['advance', 'balance']) {
+        const payment = getPayment(order, paymentType);
+        if (!payment || !payment.paymentId) {
+            result[paymentType] = 0;
+            continue;
+        }
+
+        const refunded = refunds
+            .filter(r => r.razorpay_payment_id === payment.paymentId && r.status !== 'failed')
+            .reduce((sum, r) => sum + r.amount, 0);
+
+        result[paymentType] = Math.max(payment.amount - refunded, 0);
+    }
+
+    return result;
+}
+
+/**
+ * Issue a refund against the advance or balance payment
+ * The amount is reserved (a pending refunds row, under a lock on the order)
+ * before Razorpay is called, so concurrent refunds can't over-refund
+ * @param {object} order - Full order row
+ * @param {object} options - { amount (order currency, defaults to full refundable), paymentType, reason, actorId }
+ * @returns {{ refund?: object, error?: { code: string, message: string } }}
+ */
+async function createRefund(order, options = {}) {
+    const { paymentType = 'advance', reason, actorId = null } = options;
+
+    const payment = getPayment(order, paymentType);
+    if (!payment || !payment.paymentId) {
+        return { error: { code: 'NOT_PAID', message: `No ${paymentType} payment to refund` } };
+    }
+
+    const refundable = (await getRefundableAmounts(order))[paymentType];
+    const amount = options.amount || refundable;
+    const invalidAmount = {
+        error: {
+            code: 'INVALID_AMOUNT',
+            message: `Refund amount must be between 1 and ${refundable}`
+        }
+    };
+
+    if (amount <= 0 || amount > refundable) return invalidAmount;
+
+    // Re-checked under the lock - another refund may have been reserved since
+    const { data: refundId, error: reserveError } = await supabase.rpc('reserve_refund', {
+        p_order_id: order.id,
+        p_payment_id: payment.paymentId,
+        p_payment_type: paymentType,
+        p_paid_amount: payment.amount,
+        p_amount: amount,
+        p_reason: reason || null,
+        p_initiated_by: actorId
+    });
+
+    if (reserveError) {
+        console.error('Refund reservation failed:', reserveError);
+        return { error: { code: 'RECORD_FAILED', message: 'Failed to record refund' } };
+    }
+
+    if (!refundId) return invalidAmount;
+
+    const { refund, error } = await issueReservedRefund(order, refundId, payment.paymentId, amount, reason);
+    if (error) return { error };
+
+    if (refund.status === 'processed') {
+        await markOrderRefundedIfComplete(order, actorId);
+    }
+
+    return { refund };
+}
+
+/**
+ * Send a reserved refund to Razorpay and link the reservation to it
+ * A Razorpay error marks the reservation failed, which releases the amount
+ * @returns {{ refund?: object, error?: { code: string, message: string } }}
+ */
+async function issueReservedRefund(order, refundId, paymentId, amount, reason) {
+    let rzpRefund;
+    try {
+        rzpRefund = await razorpay.payments.refund(paymentId, {
+            amount: toMinorUnits(amount, order.currency || 'INR'),
+            notes: {
+                order_id: order.id,
+                order_number: order.order_number,
+                refund_id: refundId, // Lets the webhook match the reservation
+                reason: (reason || '').substring(0, 200)
+            }
+        });
+    } catch (rzpError) {
+        console.error('Razorpay refund failed:', rzpError);
+        const message = rzpError.error?.description || 'Failed to create refund';
+
+        // Release the reservation
+        await supabase
+            .from('refunds')
+            .update({ status: 'failed', failure_reason: message })
+            .eq('id', refundId);
+
+        return { error: { code: 'RAZORPAY_ERROR', message } };
+    }
+
+    const processed = rzpRefund.status === 'processed';
+    const { data: refund, error: updateError } = await supabase
+        .from('refunds')
+        .update({
+            razorpay_refund_id: rzpRefund.id,
+            ...(processed ? { status: 'processed', processed_at: new Date().toISOString() } : {})
+        })
+        .eq('id', refundId)
+        .select()
+        .single();
+
+    if (updateError) {
+        // Refund went through at Razorpay - the webhook matches it by refund_id
+        console.error('Refund record update failed:', updateError);
+        return { error: { code: 'RECORD_FAILED', message: 'Refund issued but could not be recorded' } };
+    }
+
+    return { refund };
+}
+
+/**
+ * Refund a payment in full that couldn't be applied to its order (a checkout
+ * paid after the order was cancelled, or an extra revision paid after the
+ * order moved on). The payment
+ * isn't recorded on the order, so it's refunded by ID; the reservation
+ * makes the verify callback and the webhook refund it only once.
+ * @param {object} order - Full order row
+ * @param {object} payment - { paymentId, paymentType ('advance' | 'balance' | 'revision'), amount (order currency), reason }
+ * @returns {{ refund?: object, error?: { code: string, message: string } }}
+ */
+async function refundUnappliedPayment(order, { paymentId, paymentType = 'advance', amount, reason }) {
+    const { data: refundId, error: reserveError } = await supabase.rpc('reserve_refund', {
+        p_order_id: order.id,
+        p_payment_id: paymentId,
+        p_payment_type: paymentType,
+        p_paid_amount: amount,
+        p_amount: amount,
+        p_reason: reason || null,
+        p_initiated_by: null
+    });
+
+    if (reserveError) {
+        console.error('Refund reservation failed:', reserveError);
+        return { error: { code: 'RECORD_FAILED', message: 'Failed to record refund' } };
+    }
+
+    if (!refundId) {
+        return { error: { code: 'ALREADY_REFUNDED', message: 'This payment is already being refunded' } };
+    }
+
+    return issueReservedRefund(order, refundId, paymentId, amount, reason);
+}
+
+/**
+ * Move order to refunded once every paid rupee has been refunded
+ */
+async function markOrderRefundedIfComplete(order, actorId = null) {
+    const refundable = await getRefundableAmounts(order);
+    if (refundable.advance > 0 || refundable.balance > 0) return false;
+
+    const refunds = await getOrderRefunds(order.id);
+    if (refunds.some(r => r.status === 'pending')) return false;
+
+    const { data: latest } = await supabase
+        .from('orders')
+        .select('*')
+        .eq('id', order.id)
+        .single();
+
+    if (!latest || latest.status === 'refunded') return false;
+
+    const { error } = await transitionOrder(latest, 'refunded', {
+        actorId,
+        reason: 'Payment fully refunded'
+    });
+
+    if (error) {
+        console.error(`Could not mark ${order.order_number} refunded: ${error.message}`);
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Apply a refund.processed / refund.failed webhook to our records
+ * Creates the record if the refund was issued from the Razorpay dashboard
+ * @returns {object|null} The updated refund record
+ */
+async function applyRefundEvent(refundEntity, status) {
+    const update = {
+        status,
+        processed_at: status === 'processed' ? new Date().toISOString() : null,
+        failure_reason: status === 'failed' ? (refundEntity.error_description || 'Refund failed') : null
+    };
+
+    let { data: existing } = await supabase
+        .from('refunds')
+        .select('*')
+        .eq('razorpay_refund_id', refundEntity.id)
+        .maybeSingle();
+
+    // Issued by createRefund but not linked to the Razorpay ID yet
+    if (!existing && refundEntity.notes?.refund_id) {
+        ({ data: existing } = await supabase
+            .from('refunds')
+            .select('*')
+            .eq('id', refundEntity.notes.refund_id)
+            .is('razorpay_refund_id', null)
+            .maybeSingle());
+    }
+
+    let refund = existing;
+
+    if (existing) {
+        const { data: updated } = await supabase
+            .from('refunds')
+            .update({ ...update, razorpay_refund_id: refundEntity.id })
+            .eq('id', existing.id)
+            .select()
+            .single();
+        refund = updated || existing;
+    } else {
+        const { data: order } = await supabase
+            .from('orders')
+            .select('id, razorpay_payment_id, balance_razorpay_payment_id')
+            .or(`razorpay_payment_id.eq.${refundEntity.payment_id},balance_razorpay_payment_id.eq.${refundEntity.payment_id}`)
+            .maybeSingle();
+
+        if (!order) return null;
+
+        const { data: inserted } = await supabase
+            .from('refunds')
+            .insert({
+                order_id: order.id,
+                razorpay_refund_id: refundEntity.id,
+                razorpay_payment_id: refundEntity.payment_id,
+                payment_type: order.balance_razorpay_payment_id === refundEntity.payment_id ? 'balance' : 'advance',
+                amount: fromMinorUnits(refundEntity.amount, refundEntity.currency),
+                reason: 'Issued from Razorpay dashboard',
+                ...update
+            })
+            .select()
+            .single();
+        refund = inserted;
+    }
+
+    if (refund && status === 'processed') {
+        const { data: order } = await supabase
+            .from('orders')
+            .select('*')
+            .eq('id', refund.order_id)
+            .single();
+
+        if (order) await markOrderRefundedIfComplete(order);
+    }
+
+    return refund;
+}
+
+module.exports = {
+    getOrderRefunds,
+    getRefundableAmounts,
+    createRefund,
+    refundUnappliedPayment,
+    applyRefundEvent
+};
@@ -0,0 +1,443 @@
+/**
+ * Revision Requests
+ * Once the artwork is completed the customer can ask for changes (notes plus
+ * reference images), which moves the order to revision_requested. Each
+ * service includes a number of revisions (pricing_config.included_revisions);
+ * after that, extra revisions are paid for (extra_revision_price, INR,
+ * charged in the order's currency at the order's exchange rate).
+ *
+ * A paid revision waits in awaiting_payment until /api/payment/verify or the
+ * Razorpay webhook confirms it - whichever gets there first finalises it.
+ * An order has at most one unpaid extra revision, so resubmitting (or a
+ * second tab) pays the same Razorpay order, which only takes one payment.
+ * A payment that can't start the revision any more is refunded.
+ */
+
+const Razorpay = require('razorpay');
+const { supabase } = require('./supabase');
+const { logActivity } = require('./logger');
+const { transitionOrder } = require('./orders');
+const { getPricing, convertAmount, formatAmount, getCurrencyLocale, toMinorUnits } = require('./pricing');
+const { refundUnappliedPayment } = require('./refunds');
+const { notifyStaff } = require('./notifications');
+const { getUploadUrls } = require('./uploads');
+const { publishTicketUpdate } = require('./ticket-events');
+
+const razorpay = new Razorpay({
+    key_id: process.env.RAZORPAY_KEY_ID,
+    key_secret: process.env.RAZORPAY_KEY_SECRET
+});
+
+// Used when the service has no pricing row (removed or deactivated)
+const DEFAULT_INCLUDED_REVISIONS = 2;
+
+/**
+ * Included / used revisions for an order and the price of an extra one
+ * @returns {Promise<{ included: number, used: number, remaining: number, extra_used: number,
+ *                     extra_price: number, currency: string, locale: string }>} extra_price is 0 if extras aren't offered
+ */
+async function getRevisionQuota(order) {
+    const pricing = await getPricing();
+    const service = pricing.services[order.service];
+
+    const { data: revisions, error } = await supabase
+        .from('order_revisions')
+        .select('is_extra')
+        .eq('order_id', order.id)
+        .eq('status', 'requested');
+
+    if (error) throw error;
+
+    const included = service?.included_revisions ?? DEFAULT_INCLUDED_REVISIONS;
+    const used = (revisions || []).filter(r => !r.is_extra).length;
+    const currency = order.currency || 'INR';
+
+    return {
+        included,
+        used,
+        remaining: Math.max(0, included - used),
+        extra_used: (revisions || []).filter(r => r.is_extra).length,
+        extra_price: convertAmount(service?.extra_revision_price || 0, { rate: Number(order.exchange_rate) || 1 }),
+        currency,
+        locale: pricing.currencies[currency]?.locale
+    };
+}
+
+/**
+ * Requested revisions for an order (oldest first), reference images signed
+ */
+async function getOrderRevisions(orderId) {
+    const { data: revisions, error } = await supabase
+        .from('order_revisions')
+        .select('id, notes, reference_images, is_extra, amount, currency, status, created_at, paid_at')
+        .eq('order_id', orderId)
+        .eq('status', 'requested')
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    const urls = await getUploadUrls((revisions || []).flatMap(r => (r.reference_images || []).map(a => a.upload_id)));
+
+    return (revisions || []).map(revision => ({
+        ...revision,
+        reference_images: (revision.reference_images || []).map(a => ({ ...a, url: urls[a.upload_id] || null }))
+    }));
+}
+
+/**
+ * The order's extra revision that's waiting for payment, if any
+ */
+async function getPendingRevision(orderId) {
+    const { data: revision } = await supabase
+        .from('order_revisions')
+        .select('*')
+        .eq('order_id', orderId)
+        .eq('status', 'awaiting_payment')
+        .maybeSingle();
+
+    return revision;
+}
+
+/**
+ * Point a repeated extra revision request at the unpaid one (latest notes
+ * and references win) instead of creating a second Razorpay order
+ */
+async function reusePendingRevision(pending, { notes, referenceImages }, quota) {
+    const { data: revision, error } = await supabase
+        .from('order_revisions')
+        .update({ notes, reference_images: referenceImages })
+        .eq('id', pending.id)
+        .eq('status', 'awaiting_payment')
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        console.error('Update revision error:', error);
+        return { error: { code: 'RECORD_FAILED', message: 'Failed to record revision request' } };
+    }
+
+    // Paid in the meantime
+    if (!revision) {
+        return { error: { code: 'REVISION_IN_PROGRESS', message: 'A revision is already in progress' } };
+    }
+
+    return {
+        revision,
+        quota,
+        payment: {
+            razorpay_order_id: revision.razorpay_order_id,
+            amount: toMinorUnits(revision.amount, revision.currency),
+            currency: revision.currency
+        }
+    };
+}
+
+/**
+ * Post the request to the order's ticket as the customer's message
+ * Reference images are tagged with revision_id - they belong to the revision
+ */
+async function postRevisionMessage(order, revision, author, quota) {
+    const { data: ticket } = await supabase
+        .from('tickets')
+        .select('id')
+        .eq('order_id', order.id)
+        .order('created_at', { ascending: true })
+        .limit(1)
+        .maybeSingle();
+
+    if (!ticket) return;
+
+    const label = revision.is_extra
+        ? `extra revision, ${formatAmount(revision.amount, revision.currency, quota.locale)} paid`
+        : `${quota.used} of ${quota.included} included`;
+
+    await supabase
+        .from('ticket_messages')
+        .insert({
+            ticket_id: ticket.id,
+            author_id: author.id,
+            author_name: author.name,
+            is_admin: false,
+            message: `✏️ Revision requested for order ${order.order_number} (${label})\n\n${revision.notes}`,
+            attachments: (revision.reference_images || []).map(a => ({ ...a, revision_id: revision.id }))
+        });
+
+    await supabase
+        .from('tickets')
+        .update({ status: 'open', updated_at: new Date().toISOString() })
+        .eq('id', ticket.id);
+
+    publishTicketUpdate(ticket.id);
+}
+
+/**
+ * Request a revision on a completed order
+ *
+ * Within the quota the order moves to revision_requested straight away.
+ * Once it's used up, acceptCharge must be set and a Razorpay order is
+ * created for the extra revision instead (finalised by finalizeRevisionPayment).
+ * If one is already waiting for payment, that one is returned.
+ *
+ * @param {object} order - Full order row
+ * @param {object} request - { notes, referenceImages (resolved attachments), author ({ id, name }), acceptCharge }
+ * @returns {{ revision?: object, quota?: object, payment?: object, error?: { code: string, message: string, quota?: object } }}
+ */
+async function requestRevision(order, { notes, referenceImages = [], author, acceptCharge = false }) {
+    if (order.status === 'revision_requested') {
+        return { error: { code: 'REVISION_IN_PROGRESS', message: 'A revision is already in progress' } };
+    }
+
+    if (order.status !== 'completed') {
+        return { error: { code: 'NOT_COMPLETED', message: 'Revisions can be requested once the artwork is completed' } };
+    }
+
+    const quota = await getRevisionQuota(order);
+    const isExtra = quota.remaining === 0;
+
+    if (isExtra && !quota.extra_price) {
+        return { error: { code: 'QUOTA_EXHAUSTED', message: 'All revisions for this order have been used', quota } };
+    }
+
+    if (isExtra && !acceptCharge) {
+        return {
+            error: {
+                code: 'PAYMENT_REQUIRED',
+                message: `All ${quota.included} included revisions have been used. Extra revisions are ${formatAmount(quota.extra_price, quota.currency, quota.locale)} each.`,
+                quota
+            }
+        };
+    }
+
+    let razorpayOrder = null;
+    if (isExtra) {
+        const pending = await getPendingRevision(order.id);
+        if (pending) return reusePendingRevision(pending, { notes, referenceImages }, quota);
+
+        razorpayOrder = await razorpay.orders.create({
+            amount: toMinorUnits(quota.extra_price, quota.currency),
+            currency: quota.currency,
+            receipt: `${order.order_number}-REV${quota.extra_used + 1}`,
+            notes: {
+                order_id: order.id,
+                service: order.service_name,
+                payment_type: 'revision'
+            }
+        });
+    }
+
+    const { data: revision, error } = await supabase
+        .from('order_revisions')
+        .insert({
+            order_id: order.id,
+            notes,
+            reference_images: referenceImages,
+            is_extra: isExtra,
+            amount: isExtra ? quota.extra_price : 0,
+            currency: quota.currency,
+            status: isExtra ? 'awaiting_payment' : 'requested',
+            razorpay_order_id: razorpayOrder?.id || null,
+            requested_by: author.id
+        })
+        .select()
+        .single();
+
+    if (error) {
+        // Another request created the unpaid revision first (one per order)
+        if (isExtra && error.code === '23505') {
+            const pending = await getPendingRevision(order.id);
+            if (pending) return reusePendingRevision(pending, { notes, referenceImages }, quota);
+        }
+
+        console.error('Record revision error:', error);
+        return { error: { code: 'RECORD_FAILED', message: 'Failed to record revision request' } };
+    }
+
+    if (isExtra) {
+        return {
+            revision,
+            quota,
+            payment: {
+                razorpay_order_id: razorpayOrder.id,
+                amount: razorpayOrder.amount,
+                currency: razorpayOrder.currency
+            }
+        };
+    }
+
+    // Conditional on the status - two requests racing for the last revision
+    // can't both go through
+    const { order: updatedOrder, error: transitionError } = await transitionOrder(order, 'revision_requested', {
+        actorId: author.id,
+        actorType: 'customer',
+        reason: `Revision ${quota.used + 1} of ${quota.included} requested`
+    });
+
+    if (transitionError) {
+        await supabase.from('order_revisions').delete().eq('id', revision.id);
+        return { error: transitionError };
+    }
+
+    const updatedQuota = { ...quota, used: quota.used + 1, remaining: quota.remaining - 1 };
+    await postRevisionMessage(updatedOrder, revision, author, updatedQuota);
+
+    return { revision, quota: updatedQuota };
+}
+
+/**
+ * Find the extra revision a Razorpay order was created for
+ */
+async function getRevisionByRazorpayOrderId(razorpayOrderId) {
+    const { data: revision } = await supabase
+        .from('order_revisions')
+        .select('*')
+        .eq('razorpay_order_id', razorpayOrderId)
+        .maybeSingle();
+
+    return revision;
+}
+
+/**
+ * Mark an extra revision as paid and move the order to revision_requested
+ * Conditional on the revision still awaiting payment, so the verify callback
+ * and the webhook can't both run the side effects.
+ *
+ * @param {object} revision - order_revisions row
+ * @param {object} payment - { razorpayPaymentId, source ('verify' | 'webhook') }
+ * @returns {{ revision?: object, order?: object, alreadyPaid?: boolean, error?: { code: string, message: string } }}
+ */
+async function finalizeRevisionPayment(revision, { razorpayPaymentId = null, source = 'verify' }, req = null) {
+    const { data: paid, error } = await supabase
+        .from('order_revisions')
+        .update({
+            status: 'requested',
+            razorpay_payment_id: razorpayPaymentId,
+            paid_at: new Date().toISOString()
+        })
+        .eq('id', revision.id)
+        .eq('status', 'awaiting_payment')
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        console.error('Revision payment update error:', error);
+        return { error: { code: 'UPDATE_FAILED', message: 'Failed to update revision' } };
+    }
+
+    if (!paid) {
+        // The other caller found the order had moved on and refunded it
+        const { data: latest } = await supabase
+            .from('order_revisions')
+            .select('*')
+            .eq('id', revision.id)
+            .maybeSingle();
+
+        if (latest?.status === 'refunded') {
+            return {
+                revision: latest,
+                error: { code: 'ORDER_CHANGED', message: 'The order changed before the revision could start - your payment is being refunded' }
+            };
+        }
+
+        return { revision, alreadyPaid: true };
+    }
+
+    const { data: order } = await supabase
+        .from('orders')
+        .select('*')
+        .eq('id', revision.order_id)
+        .single();
+
+    const fromCustomer = source === 'verify';
+    const { order: updatedOrder, error: transitionError } = await transitionOrder(order, 'revision_requested', {
+        actorId: fromCustomer ? revision.requested_by : null,
+        actorType: fromCustomer ? 'customer' : 'system',
+        reason: `Extra revision paid${fromCustomer ? '' : ' (webhook)'}`
+    });
+
+    if (transitionError) {
+        return refundRevisionPayment(paid, order, { razorpayPaymentId, source, reason: transitionError.code }, req);
+    }
+
+    const { data: author } = await supabase
+        .from('users')
+        .select('id, name')
+        .eq('id', revision.requested_by)
+        .maybeSingle();
+
+    await postRevisionMessage(updatedOrder, paid, author || { id: null, name: 'Customer' }, null);
+
+    await logActivity(revision.requested_by, 'REVISION_PAYMENT_VERIFIED', 'order', revision.order_id, {
+        revision_id: revision.id,
+        razorpay_order_id: revision.razorpay_order_id,
+        razorpay_payment_id: razorpayPaymentId,
+        amount: revision.amount,
+        currency: revision.currency,
+        source
+    }, req);
+
+    return { revision: paid, order: updatedOrder };
+}
+
+/**
+ * Refund an extra revision paid after the order moved on (e.g. delivered
+ * while the payment was pending) and alert staff
+ * @returns {{ revision: object, order: object, error: { code: string, message: string } }}
+ */
+async function refundRevisionPayment(revision, order, { razorpayPaymentId, source, reason }, req) {
+    const { refund, error: refundError } = razorpayPaymentId
+        ? await refundUnappliedPayment(order, {
+            paymentId: razorpayPaymentId,
+            paymentType: 'revision',
+            amount: revision.amount,
+            reason: 'Revision paid after the order moved on'
+        })
+        : { error: { code: 'NO_PAYMENT_ID', message: 'Razorpay payment ID unknown' } };
+
+    const { data: refunded } = await supabase
+        .from('order_revisions')
+        .update({ status: 'refunded' })
+        .eq('id', revision.id)
+        .select()
+        .maybeSingle();
+
+    await logActivity(revision.requested_by, refundError ? 'REVISION_PAYMENT_REFUND_FAILED' : 'REVISION_PAYMENT_REFUNDED', 'order', revision.order_id, {
+        revision_id: revision.id,
+        razorpay_payment_id: razorpayPaymentId,
+        refund_id: refund?.id || null,
+        status: order.status,
+        reason,
+        error: refundError?.message || null,
+        source
+    }, req);
+
+    const locale = await getCurrencyLocale(revision.currency);
+
+    await notifyStaff(
+        refundError ? 'Refund needed for extra revision payment' : 'Extra revision payment refunded',
+        `An extra revision on order ${order.order_number} was paid (${formatAmount(revision.amount, revision.currency, locale)}, ` +
+            `${razorpayPaymentId || 'unknown payment'}) while the order was ${String(order.status).replace(/_/g, ' ')}, so the revision wasn't started.\n\n` +
+            (refundError
+                ? `The automatic refund failed: ${refundError.message}\nRefund it from the Razorpay dashboard.`
+                : `It was refunded automatically. Check with the customer what they wanted changed.`),
+        order
+    );
+
+    return {
+        revision: refunded || revision,
+        order,
+        error: {
+            code: 'ORDER_CHANGED',
+            message: refundError
+                ? 'The order changed before the revision could start - our team will refund your payment'
+                : 'The order changed before the revision could start - your payment has been refunded'
+        }
+    };
+}
+
+module.exports = {
+    getRevisionQuota,
+    getOrderRevisions,
+    requestRevision,
+    getRevisionByRazorpayOrderId,
+    finalizeRevisionPayment
+};
@@ -0,0 +1,48 @@
+/**
+ * Session Revocation
+ * Signs a user out by revoking their refresh tokens and bumping
+ * users.token_version, which kills already-issued access tokens
+ * (requireAuth rejects any token whose ver claim doesn't match)
+ */
+
+const { supabase } = require('./supabase');
+
+/**
+ * Invalidate every access token issued to a user
+ * Done atomically by the bump_token_version() database function
+ * @returns {number} The new token version
+ */
+async function bumpTokenVersion(userId) {
+    const { data, error } = await supabase.rpc('bump_token_version', { p_user_id: userId });
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Sign a user out everywhere
+ * @param {string} userId
+ * @param {string} reason - Stored as refresh_tokens.revoked_reason
+ * @param {object} options - { exceptTokenHash } keeps that refresh token (the current device)
+ * @returns {{ revoked: number, tokenVersion: number }}
+ */
+async function revokeUserSessions(userId, reason, { exceptTokenHash = null } = {}) {
+    let query = supabase
+        .from('refresh_tokens')
+        .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+        .eq('user_id', userId)
+        .is('revoked_at', null);
+
+    if (exceptTokenHash) query = query.neq('token_hash', exceptTokenHash);
+
+    const { data: revoked, error } = await query.select('id');
+    if (error) throw error;
+
+    const tokenVersion = await bumpTokenVersion(userId);
+
+    return { revoked: revoked.length, tokenVersion };
+}
+
+module.exports = {
+    bumpTokenVersion,
+    revokeUserSessions
+};
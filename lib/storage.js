@@ -0,0 +1,264 @@
+/**
+ * File Storage
+ * Pluggable drivers for uploaded files - the database only keeps the key
+ *
+ * STORAGE_DRIVER: 'supabase' (a private Supabase Storage bucket,
+ *                 STORAGE_BUCKET, default "uploads", plus a public one,
+ *                 STORAGE_PUBLIC_BUCKET, default "public-uploads") or 'local'
+ *                 (files under STORAGE_LOCAL_DIR, served by /api/uploads, for
+ *                 development). Defaults to supabase when SUPABASE_URL is set,
+ *                 else local.
+ * STORAGE_SIGNED_URL_SECONDS: lifetime of signed URLs (default 1 hour)
+ *
+ * Keys under PUBLIC_PREFIXES (gallery images) live in the public bucket and
+ * get stable URLs browsers and CDNs can cache; everything else is private
+ * and only reachable through signed URLs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { supabase } = require('./supabase');
+const { getSiteUrl } = require('./config');
+
+// Keys are generated by lib/uploads - anything else is refused, so a key
+// can never escape the local storage directory
+const SAFE_KEY = /^[a-z0-9_-]+(\/[a-z0-9_-]+)*\.[a-z0-9]+$/;
+
+const PUBLIC_PREFIXES = ['gallery/'];
+
+// Keys are random and never reused, so public files can be cached for good
+const PUBLIC_CACHE_SECONDS = 365 * 24 * 60 * 60;
+
+let driver = null;
+
+function getSignedUrlSeconds() {
+    return parseInt(process.env.STORAGE_SIGNED_URL_SECONDS) || 3600;
+}
+
+function assertSafeKey(key) {
+    if (typeof key !== 'string' || !SAFE_KEY.test(key)) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+}
+
+function isPublicKey(key) {
+    return PUBLIC_PREFIXES.some(prefix => String(key).startsWith(prefix));
+}
+
+/**
+ * Key for signing local driver URLs (STORAGE_SIGNING_SECRET, falls back to JWT_SECRET)
+ */
+function getSigningKey() {
+    const key = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+    if (!key) throw new Error('STORAGE_SIGNING_SECRET not configured');
+    return key;
+}
+
+function signLocalUrl(key, expires) {
+    return crypto.createHmac('sha256', getSigningKey()).update(`${key}:${expires}`).digest('base64url');
+}
+
+/**
+ * Check a local driver URL signature (constant time)
+ * @returns {boolean} false if tampered with or expired
+ */
+function verifyLocalSignature(key, expires, signature) {
+    const expiresAt = parseInt(expires);
+    if (!key || !signature || !expiresAt || expiresAt * 1000 < Date.now()) return false;
+
+    const expected = Buffer.from(signLocalUrl(key, expiresAt));
+    const given = Buffer.from(String(signature));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Build the configured driver (once per instance)
+ * Every driver exposes put(key, buffer, contentType), get(key) -> Buffer|null,
+ * remove(keys), signUrls(keys, seconds, download) -> { [key]: url }
+ * (download: file name to save as, or null to display inline),
+ * publicUrls(keys) -> { [key]: url } and publish(key, contentType), which moves a public
+ * key stored before it had its own bucket
+ */
+function getDriver() {
+    if (driver) return driver;
+
+    const type = process.env.STORAGE_DRIVER || (process.env.SUPABASE_URL ? 'supabase' : 'local');
+
+    if (type === 'supabase') {
+        const privateBucket = () => supabase.storage.from(process.env.STORAGE_BUCKET || 'uploads');
+        const publicBucket = () => supabase.storage.from(process.env.STORAGE_PUBLIC_BUCKET || 'public-uploads');
+        const bucket = (key) => isPublicKey(key) ? publicBucket() : privateBucket();
+        const download = async (store, key) => {
+            const { data, error } = await store.download(key);
+            if (error) return null;
+            return Buffer.from(await data.arrayBuffer());
+        };
+
+        driver = {
+            name: 'supabase',
+            put: async (key, buffer, contentType) => {
+                const options = { contentType, upsert: false };
+                if (isPublicKey(key)) options.cacheControl = String(PUBLIC_CACHE_SECONDS);
+
+                const { error } = await bucket(key).upload(key, buffer, options);
+                if (error) throw error;
+            },
+            get: (key) => download(bucket(key), key),
+            remove: async (keys) => {
+                const publicKeys = keys.filter(isPublicKey);
+                const privateKeys = keys.filter(key => !isPublicKey(key));
+
+                for (const [store, batch] of [[publicBucket(), publicKeys], [privateBucket(), privateKeys]]) {
+                    if (!batch.length) continue;
+                    const { error } = await store.remove(batch);
+                    if (error) throw error;
+                }
+            },
+            publicUrls: async (keys) => {
+                const urls = {};
+                for (const key of keys) {
+                    urls[key] = publicBucket().getPublicUrl(key).data.publicUrl;
+                }
+                return urls;
+            },
+            publish: async (key, contentType) => {
+                const buffer = await download(privateBucket(), key);
+                if (!buffer) return false;
+
+                const { error } = await publicBucket().upload(key, buffer, {
+                    contentType,
+                    upsert: true,
+                    cacheControl: String(PUBLIC_CACHE_SECONDS)
+                });
+                if (error) throw error;
+
+                await privateBucket().remove([key]);
+                return true;
+            },
+            signUrls: async (keys, seconds, download) => {
+                const { data, error } = await privateBucket().createSignedUrls(keys, seconds, download ? { download } : undefined);
+                if (error) throw error;
+
+                const urls = {};
+                for (const item of data || []) {
+                    if (item.signedUrl) urls[item.path] = item.signedUrl;
+                }
+                return urls;
+            }
+        };
+    } else {
+        const dir = path.resolve(process.env.STORAGE_LOCAL_DIR || 'tmp/uploads');
+        driver = {
+            name: 'local',
+            put: async (key, buffer) => {
+                const file = path.join(dir, key);
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                await fs.promises.writeFile(file, buffer, { flag: 'wx' });
+            },
+            get: async (key) => {
+                try {
+                    return await fs.promises.readFile(path.join(dir, key));
+                } catch (error) {
+                    if (error.code === 'ENOENT') return null;
+                    throw error;
+                }
+            },
+            remove: async (keys) => {
+                await Promise.all(keys.map(key => fs.promises.rm(path.join(dir, key), { force: true })));
+            },
+            signUrls: async (keys, seconds, download) => {
+                const expires = Math.floor(Date.now() / 1000) + seconds;
+                const urls = {};
+                for (const key of keys) {
+                    const params = new URLSearchParams({ action: 'file', key, expires: String(expires), sig: signLocalUrl(key, expires) });
+                    if (download) params.set('download', download);
+                    urls[key] = `${getSiteUrl()}/api/uploads?${params.toString()}`;
+                }
+                return urls;
+            },
+            publicUrls: async (keys) => {
+                const urls = {};
+                for (const key of keys) {
+                    urls[key] = `${getSiteUrl()}/api/uploads?${new URLSearchParams({ action: 'public', key }).toString()}`;
+                }
+                return urls;
+            },
+            // One directory for both - nothing to move
+            publish: async () => false
+        };
+    }
+
+    return driver;
+}
+
+/**
+ * Store a file under a new key
+ */
+async function putObject(key, buffer, contentType) {
+    assertSafeKey(key);
+    await getDriver().put(key, buffer, contentType);
+}
+
+/**
+ * @returns {Promise<Buffer|null>} null if the object doesn't exist
+ */
+async function getObject(key) {
+    assertSafeKey(key);
+    return getDriver().get(key);
+}
+
+async function removeObjects(keys) {
+    if (!keys.length) return;
+    keys.forEach(assertSafeKey);
+    await getDriver().remove(keys);
+}
+
+/**
+ * Time-limited URLs for private objects
+ * @param {object} options - { seconds, download } - download is a file name to save as
+ * @returns {Promise<object>} { [key]: url } - keys that couldn't be signed are left out
+ */
+async function getSignedUrls(keys, { seconds = getSignedUrlSeconds(), download = null } = {}) {
+    const unique = [...new Set(keys)];
+    if (!unique.length) return {};
+    unique.forEach(assertSafeKey);
+    return getDriver().signUrls(unique, seconds, download);
+}
+
+/**
+ * Stable URLs for public objects (see PUBLIC_PREFIXES)
+ * @returns {Promise<object>} { [key]: url }
+ */
+async function getPublicUrls(keys) {
+    const unique = [...new Set(keys)];
+    if (!unique.length) return {};
+    unique.forEach(key => {
+        assertSafeKey(key);
+        if (!isPublicKey(key)) throw new Error(`Not a public storage key: ${key}`);
+    });
+    return getDriver().publicUrls(unique);
+}
+
+/**
+ * Move a public object out of the private bucket it was stored in before
+ * public keys had their own (migrate-uploads.js)
+ * @returns {Promise<boolean>} false if there was nothing to move
+ */
+async function publishObject(key, contentType) {
+    assertSafeKey(key);
+    if (!isPublicKey(key)) throw new Error(`Not a public storage key: ${key}`);
+    return getDriver().publish(key, contentType);
+}
+
+module.exports = {
+    PUBLIC_CACHE_SECONDS,
+    isPublicKey,
+    putObject,
+    getObject,
+    removeObjects,
+    getSignedUrls,
+    getPublicUrls,
+    publishObject,
+    verifyLocalSignature
+};
@@ -21,6 +21,10 @@ const supabase = createClient(
         auth: {
             autoRefreshToken: false,
             persistSession: false
+        },
+        // Node < 22 has no global WebSocket for Realtime (lib/ticket-events)
+        realtime: {
+            transport: typeof WebSocket === 'undefined' ? require('ws') : undefined
         }
     }
 );
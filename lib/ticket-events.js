@@ -0,0 +1,75 @@
+/**
+ * Ticket Live Updates
+ * Wakes open ticket streams (GET /api/tickets/[id]/messages?stream=true)
+ * when a ticket or its messages change. Changes on this instance are
+ * emitted directly; changes made anywhere else arrive through Supabase
+ * Realtime (tickets and ticket_messages are in the supabase_realtime
+ * publication - add-ticket-realtime.sql). Both are best effort - streams
+ * still poll in case a change is missed.
+ */
+
+const { EventEmitter } = require('events');
+const { supabase } = require('./supabase');
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// One Realtime channel per ticket with open streams on this instance
+const channels = new Map();
+
+/**
+ * Call after adding a message to, or updating, a ticket
+ */
+function publishTicketUpdate(ticketId) {
+    emitter.emit(String(ticketId));
+}
+
+/**
+ * Subscribe to database changes for a ticket
+ */
+function openChannel(ticketId) {
+    const publish = () => publishTicketUpdate(ticketId);
+
+    const channel = supabase
+        .channel(`ticket-${ticketId}`)
+        .on('postgres_changes', { event: '*', schema: 'public', table: 'tickets', filter: `id=eq.${ticketId}` }, publish)
+        .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'ticket_messages', filter: `ticket_id=eq.${ticketId}` }, publish)
+        .subscribe((status, error) => {
+            if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+                console.error(`Ticket realtime ${status}:`, error?.message || ticketId);
+            }
+        });
+
+    channels.set(ticketId, channel);
+}
+
+/**
+ * @returns {Function} Unsubscribe
+ */
+function onTicketUpdate(ticketId, listener) {
+    const key = String(ticketId);
+    emitter.on(key, listener);
+
+    if (!channels.has(key)) {
+        try {
+            openChannel(key);
+        } catch (error) {
+            console.error('Ticket realtime error:', error.message);
+        }
+    }
+
+    return () => {
+        emitter.off(key, listener);
+
+        const channel = channels.get(key);
+        if (channel && emitter.listenerCount(key) === 0) {
+            channels.delete(key);
+            supabase.removeChannel(channel).catch(() => {});
+        }
+    };
+}
+
+module.exports = {
+    publishTicketUpdate,
+    onTicketUpdate
+};
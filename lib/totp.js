@@ -0,0 +1,162 @@
+/**
+ * Two-Factor Authentication
+ * RFC 6238 TOTP (SHA-1, 6 digits, 30s - what authenticator apps expect),
+ * secret encryption at rest and recovery codes
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+function base32Decode(input) {
+    const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 secret');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * New random secret (160 bits, base32)
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Code for a given time step (RFC 4226 HOTP)
+ */
+function generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Check a code against the current step ± window (clock drift)
+ * @param {number} lastStep - Last step accepted for this user; codes at or before it are replays
+ * @returns {number|null} Matched step, or null if invalid
+ */
+function verifyCode(secret, code, lastStep = null, window = 1) {
+    const clean = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(clean)) return null;
+
+    const now = currentStep();
+    for (let step = now - window; step <= now + window; step++) {
+        if (lastStep !== null && step <= lastStep) continue;
+
+        const expected = Buffer.from(generateCode(secret, step));
+        if (crypto.timingSafeEqual(expected, Buffer.from(clean))) return step;
+    }
+
+    return null;
+}
+
+/**
+ * otpauth:// URL for QR codes / manual entry in authenticator apps
+ */
+function getOtpAuthUrl(secret, email) {
+    const issuer = 'Arthuzist';
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+    return `otpauth://totp/${encodeURIComponent(`${issuer}:${email}`)}?${params.toString()}`;
+}
+
+/**
+ * Key for encrypting secrets at rest (TOTP_ENCRYPTION_KEY, falls back to JWT_SECRET)
+ */
+function getEncryptionKey() {
+    const key = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!key) throw new Error('TOTP_ENCRYPTION_KEY not configured');
+    return crypto.createHash('sha256').update(key).digest();
+}
+
+/**
+ * AES-256-GCM encrypt a secret - stored as iv.tag.ciphertext (base64)
+ */
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64')).join('.');
+}
+
+function decryptSecret(stored) {
+    const [iv, tag, encrypted] = String(stored).split('.').map(p => Buffer.from(p, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * One-time recovery codes, formatted xxxxx-xxxxx
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    return Array.from({ length: count }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+}
+
+/**
+ * Normalise user input before hashing (case, spaces, dash optional)
+ */
+function normalizeRecoveryCode(code) {
+    const clean = String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+    return clean.length === 10 ? `${clean.slice(0, 5)}-${clean.slice(5)}` : null;
+}
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    getOtpAuthUrl,
+    encryptSecret,
+    decryptSecret,
+    generateRecoveryCodes,
+    normalizeRecoveryCode
+};
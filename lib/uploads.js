@@ -0,0 +1,326 @@
+/**
+ * Uploads
+ * Validates uploaded files, stores them through lib/storage and records
+ * them in the uploads table. Rows that show a file (gallery items, ticket
+ * attachments) keep the upload ID, and API responses carry signed URLs -
+ * except gallery images, which are public and get stable, cacheable URLs.
+ * Gallery images also get metadata stripped and variants rendered
+ * (lib/images), listed in uploads.variants.
+ */
+
+const crypto = require('crypto');
+const { supabase } = require('./supabase');
+const { putObject, removeObjects, getSignedUrls, getPublicUrls } = require('./storage');
+const { RESPONSIVE_FORMATS, processImage } = require('./images');
+
+// Size limits per purpose (Vercel rejects request bodies over ~4.5MB)
+// Order artwork (delivery) is kept byte for byte - it's what the customer
+// pays for. Internal purposes are only created server-side.
+const UPLOAD_PURPOSES = {
+    gallery: { maxBytes: 4 * 1024 * 1024, variants: true },
+    ticket_attachment: { maxBytes: 2 * 1024 * 1024, variants: false },
+    delivery: { maxBytes: 4 * 1024 * 1024, variants: false },
+    delivery_preview: { maxBytes: 4 * 1024 * 1024, variants: false, internal: true }
+};
+
+const CONTENT_TYPES = {
+    jpg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    avif: 'image/avif'
+};
+
+// Content type is decided by the file's magic bytes, never by the client
+const FILE_SIGNATURES = [
+    { contentType: 'image/jpeg', ext: 'jpg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { contentType: 'image/png', ext: 'png', matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { contentType: 'image/gif', ext: 'gif', matches: (b) => ['GIF87a', 'GIF89a'].includes(b.subarray(0, 6).toString('latin1')) },
+    { contentType: 'image/webp', ext: 'webp', matches: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' }
+];
+
+/**
+ * @returns {{ contentType: string, ext: string }|null} null if not a supported image
+ */
+function sniffContentType(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+    const match = FILE_SIGNATURES.find(signature => signature.matches(buffer));
+    return match ? { contentType: match.contentType, ext: match.ext } : null;
+}
+
+/**
+ * Content type of a stored object, from its key's extension
+ */
+function getContentTypeForKey(key) {
+    return CONTENT_TYPES[String(key).split('.').pop()] || null;
+}
+
+/**
+ * Decode a base64 data: URL (the format uploads were stored in before)
+ * @returns {Buffer|null}
+ */
+function parseDataUrl(value) {
+    const match = /^data:[^;,]*;base64,(.*)$/s.exec(String(value || ''));
+    return match ? Buffer.from(match[1], 'base64') : null;
+}
+
+/**
+ * Read a raw upload body, up to maxBytes
+ * @returns {Promise<Buffer|null>} null if the body is too large
+ */
+async function readUploadBody(req, maxBytes) {
+    if (Buffer.isBuffer(req.body)) return req.body.length > maxBytes ? null : req.body;
+    if (parseInt(req.headers['content-length']) > maxBytes) return null;
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        // Keep draining so the response can still be sent
+        if (size <= maxBytes) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    }
+
+    return size > maxBytes ? null : Buffer.concat(chunks);
+}
+
+/**
+ * Validate, store and record a file
+ * @param {object} file - { buffer, purpose, originalName, uploadedBy }
+ * @returns {{ upload?: object, error?: { code: string, message: string } }}
+ */
+async function createUpload({ buffer, purpose, originalName = null, uploadedBy = null }) {
+    const limits = UPLOAD_PURPOSES[purpose];
+    if (!limits) {
+        return { error: { code: 'INVALID_PURPOSE', message: `Invalid upload purpose: ${purpose}` } };
+    }
+
+    if (!buffer || !buffer.length) {
+        return { error: { code: 'EMPTY', message: 'File is empty' } };
+    }
+
+    if (buffer.length > limits.maxBytes) {
+        return { error: { code: 'TOO_LARGE', message: `File too large. Max ${Math.floor(limits.maxBytes / 1024 / 1024)}MB allowed.` } };
+    }
+
+    const type = sniffContentType(buffer);
+    if (!type) {
+        return { error: { code: 'UNSUPPORTED_TYPE', message: 'Only JPG, PNG, GIF and WebP images are allowed' } };
+    }
+
+    let file = { buffer, width: null, height: null };
+    let rendered = [];
+
+    if (limits.variants) {
+        try {
+            const processed = await processImage(buffer, type.contentType);
+            file = processed.original;
+            rendered = processed.variants;
+        } catch (error) {
+            return { error: { code: 'INVALID_IMAGE', message: 'Image could not be read' } };
+        }
+    }
+
+    const now = new Date();
+    const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+    const baseKey = `${purpose}/${now.getUTCFullYear()}/${month}/${crypto.randomBytes(16).toString('hex')}`;
+    const storageKey = `${baseKey}.${type.ext}`;
+
+    const variants = rendered.map(v => ({
+        key: `${baseKey}-${v.kind === 'thumbnail' ? 'thumb' : `w${v.width}`}.${v.format}`,
+        kind: v.kind,
+        type: v.contentType,
+        width: v.width,
+        height: v.height,
+        size: v.buffer.length
+    }));
+    const storedKeys = [storageKey, ...variants.map(v => v.key)];
+
+    try {
+        await putObject(storageKey, file.buffer, type.contentType);
+        for (let i = 0; i < variants.length; i++) {
+            await putObject(variants[i].key, rendered[i].buffer, variants[i].type);
+        }
+    } catch (error) {
+        await removeObjects(storedKeys).catch(() => {});
+        throw error;
+    }
+
+    const { data: upload, error } = await supabase
+        .from('uploads')
+        .insert({
+            storage_key: storageKey,
+            purpose,
+            content_type: type.contentType,
+            size_bytes: file.buffer.length,
+            width: file.width,
+            height: file.height,
+            variants,
+            original_name: originalName ? String(originalName).slice(0, 255) : null,
+            uploaded_by: uploadedBy
+        })
+        .select('id, purpose, content_type, size_bytes, width, height, original_name, created_at')
+        .single();
+
+    if (error) {
+        console.error('Record upload error:', error);
+        await removeObjects(storedKeys).catch(() => {});
+        return { error: { code: 'STORE_FAILED', message: 'Failed to save upload' } };
+    }
+
+    return { upload };
+}
+
+/**
+ * Uploads by ID, optionally only those matching purpose / uploader
+ * @returns {Promise<Array>}
+ */
+async function getUploads(ids, { purpose = null, uploadedBy = null } = {}) {
+    const unique = [...new Set(ids.filter(Boolean))];
+    if (!unique.length) return [];
+
+    let query = supabase
+        .from('uploads')
+        .select('id, storage_key, purpose, content_type, size_bytes, width, height, variants, original_name, uploaded_by')
+        .in('id', unique);
+
+    if (purpose) query = query.eq('purpose', purpose);
+    if (uploadedBy) query = query.eq('uploaded_by', uploadedBy);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Signed URLs for uploads
+ * @returns {Promise<object>} { [uploadId]: url }
+ */
+async function getUploadUrls(ids) {
+    const uploads = await getUploads(ids);
+    const urls = await getSignedUrls(uploads.map(u => u.storage_key));
+
+    const byId = {};
+    for (const upload of uploads) {
+        if (urls[upload.storage_key]) byId[upload.id] = urls[upload.storage_key];
+    }
+    return byId;
+}
+
+/**
+ * Remove uploads from storage and the database
+ */
+async function deleteUploads(ids) {
+    const uploads = await getUploads(ids);
+    if (!uploads.length) return;
+
+    await removeObjects(uploads.flatMap(u => [u.storage_key, ...(u.variants || []).map(v => v.key)]));
+
+    const { error } = await supabase
+        .from('uploads')
+        .delete()
+        .in('id', uploads.map(u => u.id));
+
+    if (error) throw error;
+}
+
+/**
+ * Turn { upload_id, name } attachments from a message into what we store
+ * Only the sender's own ticket_attachment uploads may be attached
+ * @returns {Promise<Array|null>} null if any upload is unknown or not theirs
+ */
+async function resolveAttachments(attachments, userId) {
+    if (!attachments.length) return [];
+
+    const uploads = await getUploads(attachments.map(a => a.upload_id), { purpose: 'ticket_attachment', uploadedBy: userId });
+    const byId = new Map(uploads.map(u => [u.id, u]));
+
+    if (attachments.some(a => !byId.has(a.upload_id))) return null;
+
+    return attachments.map(a => {
+        const upload = byId.get(a.upload_id);
+        return {
+            upload_id: upload.id,
+            name: a.name || upload.original_name || null,
+            type: upload.content_type,
+            size: upload.size_bytes
+        };
+    });
+}
+
+/**
+ * URLs for an image upload and its variants
+ * sources is ready for <picture>: [{ type, srcset: 'url 320w, url 640w' }]
+ */
+function describeImage(upload, urls) {
+    const variants = upload.variants || [];
+    const thumbnail = variants.find(v => v.kind === 'thumbnail');
+
+    const sources = RESPONSIVE_FORMATS
+        .map(({ contentType }) => ({
+            type: contentType,
+            srcset: variants
+                .filter(v => v.kind === 'responsive' && v.type === contentType && urls[v.key])
+                .sort((a, b) => a.width - b.width)
+                .map(v => `${urls[v.key]} ${v.width}w`)
+                .join(', ')
+        }))
+        .filter(source => source.srcset);
+
+    return {
+        image_url: urls[upload.storage_key] || null,
+        thumbnail_url: (thumbnail && urls[thumbnail.key]) || null,
+        width: upload.width,
+        height: upload.height,
+        sources
+    };
+}
+
+/**
+ * Fill in image_url, thumbnail_url and srcset sources for gallery items
+ * stored as uploads
+ */
+async function withGalleryUrls(items) {
+    const uploads = await getUploads((items || []).map(item => item.image_upload_id), { purpose: 'gallery' });
+    const urls = await getPublicUrls(uploads.flatMap(u => [u.storage_key, ...(u.variants || []).map(v => v.key)]));
+    const images = new Map(uploads.map(u => [u.id, describeImage(u, urls)]));
+
+    return (items || []).map(item => {
+        if (!item.image_upload_id) return { ...item, sources: [] };
+        return {
+            ...item,
+            ...(images.get(item.image_upload_id) || { image_url: null, thumbnail_url: null, sources: [] })
+        };
+    });
+}
+
+/**
+ * Add a signed url to each ticket message attachment
+ */
+async function withAttachmentUrls(messages) {
+    const ids = (messages || []).flatMap(m => (m.attachments || []).map(a => a.upload_id));
+    const urls = await getUploadUrls(ids);
+
+    return (messages || []).map(message => (
+        message.attachments?.length ? {
+            ...message,
+            attachments: message.attachments.map(a => (
+                a.upload_id ? { ...a, url: urls[a.upload_id] || null } : a
+            ))
+        } : message
+    ));
+}
+
+module.exports = {
+    UPLOAD_PURPOSES,
+    sniffContentType,
+    getContentTypeForKey,
+    parseDataUrl,
+    readUploadBody,
+    createUpload,
+    getUploads,
+    getUploadUrls,
+    deleteUploads,
+    resolveAttachments,
+    withGalleryUrls,
+    withAttachmentUrls
+};
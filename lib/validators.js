@@ -5,6 +5,17 @@
 
 const Joi = require('joi');
 
+// Password rules (registration and password reset)
+const passwordSchema = Joi.string()
+    .min(8)
+    .max(128)
+    .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .required()
+    .messages({
+        'string.min': 'Password must be at least 8 characters',
+        'string.pattern.base': 'Password must contain uppercase, lowercase, and a number'
+    });
+
 // User registration schema
 const registerSchema = Joi.object({
     name: Joi.string()
@@ -16,15 +27,7 @@ const registerSchema = Joi.object({
         .max(255)
         .required()
         .lowercase(),
-    password: Joi.string()
-        .min(8)
-        .max(128)
-        .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-        .required()
-        .messages({
-            'string.min': 'Password must be at least 8 characters',
-            'string.pattern.base': 'Password must contain uppercase, lowercase, and a number'
-        }),
+    password: passwordSchema,
     phone: Joi.string()
         .allow('')
         .optional()
@@ -40,40 +43,135 @@ const loginSchema = Joi.object({
         .required()
 });
 
-// Order creation schema
-const orderSchema = Joi.object({
-    name: Joi.string()
-        .min(2)
-        .max(100)
-        .pattern(/^[a-zA-Z\s'-]+$/)
-        .required()
-        .messages({
-            'string.pattern.base': 'Name contains invalid characters'
-        }),
+// Forgot password schema
+const forgotPasswordSchema = Joi.object({
     email: Joi.string()
         .email()
         .max(255)
         .required()
-        .lowercase(),
-    phone: Joi.string()
-        .pattern(/^[\d\s+()-]{7,20}$/)
-        .allow('')
-        .optional(),
-    service: Joi.string()
-        .valid('charcoal', 'anime', 'couple', 'custom')
-        .required(),
-    size: Joi.string()
-        .valid('a4', 'a3')
+        .lowercase()
+});
+
+// Emailed single-use token (generateRandomToken() - 64 hex chars)
+const emailTokenSchema = Joi.string()
+    .hex()
+    .length(64)
+    .required()
+    .messages({ 'string.hex': 'Invalid or expired link', 'string.length': 'Invalid or expired link' });
+
+// Reset password schema
+const resetPasswordSchema = Joi.object({
+    token: emailTokenSchema,
+    password: passwordSchema
+});
+
+// Change password schema
+const changePasswordSchema = Joi.object({
+    current_password: Joi.string()
         .required(),
-    addons: Joi.string()
-        .valid('none', 'framing', 'express', 'both')
-        .default('none'),
-    message: Joi.string()
-        .min(10)
+    new_password: passwordSchema
+});
+
+// Authenticator app code
+const totpCodeSchema = Joi.string()
+    .pattern(/^\d{6}$/)
+    .messages({ 'string.pattern.base': 'Enter the 6-digit code from your authenticator app' });
+
+// Second login step: TOTP code or a recovery code
+const loginTwoFactorSchema = Joi.object({
+    challenge_token: Joi.string()
         .max(1000)
-        .required()
+        .required(),
+    code: totpCodeSchema,
+    recovery_code: Joi.string()
+        .max(20)
+}).xor('code', 'recovery_code');
+
+// Enable 2FA / regenerate recovery codes
+const twoFactorCodeSchema = Joi.object({
+    code: totpCodeSchema.required()
+});
+
+// Disable 2FA
+const disableTwoFactorSchema = Joi.object({
+    password: Joi.string()
+        .required(),
+    code: totpCodeSchema,
+    recovery_code: Joi.string()
+        .max(20)
+}).xor('code', 'recovery_code');
+
+// Verify email schema
+const verifyEmailSchema = Joi.object({
+    token: emailTokenSchema
 });
 
+// Pricing modifier inputs: integer quantity or tier key per modifier
+function buildModifiersSchema(modifiers = {}) {
+    const keys = {};
+    for (const [key, modifier] of Object.entries(modifiers)) {
+        keys[key] = modifier.type === 'quantity'
+            ? Joi.number().integer().min(0).max(modifier.max_quantity)
+            : Joi.string().valid(...Object.keys(modifier.tiers));
+    }
+    return Joi.object(keys).default({});
+}
+
+// Order creation schema
+// service/size/addons/modifier keys come from live pricing data (see getPricing())
+function buildOrderSchema(pricing) {
+    return Joi.object({
+        name: Joi.string()
+            .min(2)
+            .max(100)
+            .pattern(/^[a-zA-Z\s'-]+$/)
+            .required()
+            .messages({
+                'string.pattern.base': 'Name contains invalid characters'
+            }),
+        email: Joi.string()
+            .email()
+            .max(255)
+            .required()
+            .lowercase(),
+        phone: Joi.string()
+            .pattern(/^[\d\s+()-]{7,20}$/)
+            .allow('')
+            .optional(),
+        service: Joi.string()
+            .valid(...Object.keys(pricing.services))
+            .required(),
+        size: Joi.string()
+            .valid(...Object.keys(pricing.sizes))
+            .required(),
+        addons: Joi.array()
+            .items(Joi.string().valid(...Object.keys(pricing.addons)))
+            .single()
+            .unique()
+            .max(Object.keys(pricing.addons).length)
+            .default([]),
+        modifiers: buildModifiersSchema(pricing.modifiers),
+        currency: Joi.string()
+            .uppercase()
+            .valid(...Object.keys(pricing.currencies))
+            .default('INR'),
+        coupon_code: Joi.string()
+            .trim()
+            .uppercase()
+            .pattern(/^[A-Z0-9_-]+$/)
+            .max(50)
+            .allow('')
+            .optional()
+            .messages({
+                'string.pattern.base': 'Invalid coupon code'
+            }),
+        message: Joi.string()
+            .min(10)
+            .max(1000)
+            .required()
+    });
+}
+
 // Ticket creation schema
 const ticketSchema = Joi.object({
     order_id: Joi.string()
@@ -100,9 +198,8 @@ const messageSchema = Joi.object({
         .required(),
     attachments: Joi.array()
         .items(Joi.object({
-            name: Joi.string().max(255).optional(),
-            type: Joi.string().max(100).optional(),
-            url: Joi.string().max(500000).required() // Allow base64 images
+            upload_id: Joi.string().guid().required(), // From POST /api/uploads
+            name: Joi.string().max(255).optional()
         }))
         .max(5)
         .optional()
@@ -111,9 +208,9 @@ const messageSchema = Joi.object({
 
 // Gallery item schema
 const gallerySchema = Joi.object({
-    image: Joi.string()
-        .max(5000000)  // Allow base64 images up to ~5MB
-        .required(),
+    upload_id: Joi.string()
+        .guid()
+        .required(),  // From POST /api/uploads?purpose=gallery
     title: Joi.string()
         .min(2)
         .max(100)
@@ -126,6 +223,173 @@ const gallerySchema = Joi.object({
         .required()
 });
 
+// Refund schema (amount in rupees, omit for full refund)
+const refundSchema = Joi.object({
+    amount: Joi.number()
+        .integer()
+        .min(1)
+        .optional(),
+    payment_type: Joi.string()
+        .valid('advance', 'balance')
+        .default('advance'),
+    reason: Joi.string()
+        .min(3)
+        .max(500)
+        .required()
+});
+
+// Order delivery schema (artwork shared with the customer)
+const deliverySchema = Joi.object({
+    upload_id: Joi.string()
+        .guid()
+        .required(),  // From POST /api/uploads?purpose=delivery
+    kind: Joi.string()
+        .valid('wip', 'final')
+        .required(),
+    note: Joi.string()
+        .max(1000)
+        .allow('')
+        .optional()
+});
+
+// Revision request schema (customer, completed orders)
+const revisionSchema = Joi.object({
+    notes: Joi.string()
+        .min(10)
+        .max(2000)
+        .required(),
+    reference_images: Joi.array()
+        .items(Joi.object({
+            upload_id: Joi.string().guid().required(), // From POST /api/uploads?purpose=ticket_attachment
+            name: Joi.string().max(255).optional()
+        }))
+        .max(5)
+        .optional()
+        .default([]),
+    accept_charge: Joi.boolean()
+        .optional()
+        .default(false)  // Required once the included revisions are used up
+});
+
+// Pricing item schema (admin create/update of services, sizes, add-ons)
+const pricingSchema = Joi.object({
+    type: Joi.string()
+        .valid('service', 'size', 'addon')
+        .required(),
+    key: Joi.string()
+        .pattern(/^[a-z0-9_]+$/)
+        .max(20)
+        .required()
+        .messages({
+            'string.pattern.base': 'Key may only contain lowercase letters, numbers and underscores'
+        }),
+    name: Joi.string()
+        .min(2)
+        .max(100)
+        .optional(),
+    price: Joi.number()
+        .integer()
+        .min(0)
+        .max(1000000)
+        .optional(),
+    is_active: Joi.boolean()
+        .optional(),
+    // Services only: revisions included in the price, and the price of each extra one
+    included_revisions: Joi.number()
+        .integer()
+        .min(0)
+        .max(20)
+        .when('type', { is: 'service', otherwise: Joi.forbidden() }),
+    extra_revision_price: Joi.number()
+        .integer()
+        .min(0)
+        .max(1000000)
+        .when('type', { is: 'service', otherwise: Joi.forbidden() })
+});
+
+// Currency schema (admin conversion rates)
+const currencySchema = Joi.object({
+    code: Joi.string()
+        .uppercase()
+        .length(3)
+        .pattern(/^[A-Z]{3}$/)
+        .required(),
+    currency_name: Joi.string()
+        .min(2)
+        .max(50)
+        .optional(),
+    locale: Joi.string()
+        .pattern(/^[a-z]{2}(-[A-Z]{2})?$/)
+        .optional(),
+    rate_to_inr: Joi.number()
+        .positive()
+        .max(100000)
+        .precision(4)
+        .optional(),
+    is_active: Joi.boolean()
+        .optional()
+});
+
+// Coupon schema (admin create/update of discount codes)
+const couponSchema = Joi.object({
+    code: Joi.string()
+        .trim()
+        .uppercase()
+        .pattern(/^[A-Z0-9_-]+$/)
+        .min(3)
+        .max(50)
+        .required()
+        .messages({
+            'string.pattern.base': 'Code may only contain letters, numbers, dashes and underscores'
+        }),
+    description: Joi.string()
+        .max(255)
+        .allow('')
+        .optional(),
+    discount_type: Joi.string()
+        .valid('percent', 'flat')
+        .optional(),
+    discount_value: Joi.number()
+        .integer()
+        .min(1)
+        .max(1000000)
+        .when('discount_type', { is: 'percent', then: Joi.number().max(100) })
+        .optional(),
+    max_discount: Joi.number()
+        .integer()
+        .min(1)
+        .allow(null)
+        .optional(),
+    min_order_total: Joi.number()
+        .integer()
+        .min(0)
+        .optional(),
+    services: Joi.array()
+        .items(Joi.string().pattern(/^[a-z0-9_]+$/).max(20))
+        .unique()
+        .optional(),
+    valid_from: Joi.date()
+        .iso()
+        .allow(null)
+        .optional(),
+    expires_at: Joi.date()
+        .iso()
+        .allow(null)
+        .optional(),
+    max_uses: Joi.number()
+        .integer()
+        .min(1)
+        .allow(null)
+        .optional(),
+    per_user_limit: Joi.number()
+        .integer()
+        .min(1)
+        .allow(null)
+        .optional(),
+    is_active: Joi.boolean()
+        .optional()
+});
+
 /**
  * Validate data against schema
  */
@@ -171,9 +435,22 @@ function sanitizeString(str) {
 module.exports = {
     validateRegister: (data) => validate(registerSchema, data),
     validateLogin: (data) => validate(loginSchema, data),
-    validateOrder: (data) => validate(orderSchema, data),
+    validateForgotPassword: (data) => validate(forgotPasswordSchema, data),
+    validateResetPassword: (data) => validate(resetPasswordSchema, data),
+    validateVerifyEmail: (data) => validate(verifyEmailSchema, data),
+    validateChangePassword: (data) => validate(changePasswordSchema, data),
+    validateLoginTwoFactor: (data) => validate(loginTwoFactorSchema, data),
+    validateTwoFactorCode: (data) => validate(twoFactorCodeSchema, data),
+    validateDisableTwoFactor: (data) => validate(disableTwoFactorSchema, data),
+    validateOrder: (data, pricing) => validate(buildOrderSchema(pricing), data),
     validateTicket: (data) => validate(ticketSchema, data),
     validateMessage: (data) => validate(messageSchema, data),
     validateGallery: (data) => validate(gallerySchema, data),
+    validateRefund: (data) => validate(refundSchema, data),
+    validateDelivery: (data) => validate(deliverySchema, data),
+    validateRevision: (data) => validate(revisionSchema, data),
+    validatePricing: (data) => validate(pricingSchema, data),
+    validateCoupon: (data) => validate(couponSchema, data),
+    validateCurrency: (data) => validate(currencySchema, data),
     sanitizeString
 };
@@ -0,0 +1,374 @@
+/**
+ * Razorpay Webhook Processing
+ * Signature checks, event deduplication and replay
+ *
+ * Every delivery is stored in webhook_events keyed by Razorpay's event ID,
+ * so retries of a processed event are no-ops and failed events can be
+ * replayed by an admin from the stored payload.
+ */
+
+const crypto = require('crypto');
+const { supabase } = require('./supabase');
+const { logActivity } = require('./logger');
+const { finalizePayment } = require('./payments');
+const { applyRefundEvent } = require('./refunds');
+const { fromMinorUnits } = require('./pricing');
+const { getRevisionByRazorpayOrderId, finalizeRevisionPayment } = require('./revisions');
+
+// A claim older than this is treated as a crashed run and can be taken over
+const STALE_PROCESSING_MINUTES = 10;
+
+/**
+ * Read the raw request body (signatures are computed over the exact bytes)
+ *
+ * Never touches req.body. On Vercel the @vercel/node helpers read the
+ * stream before the handler runs (so it reports readableEnded) and replace
+ * req.read with one that returns a copy of the body - iterating an ended
+ * stream yields nothing, so that copy is read directly. The local dev
+ * server sets req.rawBody because it reads the stream itself.
+ *
+ * @returns {Promise<Buffer|null>} null if no body could be read
+ */
+async function getRawBody(req) {
+    if (req.rawBody !== undefined) return Buffer.from(req.rawBody);
+
+    if (req.readableEnded) {
+        const body = typeof req.read === 'function' ? req.read() : null;
+        return body ? Buffer.from(body) : null;
+    }
+
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    }
+    return chunks.length ? Buffer.concat(chunks) : null;
+}
+
+/**
+ * Verify X-Razorpay-Signature (HMAC-SHA256 of the raw body) in constant time
+ */
+function verifySignature(rawBody, signature, secret) {
+    if (!rawBody || !signature || !secret) return false;
+
+    const expected = Buffer.from(
+        crypto.createHmac('sha256', secret).update(rawBody).digest('hex')
+    );
+    const received = Buffer.from(String(signature));
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Store a delivery, or return the existing record if we've seen the event before
+ * @returns {{ event: object, duplicate: boolean }}
+ */
+async function recordWebhookEvent(eventId, body) {
+    const { data: inserted, error } = await supabase
+        .from('webhook_events')
+        .insert({
+            event_id: eventId,
+            event_type: body.event || 'unknown',
+            payload: body,
+            status: 'received'
+        })
+        .select()
+        .single();
+
+    if (!error) return { event: inserted, duplicate: false };
+
+    // Unique violation - Razorpay retry of an event we already have
+    if (error.code !== '23505') throw error;
+
+    const { data: existing, error: fetchError } = await supabase
+        .from('webhook_events')
+        .select('*')
+        .eq('event_id', eventId)
+        .single();
+
+    if (fetchError) throw fetchError;
+
+    return { event: existing, duplicate: true };
+}
+
+function staleProcessingCutoff() {
+    return new Date(Date.now() - STALE_PROCESSING_MINUTES * 60000).toISOString();
+}
+
+/**
+ * Whether an event can be (re)processed: never finished, failed, or stuck
+ * in processing after the run that claimed it died
+ */
+function isReplayable(event) {
+    if (event.status === 'received' || event.status === 'failed') return true;
+    return event.status === 'processing' && (event.updated_at || '') < staleProcessingCutoff();
+}
+
+/**
+ * Process a stored event (first delivery, retry or admin replay)
+ *
+ * The event is claimed with a conditional update so two deliveries of
+ * the same event can't be processed at the same time. A processing claim
+ * older than STALE_PROCESSING_MINUTES is taken over.
+ *
+ * @returns {{ status: string, error?: string }} status is the event's status afterwards
+ */
+async function processWebhookEvent(event) {
+    if (event.status === 'processed' || event.status === 'ignored') {
+        return { status: event.status };
+    }
+
+    const { data: claimed } = await supabase
+        .from('webhook_events')
+        .update({
+            status: 'processing',
+            attempts: (event.attempts || 0) + 1,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', event.id)
+        .or(`status.in.(received,failed),and(status.eq.processing,updated_at.lt.${staleProcessingCutoff()})`)
+        .select()
+        .maybeSingle();
+
+    // Already processing (or done) in another request
+    if (!claimed) return { status: 'processing' };
+
+    let status;
+    let lastError = null;
+
+    try {
+        const handled = await dispatchEvent(event.event_type, event.payload?.payload || {});
+        status = handled ? 'processed' : 'ignored';
+    } catch (error) {
+        console.error(`Webhook ${event.event_id} (${event.event_type}) failed:`, error);
+        status = 'failed';
+        lastError = String(error.message || error).substring(0, 1000);
+    }
+
+    await supabase
+        .from('webhook_events')
+        .update({
+            status,
+            last_error: lastError,
+            processed_at: status === 'failed' ? null : new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', event.id);
+
+    return lastError ? { status, error: lastError } : { status };
+}
+
+/**
+ * Route an event to its handler
+ * @returns {boolean} false if the event type isn't handled or isn't for one of our orders
+ */
+async function dispatchEvent(eventType, payload) {
+    switch (eventType) {
+        case 'payment.captured':
+            return handlePaymentCaptured(payload);
+
+        case 'payment.failed':
+            await handlePaymentFailed(payload);
+            return true;
+
+        case 'order.paid':
+            return handleOrderPaid(payload);
+
+        case 'refund.processed':
+            await handleRefundEvent(payload, 'processed');
+            return true;
+
+        case 'refund.failed':
+            await handleRefundEvent(payload, 'failed');
+            return true;
+
+        default:
+            console.log(`Unhandled webhook event: ${eventType}`);
+            return false;
+    }
+}
+
+/**
+ * Find our order for a Razorpay order ID
+ * Checks the advance order ID first, then the balance order ID
+ */
+async function findOrderByRazorpayOrderId(razorpayOrderId) {
+    const { data: order } = await supabase
+        .from('orders')
+        .select('*')
+        .eq('razorpay_order_id', razorpayOrderId)
+        .maybeSingle();
+
+    if (order) return { order, isBalance: false };
+
+    const { data: balanceOrder } = await supabase
+        .from('orders')
+        .select('*')
+        .eq('balance_razorpay_order_id', razorpayOrderId)
+        .maybeSingle();
+
+    if (balanceOrder) return { order: balanceOrder, isBalance: true };
+
+    return { order: null, isBalance: false };
+}
+
+/**
+ * Finalise an advance or balance payment reported by a webhook
+ * Throws if the database update fails so the event can be replayed
+ * @returns {boolean} true if this event marked the order paid
+ */
+async function markOrderPaid(order, isBalance, razorpayOrderId, razorpayPaymentId, reason) {
+    const result = await finalizePayment(order, {
+        paymentType: isBalance ? 'balance' : 'advance',
+        razorpayOrderId,
+        razorpayPaymentId,
+        source: 'webhook',
+        reason
+    });
+
+    if (result.error) {
+        if (result.error.code === 'UPDATE_FAILED') {
+            throw new Error(`Could not mark ${order.order_number} paid: ${result.error.message}`);
+        }
+        console.error(`Webhook: Could not mark ${order.order_number} paid: ${result.error.message}`);
+        return false;
+    }
+
+    if (result.alreadyPaid) {
+        console.log(`Webhook: Order ${order.order_number} already verified`);
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Finalise an extra revision paid on its own Razorpay order
+ * @returns {boolean} false if the Razorpay order isn't for a revision
+ */
+async function markRevisionPaid(razorpayOrderId, razorpayPaymentId) {
+    const revision = await getRevisionByRazorpayOrderId(razorpayOrderId);
+    if (!revision) return false;
+
+    const result = await finalizeRevisionPayment(revision, { razorpayPaymentId, source: 'webhook' });
+
+    if (result.error?.code === 'UPDATE_FAILED') {
+        throw new Error(`Could not mark revision ${revision.id} paid: ${result.error.message}`);
+    }
+
+    if (result.alreadyPaid) {
+        console.log(`Webhook: Revision ${revision.id} already verified`);
+    } else if (!result.error) {
+        console.log(`Webhook: Revision payment captured for ${revision.id}`);
+    }
+
+    return true;
+}
+
+/**
+ * Handle payment.captured event
+ * @returns {boolean} false if the payment isn't for an order this site created
+ */
+async function handlePaymentCaptured(payload) {
+    const payment = payload.payment?.entity;
+    if (!payment) return false;
+
+    const razorpayOrderId = payment.order_id;
+    const razorpayPaymentId = payment.id;
+
+    // Find order
+    const { order, isBalance } = await findOrderByRazorpayOrderId(razorpayOrderId);
+
+    if (!order) {
+        if (await markRevisionPaid(razorpayOrderId, razorpayPaymentId)) return true;
+
+        // Payment on the same Razorpay account from somewhere else - retrying won't help
+        console.log(`Webhook: Ignoring payment for unknown Razorpay order ${razorpayOrderId}`);
+        return false;
+    }
+
+    // Update order as paid (creates ticket / logs if we got there first)
+    const updated = await markOrderPaid(order, isBalance, razorpayOrderId, razorpayPaymentId, 'Payment captured (webhook)');
+    if (updated) {
+        console.log(`Webhook: ${isBalance ? 'Balance' : 'Payment'} captured for order ${order.order_number}`);
+    }
+
+    return true;
+}
+
+/**
+ * Handle payment.failed event
+ */
+async function handlePaymentFailed(payload) {
+    const payment = payload.payment?.entity;
+    if (!payment) return;
+
+    const razorpayOrderId = payment.order_id;
+
+    // Find order
+    const { order, isBalance } = await findOrderByRazorpayOrderId(razorpayOrderId);
+
+    if (!order) return;
+
+    await logActivity(order.user_id, 'PAYMENT_FAILED_WEBHOOK', 'order', order.id, {
+        error_code: payment.error_code,
+        error_description: payment.error_description,
+        payment_type: isBalance ? 'balance' : 'advance'
+    });
+
+    console.log(`Webhook: Payment failed for order ${order.order_number}`);
+}
+
+/**
+ * Handle order.paid event
+ * @returns {boolean} false if the Razorpay order wasn't created by this site
+ */
+async function handleOrderPaid(payload) {
+    const orderEntity = payload.order?.entity;
+    if (!orderEntity) return false;
+
+    // This is a backup verification method
+    const { order, isBalance } = await findOrderByRazorpayOrderId(orderEntity.id);
+    if (!order) {
+        if (await markRevisionPaid(orderEntity.id, payload.payment?.entity?.id)) return true;
+
+        console.log(`Webhook: Ignoring unknown Razorpay order ${orderEntity.id}`);
+        return false;
+    }
+
+    const updated = await markOrderPaid(order, isBalance, orderEntity.id, payload.payment?.entity?.id, 'Order paid (webhook)');
+    if (updated) {
+        console.log(`Webhook: Order paid for ${order.order_number}`);
+    }
+
+    return true;
+}
+
+/**
+ * Handle refund.processed / refund.failed events
+ */
+async function handleRefundEvent(payload, status) {
+    const refundEntity = payload.refund?.entity;
+    if (!refundEntity) return;
+
+    const refund = await applyRefundEvent(refundEntity, status);
+
+    if (!refund) {
+        throw new Error(`Order not found for refund ${refundEntity.id}`);
+    }
+
+    await logActivity(null, status === 'processed' ? 'REFUND_PROCESSED_WEBHOOK' : 'REFUND_FAILED_WEBHOOK', 'order', refund.order_id, {
+        razorpay_refund_id: refundEntity.id,
+        razorpay_payment_id: refundEntity.payment_id,
+        amount: fromMinorUnits(refundEntity.amount, refundEntity.currency)
+    });
+
+    console.log(`Webhook: Refund ${refundEntity.id} ${status}`);
+}
+
+module.exports = {
+    getRawBody,
+    verifySignature,
+    recordWebhookEvent,
+    isReplayable,
+    processWebhookEvent
+};
@@ -0,0 +1,223 @@
+/**
+ * Move base64 images stored in the database into object storage, render
+ * thumbnails / srcset variants for gallery images that have none, and move
+ * gallery files into the public bucket
+ * Run after add-uploads.sql, add-upload-variants.sql and
+ * add-public-uploads-bucket.sql: node migrate-uploads.js
+ * (Safe to re-run - rows that were already moved are skipped)
+ */
+
+require('dotenv').config();
+const { supabase } = require('./lib/supabase');
+const { getObject, publishObject } = require('./lib/storage');
+const { parseDataUrl, createUpload, getUploads, deleteUploads } = require('./lib/uploads');
+
+// Rows carry megabytes of base64 each, so fetch only a few at a time
+const PAGE_SIZE = 10;
+
+async function migrateGallery() {
+    const { data: rows, error } = await supabase
+        .from('gallery')
+        .select('id')
+        .is('image_upload_id', null)
+        .like('image_url', 'data:%');
+
+    if (error) throw error;
+
+    let moved = 0;
+    let failed = 0;
+
+    for (const { id } of rows) {
+        const { data: item } = await supabase
+            .from('gallery')
+            .select('id, title, image_url, uploaded_by')
+            .eq('id', id)
+            .single();
+
+        const { upload, error: uploadError } = await createUpload({
+            buffer: parseDataUrl(item.image_url),
+            purpose: 'gallery',
+            originalName: item.title,
+            uploadedBy: item.uploaded_by
+        });
+
+        if (uploadError) {
+            console.error(`❌ Gallery ${id}: ${uploadError.message}`);
+            failed++;
+            continue;
+        }
+
+        const { error: updateError } = await supabase
+            .from('gallery')
+            .update({ image_upload_id: upload.id, image_url: null })
+            .eq('id', id);
+
+        if (updateError) throw updateError;
+        moved++;
+    }
+
+    return { moved, failed };
+}
+
+/**
+ * Re-upload gallery images stored before variants existed - the new
+ * upload is stripped and rendered like any other, then replaces the old one
+ */
+async function migrateGalleryVariants() {
+    const { data: rows, error } = await supabase
+        .from('gallery')
+        .select('id, image_upload_id')
+        .not('image_upload_id', 'is', null);
+
+    if (error) throw error;
+
+    const uploads = await getUploads(rows.map(r => r.image_upload_id));
+    const pending = new Map(uploads.filter(u => !u.variants?.length).map(u => [u.id, u]));
+
+    let rendered = 0;
+    let failed = 0;
+
+    for (const row of rows) {
+        const old = pending.get(row.image_upload_id);
+        if (!old) continue;
+
+        const buffer = await getObject(old.storage_key);
+        const { upload, error: uploadError } = buffer
+            ? await createUpload({ buffer, purpose: 'gallery', originalName: old.original_name, uploadedBy: old.uploaded_by })
+            : { error: { message: 'File missing from storage' } };
+
+        if (uploadError) {
+            console.error(`❌ Gallery ${row.id}: ${uploadError.message}`);
+            failed++;
+            continue;
+        }
+
+        const { error: updateError } = await supabase
+            .from('gallery')
+            .update({ image_upload_id: upload.id })
+            .eq('id', row.id);
+
+        if (updateError) throw updateError;
+
+        await deleteUploads([old.id]);
+        rendered++;
+    }
+
+    return { rendered, failed };
+}
+
+/**
+ * Gallery files stored before they had a public bucket are still in the
+ * private one - move them so their public URLs resolve
+ */
+async function publishGalleryFiles() {
+    const { data: uploads, error } = await supabase
+        .from('uploads')
+        .select('id, storage_key, content_type, variants')
+        .eq('purpose', 'gallery');
+
+    if (error) throw error;
+
+    let published = 0;
+    let failed = 0;
+
+    for (const upload of uploads) {
+        const files = [
+            { key: upload.storage_key, type: upload.content_type },
+            ...(upload.variants || []).map(v => ({ key: v.key, type: v.type }))
+        ];
+
+        for (const file of files) {
+            try {
+                if (await publishObject(file.key, file.type)) published++;
+            } catch (publishError) {
+                console.error(`❌ Upload ${upload.id} (${file.key}): ${publishError.message}`);
+                failed++;
+            }
+        }
+    }
+
+    return { published, failed };
+}
+
+async function migrateAttachments() {
+    let moved = 0;
+    let failed = 0;
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const { data: messages, error } = await supabase
+            .from('ticket_messages')
+            .select('id, author_id, attachments')
+            .not('attachments', 'is', null)
+            .order('id', { ascending: true })
+            .range(offset, offset + PAGE_SIZE - 1);
+
+        if (error) throw error;
+        if (!messages.length) break;
+
+        for (const message of messages) {
+            const attachments = Array.isArray(message.attachments) ? message.attachments : [];
+            if (!attachments.some(a => String(a?.url || '').startsWith('data:'))) continue;
+
+            const converted = [];
+            for (const attachment of attachments) {
+                if (!String(attachment?.url || '').startsWith('data:')) {
+                    converted.push(attachment);
+                    continue;
+                }
+
+                const { upload, error: uploadError } = await createUpload({
+                    buffer: parseDataUrl(attachment.url),
+                    purpose: 'ticket_attachment',
+                    originalName: attachment.name,
+                    uploadedBy: message.author_id
+                });
+
+                if (uploadError) {
+                    // Keep it as it was so a later run can retry
+                    console.error(`❌ Message ${message.id} (${attachment.name || 'attachment'}): ${uploadError.message}`);
+                    converted.push(attachment);
+                    failed++;
+                    continue;
+                }
+
+                converted.push({
+                    upload_id: upload.id,
+                    name: attachment.name || null,
+                    type: upload.content_type,
+                    size: upload.size_bytes
+                });
+                moved++;
+            }
+
+            const { error: updateError } = await supabase
+                .from('ticket_messages')
+                .update({ attachments: converted })
+                .eq('id', message.id);
+
+            if (updateError) throw updateError;
+        }
+    }
+
+    return { moved, failed };
+}
+
+async function run() {
+    const gallery = await migrateGallery();
+    console.log(`✅ Gallery images moved: ${gallery.moved} (${gallery.failed} failed)`);
+
+    // Before variants - those re-read the original from where it is public
+    const published = await publishGalleryFiles();
+    console.log(`✅ Gallery files moved to the public bucket: ${published.published} (${published.failed} failed)`);
+
+    const variants = await migrateGalleryVariants();
+    console.log(`✅ Gallery images given variants: ${variants.rendered} (${variants.failed} failed)`);
+
+    const attachments = await migrateAttachments();
+    console.log(`✅ Ticket attachments moved: ${attachments.moved} (${attachments.failed} failed)`);
+}
+
+run().catch(error => {
+    console.error('Error:', error.message);
+    process.exit(1);
+});
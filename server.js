@@ -34,8 +34,10 @@ const apiRoutes = {
     'POST /api/auth/refresh': require('./api/auth/refresh'),
     'GET /api/orders': require('./api/orders/index'),
     'POST /api/orders': require('./api/orders/index'),
+    'POST /api/orders/track': require('./api/orders/track'),
     'GET /api/tickets': require('./api/tickets/index'),
     'POST /api/tickets': require('./api/tickets/index'),
+    'GET /api/pricing': require('./api/pricing/index'),
     'GET /api/gallery': require('./api/gallery/index'),
     'POST /api/gallery': require('./api/gallery/index'),
     'GET /api/admin/users': require('./api/admin/users'),
@@ -44,12 +46,15 @@ const apiRoutes = {
     'POST /api/payment/create-order': require('./api/payment/create-order'),
     'POST /api/payment/verify': require('./api/payment/verify'),
     'POST /api/payment/webhook': require('./api/payment/webhook'),
+    'GET /api/cron/checkout-recovery': require('./api/cron/checkout-recovery'),
+    'GET /api/cron/email-outbox': require('./api/cron/email-outbox'),
 };
 
 // Dynamic route handlers
 const dynamicRoutes = [
     { pattern: /^GET \/api\/orders\/([^\/]+)$/, handler: require('./api/orders/[id]') },
     { pattern: /^PATCH \/api\/orders\/([^\/]+)$/, handler: require('./api/orders/[id]') },
+    { pattern: /^POST \/api\/orders\/([^\/]+)$/, handler: require('./api/orders/[id]') },
     { pattern: /^GET \/api\/tickets\/([^\/]+)$/, handler: require('./api/tickets/[id]') },
     { pattern: /^PATCH \/api\/tickets\/([^\/]+)$/, handler: require('./api/tickets/[id]') },
     { pattern: /^DELETE \/api\/tickets\/([^\/]+)$/, handler: require('./api/tickets/[id]') },
@@ -86,6 +91,8 @@ const server = http.createServer(async (req, res) => {
             req.on('data', chunk => data += chunk);
             req.on('end', () => resolve(data));
         });
+        // Keep the raw body for signature checks (Razorpay webhook)
+        req.rawBody = body;
         try {
             req.body = JSON.parse(body || '{}');
         } catch {
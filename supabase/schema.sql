@@ -20,6 +20,16 @@ CREATE TABLE IF NOT EXISTS users (
     banned_reason TEXT,
     banned_at TIMESTAMPTZ,
     last_login TIMESTAMPTZ,
+    email_verified BOOLEAN DEFAULT FALSE,
+    email_verified_at TIMESTAMPTZ,
+    totp_enabled BOOLEAN DEFAULT FALSE,
+    totp_secret TEXT,
+    totp_pending_secret TEXT,
+    totp_last_step BIGINT,
+    totp_enabled_at TIMESTAMPTZ,
+    totp_failed_attempts INTEGER NOT NULL DEFAULT 0,
+    totp_locked_until TIMESTAMPTZ,
+    token_version INTEGER NOT NULL DEFAULT 0,
     created_at TIMESTAMPTZ DEFAULT NOW(),qa
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -33,16 +43,108 @@ CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
 CREATE TABLE IF NOT EXISTS refresh_tokens (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    family_id UUID NOT NULL DEFAULT uuid_generate_v4(),
     token_hash VARCHAR(255) NOT NULL,
     expires_at TIMESTAMPTZ NOT NULL,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     revoked_at TIMESTAMPTZ,
+    revoked_reason VARCHAR(30),
+    last_used_at TIMESTAMPTZ DEFAULT NOW(),
     user_agent TEXT,
     ip_address INET
 );
 
 CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
 CREATE INDEX IF NOT EXISTS idx_refresh_tokens_hash ON refresh_tokens(token_hash);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id);
+
+-- Access tokens carry users.token_version; bumping it invalidates every
+-- access token already issued to the user
+CREATE OR REPLACE FUNCTION bump_token_version(p_user_id UUID)
+RETURNS INTEGER AS $$
+    UPDATE users SET token_version = token_version + 1
+    WHERE id = p_user_id
+    RETURNING token_version;
+$$ LANGUAGE sql;
+
+-- Count a 2FA sign-in attempt before the code is checked, so parallel
+-- guesses can't get past the limit. Returns FALSE while the account is
+-- locked; the attempt that reaches p_max_attempts starts the lock. A
+-- correct code clears both columns.
+CREATE OR REPLACE FUNCTION claim_totp_attempt(p_user_id UUID, p_max_attempts INTEGER, p_lock_seconds INTEGER)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_attempts INTEGER;
+    v_locked_until TIMESTAMPTZ;
+BEGIN
+    SELECT totp_failed_attempts, totp_locked_until INTO v_attempts, v_locked_until
+    FROM users WHERE id = p_user_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+
+    IF v_locked_until IS NOT NULL THEN
+        IF v_locked_until > NOW() THEN
+            RETURN FALSE;
+        END IF;
+        -- Lock ran out - start counting again
+        v_attempts := 0;
+    END IF;
+
+    UPDATE users SET
+        totp_failed_attempts = v_attempts + 1,
+        totp_locked_until = CASE
+            WHEN v_attempts + 1 >= p_max_attempts THEN NOW() + make_interval(secs => p_lock_seconds)
+        END
+    WHERE id = p_user_id;
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =============================================
+-- AUTH TOKENS TABLE (password reset / email verification links)
+-- =============================================
+CREATE TABLE IF NOT EXISTS auth_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+    token_hash VARCHAR(255) NOT NULL UNIQUE,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    ip_address INET,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_user ON auth_tokens(user_id, purpose, created_at DESC);
+
+-- =============================================
+-- TOTP RECOVERY CODES TABLE (single-use, hashed)
+-- =============================================
+CREATE TABLE IF NOT EXISTS totp_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(255) NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_totp_recovery_codes_user ON totp_recovery_codes(user_id, code_hash);
+
+-- =============================================
+-- OAUTH ACCOUNTS TABLE (social login identities linked to users)
+-- =============================================
+CREATE TABLE IF NOT EXISTS oauth_accounts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(30) NOT NULL,
+    provider_user_id VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (provider, provider_user_id),
+    UNIQUE (user_id, provider)
+);
 
 -- =============================================
 -- ORDERS TABLE
@@ -56,17 +158,23 @@ CREATE TABLE IF NOT EXISTS orders (
     guest_phone VARCHAR(20),
     service VARCHAR(50) NOT NULL,
     service_name VARCHAR(100) NOT NULL,
-    size VARCHAR(10) NOT NULL,
+    size VARCHAR(20) NOT NULL,
     size_name VARCHAR(50) NOT NULL,
-    addons VARCHAR(50) DEFAULT 'none',
-    addons_name VARCHAR(100) DEFAULT 'None',
+    addons TEXT[] DEFAULT '{}',
+    addons_name VARCHAR(255) DEFAULT 'None',
+    modifiers JSONB DEFAULT '{}',
     message TEXT,
     base_price INTEGER NOT NULL,
     size_price INTEGER DEFAULT 0,
     addons_price INTEGER DEFAULT 0,
+    modifiers_price INTEGER DEFAULT 0,
+    coupon_code VARCHAR(50),
+    discount INTEGER DEFAULT 0,
     total INTEGER NOT NULL,
     advance INTEGER NOT NULL,
     remaining INTEGER NOT NULL,
+    currency VARCHAR(3) DEFAULT 'INR',
+    exchange_rate NUMERIC(12, 4) DEFAULT 1,
     status VARCHAR(30) DEFAULT 'pending' CHECK (status IN (
         'pending', 'advance_paid', 'in_progress',
         'revision_requested', 'completed', 'final_paid',
@@ -76,10 +184,16 @@ CREATE TABLE IF NOT EXISTS orders (
     razorpay_payment_id VARCHAR(100),
     razorpay_signature VARCHAR(255),
     payment_verified BOOLEAN DEFAULT FALSE,
+    balance_razorpay_order_id VARCHAR(100),
+    balance_razorpay_payment_id VARCHAR(100),
+    balance_razorpay_signature VARCHAR(255),
+    balance_verified BOOLEAN DEFAULT FALSE,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     paid_at TIMESTAMPTZ,
     completed_at TIMESTAMPTZ,
+    balance_paid_at TIMESTAMPTZ,
     delivered_at TIMESTAMPTZ,
+    recovery_email_sent_at TIMESTAMPTZ,
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
@@ -87,6 +201,167 @@ CREATE INDEX IF NOT EXISTS idx_orders_user ON orders(user_id);
 CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
 CREATE INDEX IF NOT EXISTS idx_orders_number ON orders(order_number);
 CREATE INDEX IF NOT EXISTS idx_orders_razorpay ON orders(razorpay_order_id);
+CREATE INDEX IF NOT EXISTS idx_orders_balance_razorpay ON orders(balance_razorpay_order_id);
+CREATE INDEX IF NOT EXISTS idx_orders_pending_created ON orders(created_at) WHERE status = 'pending';
+
+-- =============================================
+-- ORDER LINE ITEMS TABLE
+-- =============================================
+CREATE TABLE IF NOT EXISTS order_line_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    item_type VARCHAR(20) NOT NULL CHECK (item_type IN ('service', 'size', 'modifier', 'addon', 'discount')),
+    item_key VARCHAR(50) NOT NULL,
+    item_name VARCHAR(100) NOT NULL,
+    quantity INTEGER DEFAULT 1,
+    amount INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_line_items_order ON order_line_items(order_id);
+
+-- =============================================
+-- ORDER STATUS HISTORY TABLE
+-- =============================================
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(30),
+    to_status VARCHAR(30) NOT NULL,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    actor_type VARCHAR(20) DEFAULT 'system' CHECK (actor_type IN ('admin', 'customer', 'system')),
+    reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_history_order ON order_status_history(order_id, created_at);
+
+-- =============================================
+-- REFUNDS TABLE
+-- =============================================
+CREATE TABLE IF NOT EXISTS refunds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    -- Set once Razorpay accepts the refund (rows are reserved first, see reserve_refund)
+    razorpay_refund_id VARCHAR(100) UNIQUE,
+    razorpay_payment_id VARCHAR(100) NOT NULL,
+    payment_type VARCHAR(20) DEFAULT 'advance' CHECK (payment_type IN ('advance', 'balance', 'revision')),
+    amount INTEGER NOT NULL,
+    reason TEXT,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'processed', 'failed')),
+    failure_reason TEXT,
+    initiated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    processed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_order ON refunds(order_id);
+
+-- Reserve a refund with the order row locked, so two refunds issued at the
+-- same time can't both pass the refundable amount check
+-- Returns the new pending refund's ID, or NULL if the amount isn't refundable
+CREATE OR REPLACE FUNCTION reserve_refund(
+    p_order_id UUID,
+    p_payment_id TEXT,
+    p_payment_type TEXT,
+    p_paid_amount INTEGER,
+    p_amount INTEGER,
+    p_reason TEXT,
+    p_initiated_by UUID
+) RETURNS UUID AS $$
+DECLARE
+    v_refunded INTEGER;
+    v_refund_id UUID;
+BEGIN
+    PERFORM 1 FROM orders WHERE id = p_order_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    SELECT COALESCE(SUM(amount), 0) INTO v_refunded FROM refunds
+    WHERE razorpay_payment_id = p_payment_id AND status <> 'failed';
+
+    IF p_amount <= 0 OR v_refunded + p_amount > p_paid_amount THEN
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO refunds (order_id, razorpay_payment_id, payment_type, amount, reason, status, initiated_by)
+    VALUES (p_order_id, p_payment_id, p_payment_type, p_amount, p_reason, 'pending', p_initiated_by)
+    RETURNING id INTO v_refund_id;
+
+    RETURN v_refund_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =============================================
+-- ORDER REVISIONS TABLE
+-- Customer revision requests; extra (paid) revisions wait in
+-- awaiting_payment until the payment is verified
+-- =============================================
+CREATE TABLE IF NOT EXISTS order_revisions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    notes TEXT NOT NULL,
+    -- [{ upload_id, name, type, size }] - the customer's ticket_attachment uploads
+    reference_images JSONB NOT NULL DEFAULT '[]',
+    is_extra BOOLEAN NOT NULL DEFAULT FALSE,
+    amount INTEGER NOT NULL DEFAULT 0,
+    currency VARCHAR(3) DEFAULT 'INR',
+    -- refunded: paid after the order moved on, so it never started
+    status VARCHAR(20) NOT NULL DEFAULT 'requested' CHECK (status IN ('awaiting_payment', 'requested', 'refunded')),
+    razorpay_order_id VARCHAR(100) UNIQUE,
+    razorpay_payment_id VARCHAR(100),
+    requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    paid_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_revisions_order ON order_revisions(order_id, status);
+-- One unpaid extra revision per order (repeat requests reuse its Razorpay order)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_order_revisions_awaiting_payment ON order_revisions(order_id) WHERE status = 'awaiting_payment';
+
+-- =============================================
+-- WEBHOOK EVENTS TABLE
+-- =============================================
+-- One row per Razorpay event (retries share the event ID)
+CREATE TABLE IF NOT EXISTS webhook_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_id VARCHAR(100) NOT NULL UNIQUE,
+    event_type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) DEFAULT 'received' CHECK (status IN ('received', 'processing', 'processed', 'ignored', 'failed')),
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    received_at TIMESTAMPTZ DEFAULT NOW(),
+    processed_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status, received_at DESC);
+
+-- =============================================
+-- EMAIL OUTBOX TABLE (every transactional email, for retries)
+-- =============================================
+CREATE TABLE IF NOT EXISTS email_outbox (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    to_email VARCHAR(255) NOT NULL,
+    template VARCHAR(50) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    body_text TEXT NOT NULL,
+    body_html TEXT,
+    status VARCHAR(20) DEFAULT 'queued' CHECK (status IN ('queued', 'sending', 'sent', 'failed')),
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    related_type VARCHAR(50),
+    related_id UUID,
+    next_attempt_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    sent_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_retry ON email_outbox(next_attempt_at) WHERE status <> 'sent';
+CREATE INDEX IF NOT EXISTS idx_email_outbox_related ON email_outbox(related_type, related_id);
 
 -- =============================================
 -- TICKETS TABLE
@@ -131,7 +406,8 @@ CREATE TABLE IF NOT EXISTS ticket_messages (
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
-CREATE INDEX IF NOT EXISTS idx_ticket_messages_ticket ON ticket_messages(ticket_id);
+-- (ticket_id, created_at) serves the live chat's since-cursor queries
+CREATE INDEX IF NOT EXISTS idx_ticket_messages_ticket ON ticket_messages(ticket_id, created_at);
 
 -- =============================================
 -- ACTIVITY LOGS TABLE
@@ -152,12 +428,65 @@ CREATE INDEX IF NOT EXISTS idx_logs_user ON activity_logs(user_id);
 CREATE INDEX IF NOT EXISTS idx_logs_action ON activity_logs(action);
 CREATE INDEX IF NOT EXISTS idx_logs_created ON activity_logs(created_at DESC);
 
+-- =============================================
+-- UPLOADS TABLE
+-- Files live in object storage (lib/storage.js); rows that show a file
+-- reference the upload and API responses carry signed URLs
+-- =============================================
+CREATE TABLE IF NOT EXISTS uploads (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    storage_key TEXT UNIQUE NOT NULL,
+    purpose VARCHAR(30) NOT NULL CHECK (purpose IN (
+        'gallery', 'ticket_attachment', 'delivery', 'delivery_preview'
+    )),
+    content_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    width INTEGER,
+    height INTEGER,
+    -- Rendered copies: [{ key, kind: thumbnail|responsive, type, width, height, size }]
+    variants JSONB NOT NULL DEFAULT '[]',
+    original_name VARCHAR(255),
+    uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_uploads_uploaded_by ON uploads(uploaded_by);
+
+-- Private bucket for the supabase storage driver
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('uploads', 'uploads', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- Public bucket for gallery images (match STORAGE_PUBLIC_BUCKET)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('public-uploads', 'public-uploads', true)
+ON CONFLICT (id) DO NOTHING;
+
+-- =============================================
+-- ORDER DELIVERIES TABLE
+-- Artwork shared with the customer: the original stays private until the
+-- order is paid, the watermarked preview is posted to the order's ticket
+-- =============================================
+CREATE TABLE IF NOT EXISTS order_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    kind VARCHAR(10) NOT NULL CHECK (kind IN ('wip', 'final')),
+    note TEXT,
+    upload_id UUID UNIQUE NOT NULL REFERENCES uploads(id),
+    preview_upload_id UUID NOT NULL REFERENCES uploads(id),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_deliveries_order ON order_deliveries(order_id, created_at);
+
 -- =============================================
 -- GALLERY TABLE
 -- =============================================
 CREATE TABLE IF NOT EXISTS gallery (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    image_url TEXT NOT NULL,
+    image_url TEXT,
+    image_upload_id UUID UNIQUE REFERENCES uploads(id) ON DELETE SET NULL,
     thumbnail_url TEXT,
     title VARCHAR(100) NOT NULL,
     description TEXT,
@@ -181,6 +510,9 @@ CREATE TABLE IF NOT EXISTS pricing_config (
     service_key VARCHAR(50) NOT NULL UNIQUE,
     service_name VARCHAR(100) NOT NULL,
     base_price INTEGER NOT NULL,
+    -- Revisions included in the price; each extra one costs extra_revision_price
+    included_revisions INTEGER NOT NULL DEFAULT 2 CHECK (included_revisions >= 0),
+    extra_revision_price INTEGER NOT NULL DEFAULT 0 CHECK (extra_revision_price >= 0),
     is_active BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
@@ -202,12 +534,50 @@ CREATE TABLE IF NOT EXISTS addon_pricing (
     is_active BOOLEAN DEFAULT TRUE
 );
 
+-- Quantity modifiers (e.g. extra subjects) charge unit_price per unit
+-- Tier modifiers (e.g. background complexity) charge the chosen tier's price
+-- services: keys the modifier applies to (empty = all services)
+CREATE TABLE IF NOT EXISTS pricing_modifiers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    modifier_key VARCHAR(50) NOT NULL UNIQUE,
+    modifier_name VARCHAR(100) NOT NULL,
+    modifier_type VARCHAR(10) NOT NULL CHECK (modifier_type IN ('quantity', 'tier')),
+    services TEXT[] DEFAULT '{}',
+    unit_price INTEGER DEFAULT 0,
+    max_quantity INTEGER DEFAULT 1,
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE
+);
+
+CREATE TABLE IF NOT EXISTS pricing_modifier_tiers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    modifier_id UUID NOT NULL REFERENCES pricing_modifiers(id) ON DELETE CASCADE,
+    tier_key VARCHAR(50) NOT NULL,
+    tier_name VARCHAR(100) NOT NULL,
+    additional_price INTEGER DEFAULT 0,
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+    UNIQUE(modifier_id, tier_key)
+);
+
+-- Checkout currencies - prices are converted from INR at rate_to_inr
+-- (how many INR one unit is worth), maintained by admins
+CREATE TABLE IF NOT EXISTS currencies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(3) NOT NULL UNIQUE,
+    currency_name VARCHAR(50) NOT NULL,
+    locale VARCHAR(10) DEFAULT 'en-US',
+    rate_to_inr NUMERIC(12, 4) NOT NULL CHECK (rate_to_inr > 0),
+    is_active BOOLEAN DEFAULT FALSE,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Insert default pricing
-INSERT INTO pricing_config (service_key, service_name, base_price) VALUES
-    ('charcoal', 'Charcoal Portrait', 1500),
-    ('anime', 'Anime Art', 1000),
-    ('couple', 'Couple Portrait', 3000),
-    ('custom', 'Custom', 2000)
+INSERT INTO pricing_config (service_key, service_name, base_price, included_revisions, extra_revision_price) VALUES
+    ('charcoal', 'Charcoal Portrait', 1500, 2, 300),
+    ('anime', 'Anime Art', 1000, 2, 200),
+    ('couple', 'Couple Portrait', 3000, 3, 500),
+    ('custom', 'Custom', 2000, 3, 400)
 ON CONFLICT (service_key) DO NOTHING;
 
 INSERT INTO size_pricing (size_key, size_name, additional_price) VALUES
@@ -218,10 +588,120 @@ ON CONFLICT (size_key) DO NOTHING;
 INSERT INTO addon_pricing (addon_key, addon_name, additional_price) VALUES
     ('none', 'None', 0),
     ('framing', 'Framing', 600),
-    ('express', 'Express Delivery', 500),
-    ('both', 'Framing + Express', 1100)
+    ('express', 'Express Delivery', 500)
 ON CONFLICT (addon_key) DO NOTHING;
 
+-- Enable after checking rates and Razorpay international payments
+INSERT INTO currencies (code, currency_name, locale, rate_to_inr, is_active) VALUES
+    ('INR', 'Indian Rupee', 'en-IN', 1, TRUE),
+    ('USD', 'US Dollar', 'en-US', 84, FALSE),
+    ('EUR', 'Euro', 'de-DE', 91, FALSE),
+    ('GBP', 'British Pound', 'en-GB', 109, FALSE)
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO pricing_modifiers (modifier_key, modifier_name, modifier_type, services, unit_price, max_quantity, sort_order) VALUES
+    ('extra_subjects', 'Extra Subjects', 'quantity', ARRAY['charcoal', 'couple', 'custom'], 800, 5, 1),
+    ('background', 'Background', 'tier', '{}', 0, 1, 2)
+ON CONFLICT (modifier_key) DO NOTHING;
+
+INSERT INTO pricing_modifier_tiers (modifier_id, tier_key, tier_name, additional_price, sort_order)
+SELECT id, t.tier_key, t.tier_name, t.additional_price, t.sort_order
+FROM pricing_modifiers, (VALUES
+    ('plain', 'Plain', 0, 1),
+    ('simple', 'Simple Scene', 400, 2),
+    ('detailed', 'Detailed Scene', 1000, 3)
+) AS t(tier_key, tier_name, additional_price, sort_order)
+WHERE modifier_key = 'background'
+ON CONFLICT (modifier_id, tier_key) DO NOTHING;
+
+-- =============================================
+-- COUPONS TABLE
+-- =============================================
+CREATE TABLE IF NOT EXISTS coupons (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(50) NOT NULL UNIQUE,
+    description VARCHAR(255),
+    discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('percent', 'flat')),
+    discount_value INTEGER NOT NULL CHECK (discount_value > 0),
+    max_discount INTEGER,
+    min_order_total INTEGER DEFAULT 0,
+    services TEXT[] DEFAULT '{}',
+    valid_from TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ,
+    max_uses INTEGER,
+    per_user_limit INTEGER DEFAULT 1,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- =============================================
+-- COUPON REDEMPTIONS TABLE
+-- =============================================
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    coupon_id UUID NOT NULL REFERENCES coupons(id) ON DELETE CASCADE,
+    order_id UUID NOT NULL UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    email VARCHAR(255) NOT NULL,
+    discount INTEGER NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon ON coupon_redemptions(coupon_id);
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_email ON coupon_redemptions(coupon_id, email);
+
+-- Record a redemption with the coupon row locked, so concurrent
+-- checkouts can't exceed max_uses / per_user_limit
+CREATE OR REPLACE FUNCTION redeem_coupon(
+    p_coupon_id UUID,
+    p_order_id UUID,
+    p_user_id UUID,
+    p_email TEXT,
+    p_discount INTEGER
+) RETURNS BOOLEAN AS $$
+DECLARE
+    v_coupon coupons%ROWTYPE;
+    v_uses INTEGER;
+BEGIN
+    SELECT * INTO v_coupon FROM coupons WHERE id = p_coupon_id FOR UPDATE;
+
+    IF NOT FOUND OR NOT v_coupon.is_active THEN
+        RETURN FALSE;
+    END IF;
+
+    IF v_coupon.valid_from IS NOT NULL AND v_coupon.valid_from > NOW() THEN
+        RETURN FALSE;
+    END IF;
+
+    IF v_coupon.expires_at IS NOT NULL AND v_coupon.expires_at < NOW() THEN
+        RETURN FALSE;
+    END IF;
+
+    IF v_coupon.max_uses IS NOT NULL THEN
+        SELECT COUNT(*) INTO v_uses FROM coupon_redemptions WHERE coupon_id = p_coupon_id;
+        IF v_uses >= v_coupon.max_uses THEN
+            RETURN FALSE;
+        END IF;
+    END IF;
+
+    IF v_coupon.per_user_limit IS NOT NULL THEN
+        SELECT COUNT(*) INTO v_uses FROM coupon_redemptions
+        WHERE coupon_id = p_coupon_id
+          AND ((p_user_id IS NOT NULL AND user_id = p_user_id) OR LOWER(email) = LOWER(p_email));
+        IF v_uses >= v_coupon.per_user_limit THEN
+            RETURN FALSE;
+        END IF;
+    END IF;
+
+    INSERT INTO coupon_redemptions (coupon_id, order_id, user_id, email, discount)
+    VALUES (p_coupon_id, p_order_id, p_user_id, LOWER(p_email), p_discount);
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
+
 -- =============================================
 -- RATE LIMITING TABLE
 -- =============================================
@@ -246,6 +726,19 @@ ALTER TABLE tickets ENABLE ROW LEVEL SECURITY;
 ALTER TABLE ticket_messages ENABLE ROW LEVEL SECURITY;
 ALTER TABLE activity_logs ENABLE ROW LEVEL SECURITY;
 ALTER TABLE gallery ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_line_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_status_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE refunds ENABLE ROW LEVEL SECURITY;
+ALTER TABLE coupons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE coupon_redemptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE email_outbox ENABLE ROW LEVEL SECURITY;
+ALTER TABLE auth_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE totp_recovery_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE oauth_accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE uploads ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_deliveries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_revisions ENABLE ROW LEVEL SECURITY;
 
 -- Allow service role full access (our API uses service role)
 CREATE POLICY "Service role full access" ON users FOR ALL USING (true);
@@ -254,3 +747,22 @@ CREATE POLICY "Service role full access" ON tickets FOR ALL USING (true);
 CREATE POLICY "Service role full access" ON ticket_messages FOR ALL USING (true);
 CREATE POLICY "Service role full access" ON activity_logs FOR ALL USING (true);
 CREATE POLICY "Service role full access" ON gallery FOR ALL USING (true);
+CREATE POLICY "Service role full access" ON order_line_items FOR ALL USING (true);
+CREATE POLICY "Service role full access" ON order_status_history FOR ALL USING (true);
+CREATE POLICY "Service role full access" ON refunds FOR ALL USING (true);
+CREATE POLICY "Service role full access" ON coupons FOR ALL USING (true);
+CREATE POLICY "Service role full access" ON coupon_redemptions FOR ALL USING (true);
+CREATE POLICY "Service role full access" ON webhook_events FOR ALL USING (true);
+CREATE POLICY "Service role full access" ON email_outbox FOR ALL USING (true);
+CREATE POLICY "Service role full access" ON auth_tokens FOR ALL USING (true);
+CREATE POLICY "Service role full access" ON totp_recovery_codes FOR ALL USING (true);
+CREATE POLICY "Service role full access" ON oauth_accounts FOR ALL USING (true);
+CREATE POLICY "Service role full access" ON uploads FOR ALL USING (true);
+CREATE POLICY "Service role full access" ON order_deliveries FOR ALL USING (true);
+CREATE POLICY "Service role full access" ON order_revisions FOR ALL USING (true);
+
+-- =============================================
+-- REALTIME
+-- =============================================
+-- Ticket streams on any instance hear about new messages / status changes
+ALTER PUBLICATION supabase_realtime ADD TABLE tickets, ticket_messages;